@@ -3,6 +3,11 @@ import { DataProvider } from './contexts/DataContext';
 import Layout from './components/Layout';
 import FlowBrain from './pages/FlowBrain';
 import Diagram from './pages/Diagram';
+import Explorer from './pages/Explorer';
+import Integrity from './pages/Integrity';
+import Drift from './pages/Drift';
+import History from './pages/History';
+import Compare from './pages/Compare';
 import './App.css';
 
 function App() {
@@ -14,6 +19,11 @@ function App() {
             <Route path="/" element={<Navigate to="/diagram" replace />} />
             <Route path="/flow-brain" element={<FlowBrain />} />
             <Route path="/diagram" element={<Diagram />} />
+            <Route path="/explorer" element={<Explorer />} />
+            <Route path="/integrity" element={<Integrity />} />
+            <Route path="/drift" element={<Drift />} />
+            <Route path="/history" element={<History />} />
+            <Route path="/compare" element={<Compare />} />
           </Routes>
         </Layout>
       </BrowserRouter>
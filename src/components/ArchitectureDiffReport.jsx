@@ -0,0 +1,281 @@
+import { Link } from 'react-router-dom';
+import '../pages/Reports.css';
+
+// Top-level field of a change path ('metadata.purpose' -> 'metadata')
+const getArea = (path) => path.split(/[.[]/)[0];
+
+const formatPaths = (changes) => [...new Set(changes.map(change => getArea(change.path)))].join(', ');
+
+const formatValue = (value) => {
+  if (value === undefined) return '—';
+  return typeof value === 'string' ? value : JSON.stringify(value);
+};
+
+// Field-level changes of one service or process resource
+const ChangeTable = ({ changes }) => (
+  <table className="report-table diff-change-table">
+    <thead>
+      <tr>
+        <th>Area</th>
+        <th>Field</th>
+        <th>Change</th>
+        <th>Before</th>
+        <th>After</th>
+      </tr>
+    </thead>
+    <tbody>
+      {changes.map((change, idx) => (
+        <tr key={idx}>
+          <td>{getArea(change.path)}</td>
+          <td><code>{change.path}</code></td>
+          <td><span className={`status-pill diff-${change.kind}`}>{change.kind}</span></td>
+          <td className="diff-before">{formatValue(change.before)}</td>
+          <td className="diff-after">{formatValue(change.after)}</td>
+        </tr>
+      ))}
+    </tbody>
+  </table>
+);
+
+// Modified entries, either one row each or expanded into their field-level changes
+const ModifiedList = ({ entries, detailed, linkToDiagram }) => {
+  if (detailed) {
+    return (
+      <div className="diff-service-list">
+        {entries.map(entry => (
+          <details key={entry.id} className="diff-service" open={entries.length <= 10}>
+            <summary className="diff-service-summary">
+              <code>{entry.id}</code>
+              <span>{entry.name}</span>
+              <span className="report-count">{entry.changes.length} change{entry.changes.length !== 1 ? 's' : ''}</span>
+            </summary>
+            <ChangeTable changes={entry.changes} />
+          </details>
+        ))}
+      </div>
+    );
+  }
+
+  return (
+    <table className="report-table">
+      <thead>
+        <tr>
+          <th>ID</th>
+          <th>Name</th>
+          <th>Changed Fields</th>
+          {linkToDiagram && <th></th>}
+        </tr>
+      </thead>
+      <tbody>
+        {entries.map(entry => (
+          <tr key={entry.id}>
+            <td><code>{entry.id}</code></td>
+            <td>{entry.name}</td>
+            <td className="report-mismatch">{formatPaths(entry.changes)}</td>
+            {linkToDiagram && (
+              <td>
+                <Link className="report-link" to={`/diagram?focus=${encodeURIComponent(entry.id)}`}>
+                  View in Diagram →
+                </Link>
+              </td>
+            )}
+          </tr>
+        ))}
+      </tbody>
+    </table>
+  );
+};
+
+const ServiceTable = ({ services, linkToDiagram }) => (
+  <table className="report-table">
+    <thead>
+      <tr>
+        <th>Service ID</th>
+        <th>Name</th>
+        <th>Type</th>
+        <th>Layer</th>
+        {linkToDiagram && <th></th>}
+      </tr>
+    </thead>
+    <tbody>
+      {services.map(service => (
+        <tr key={service.id}>
+          <td><code>{service.id}</code></td>
+          <td>{service.name}</td>
+          <td>{service.type}</td>
+          <td>{service.layer}</td>
+          {linkToDiagram && (
+            <td>
+              <Link className="report-link" to={`/diagram?focus=${encodeURIComponent(service.id)}`}>
+                View in Diagram →
+              </Link>
+            </td>
+          )}
+        </tr>
+      ))}
+    </tbody>
+  </table>
+);
+
+const ArchitectureDiffReport = ({ diff, processDiff = null, detailed = false, linkToDiagram = true }) => {
+  const { services, connections, metadata } = diff;
+  const connectionChanges = [
+    ...connections.added.map(connection => ({ ...connection, status: 'added' })),
+    ...connections.removed.map(connection => ({ ...connection, status: 'removed' })),
+    ...connections.relabelled.map(connection => ({ ...connection, status: 'relabelled' }))
+  ];
+
+  return (
+    <>
+      <div className="report-summary">
+        <div className="report-card status-resolved">
+          <span className="report-card-value">{services.added.length}</span>
+          <span className="report-card-label">Added Services</span>
+        </div>
+        <div className="report-card status-dangling">
+          <span className="report-card-value">{services.removed.length}</span>
+          <span className="report-card-label">Removed Services</span>
+        </div>
+        <div className="report-card status-asymmetric">
+          <span className="report-card-value">{services.modified.length}</span>
+          <span className="report-card-label">Modified Services</span>
+        </div>
+        <div className="report-card status-external">
+          <span className="report-card-value">{connectionChanges.length}</span>
+          <span className="report-card-label">Connection Changes</span>
+        </div>
+        <div className="report-card status-placeholder">
+          <span className="report-card-value">{metadata.length}</span>
+          <span className="report-card-label">Metadata Changes</span>
+        </div>
+      </div>
+
+      <div className="report-body">
+        <section className="report-section">
+          <h3 className="report-section-title">
+            Added Services <span className="report-count">{services.added.length}</span>
+          </h3>
+          {services.added.length > 0
+            ? <ServiceTable services={services.added} linkToDiagram={linkToDiagram} />
+            : <div className="report-empty">No services were added</div>}
+        </section>
+
+        <section className="report-section">
+          <h3 className="report-section-title">
+            Removed Services <span className="report-count">{services.removed.length}</span>
+          </h3>
+          {services.removed.length > 0
+            ? <ServiceTable services={services.removed} />
+            : <div className="report-empty">No services were removed</div>}
+        </section>
+
+        <section className="report-section">
+          <h3 className="report-section-title">
+            Modified Services <span className="report-count">{services.modified.length}</span>
+          </h3>
+          {services.modified.length > 0 ? (
+            <ModifiedList entries={services.modified} detailed={detailed} linkToDiagram={linkToDiagram} />
+          ) : (
+            <div className="report-empty">No existing service changed</div>
+          )}
+        </section>
+
+        <section className="report-section">
+          <h3 className="report-section-title">
+            Connection Changes <span className="report-count">{connectionChanges.length}</span>
+          </h3>
+          {connectionChanges.length > 0 ? (
+            <table className="report-table">
+              <thead>
+                <tr>
+                  <th>Change</th>
+                  <th>From</th>
+                  <th>To</th>
+                  <th>Label</th>
+                </tr>
+              </thead>
+              <tbody>
+                {connectionChanges.map(connection => (
+                  <tr key={`${connection.status}-${connection.from}-${connection.to}`}>
+                    <td><span className={`status-pill diff-${connection.status}`}>{connection.status}</span></td>
+                    <td><code>{connection.from}</code></td>
+                    <td><code>{connection.to}</code></td>
+                    <td>
+                      {connection.status === 'relabelled'
+                        ? `${connection.previousLabel || '—'} → ${connection.label || '—'}`
+                        : connection.label || '—'}
+                    </td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          ) : (
+            <div className="report-empty">No connections changed</div>
+          )}
+        </section>
+
+        <section className="report-section">
+          <h3 className="report-section-title">
+            Metadata Changes <span className="report-count">{metadata.length}</span>
+          </h3>
+          {metadata.length > 0 ? (
+            <table className="report-table">
+              <thead>
+                <tr>
+                  <th>Field</th>
+                  <th>Before</th>
+                  <th>After</th>
+                </tr>
+              </thead>
+              <tbody>
+                {metadata.map(change => (
+                  <tr key={change.path}>
+                    <td><code>{change.path}</code></td>
+                    <td>{change.before === undefined ? '—' : JSON.stringify(change.before)}</td>
+                    <td className="report-mismatch">{change.after === undefined ? '—' : JSON.stringify(change.after)}</td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          ) : (
+            <div className="report-empty">Architecture metadata is unchanged</div>
+          )}
+        </section>
+
+        {processDiff && (
+          <section className="report-section">
+            <h3 className="report-section-title">
+              Process Resource Changes{' '}
+              <span className="report-count">
+                {processDiff.added.length + processDiff.removed.length + processDiff.modified.length}
+              </span>
+            </h3>
+            {processDiff.added.length > 0 && (
+              <>
+                <h4 className="diff-subtitle">Added to process.json</h4>
+                <ServiceTable services={processDiff.added} />
+              </>
+            )}
+            {processDiff.removed.length > 0 && (
+              <>
+                <h4 className="diff-subtitle">Removed from process.json</h4>
+                <ServiceTable services={processDiff.removed} />
+              </>
+            )}
+            {processDiff.modified.length > 0 && (
+              <>
+                <h4 className="diff-subtitle">Modified in process.json</h4>
+                <ModifiedList entries={processDiff.modified} detailed={detailed} />
+              </>
+            )}
+            {processDiff.added.length + processDiff.removed.length + processDiff.modified.length === 0 && (
+              <div className="report-empty">No process resource changed</div>
+            )}
+          </section>
+        )}
+      </div>
+    </>
+  );
+};
+
+export default ArchitectureDiffReport;
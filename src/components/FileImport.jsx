@@ -1,33 +1,136 @@
-import { useState } from 'react';
+import { useRef, useState } from 'react';
+import { useNavigate } from 'react-router-dom';
 import { useData } from '../contexts/DataContext';
+import { DATA_SCHEMAS } from '../utils/dataSchemas';
+import { detectDroppedFiles } from '../utils/fileDetection';
 import './FileImport.css';
 
+const DATA_FILE_KINDS = Object.keys(DATA_SCHEMAS);
+
 const FileImport = ({ onClose }) => {
-  const { loadFiles } = useData();
-  const [archFile, setArchFile] = useState(null);
-  const [procFile, setProcFile] = useState(null);
-  const [cfFile, setCfFile] = useState(null);
+  const { loadFiles, loadComparison, isDataLoaded, environments, primaryEnvironment, activeWorkspace } = useData();
+  const navigate = useNavigate();
+  const [mode, setMode] = useState('load'); // 'load' or 'compare'
+  const [droppedFiles, setDroppedFiles] = useState([]); // { id, file, detectedKind, kind }
+  const [isDragging, setIsDragging] = useState(false);
+  const fileInputRef = useRef(null);
+  const [compareFiles, setCompareFiles] = useState({});
+  const [targetEnvironment, setTargetEnvironment] = useState('');
+  const [targetWorkspace, setTargetWorkspace] = useState('current'); // 'current' or 'new'
+  const [workspaceName, setWorkspaceName] = useState('');
   const [loading, setLoading] = useState(false);
+  const [validation, setValidation] = useState(null);
+
+  // Files marked with a kind; 'ignore' leaves a file out of the import
+  const filesOfKind = (kind) => droppedFiles.filter(entry => entry.kind === kind);
+
+  const addFiles = async (files) => {
+    if (files.length === 0) return;
+    try {
+      const detected = await detectDroppedFiles(files);
+      setDroppedFiles(current => [
+        ...current,
+        ...detected.map(({ file, detectedKind }, idx) => ({
+          id: `${Date.now()}-${idx}-${file.name}`,
+          file,
+          detectedKind,
+          kind: detectedKind || 'ignore'
+        }))
+      ]);
+    } catch (error) {
+      alert(`Error reading files: ${error.message}`);
+    }
+  };
+
+  const handleDrop = (e) => {
+    e.preventDefault();
+    setIsDragging(false);
+    addFiles([...e.dataTransfer.files]);
+  };
+
+  const setFileKind = (id, kind) => {
+    setDroppedFiles(current => current.map(entry => (entry.id === id ? { ...entry, kind } : entry)));
+  };
+
+  const removeFile = (id) => {
+    setDroppedFiles(current => current.filter(entry => entry.id !== id));
+  };
 
   const handleLoadFiles = async () => {
-    if (!archFile || !procFile) {
-      alert('Please select both required files (Architecture and Process) before loading.');
+    const [archFile, procFile] = ['architecture', 'process'].map(kind => filesOfKind(kind)[0]?.file);
+    const cfFile = filesOfKind('cloudformation')[0]?.file || null;
+
+    if (!procFile && !cfFile) {
+      alert('Please add a Process-Oriented file, or a CloudFormation Template to generate the architecture from.');
+      return;
+    }
+    const duplicated = DATA_FILE_KINDS.filter(kind => filesOfKind(kind).length > 1);
+    if (duplicated.length > 0) {
+      alert(`Only one file of each type can be loaded. Please change or remove the extra ${duplicated.map(kind => DATA_SCHEMAS[kind].label).join(', ')} files.`);
+      return;
+    }
+
+    const newWorkspaceName = !targetEnvironment && targetWorkspace === 'new' ? workspaceName.trim() : null;
+    if (newWorkspaceName === '') {
+      alert('Please enter a name for the new workspace.');
       return;
     }
 
     setLoading(true);
 
-    const result = await loadFiles(archFile, procFile, cfFile);
+    const result = await loadFiles(archFile || null, procFile || null, cfFile, targetEnvironment || null, newWorkspaceName);
 
     setLoading(false);
 
     if (result.success) {
       onClose();
+    } else if (result.validation) {
+      setValidation(result.validation);
     } else {
       alert(`Error loading files: ${result.error}`);
     }
   };
 
+  const handleCompareFiles = async () => {
+    if (!compareFiles.oldArchitecture || !compareFiles.newArchitecture) {
+      alert('Please select both the old and the new Architecture Template before comparing.');
+      return;
+    }
+    if (Boolean(compareFiles.oldProcess) !== Boolean(compareFiles.newProcess)) {
+      alert('Please select both the old and the new Process-Oriented file, or neither.');
+      return;
+    }
+
+    setLoading(true);
+
+    const result = await loadComparison(compareFiles);
+
+    setLoading(false);
+
+    if (result.success) {
+      onClose();
+      navigate('/compare');
+    } else if (result.validation) {
+      setValidation(result.validation);
+    } else {
+      alert(`Error loading files: ${result.error}`);
+    }
+  };
+
+  const setCompareFile = (key, file) => {
+    setCompareFiles(current => ({ ...current, [key]: file || null }));
+  };
+
+  const renderIssue = (issue, idx, severity) => (
+    <li key={idx} className={`validation-issue ${severity}`}>
+      <span className="issue-location">
+        {issue.line ? `Line ${issue.line}` : '—'}
+      </span>
+      <code className="issue-path">{issue.path}</code>
+      <span className="issue-message">{issue.message}</span>
+    </li>
+  );
+
   if (loading) {
     return (
       <div className="import-overlay">
@@ -42,60 +145,223 @@ const FileImport = ({ onClose }) => {
     );
   }
 
+  if (validation) {
+    return (
+      <div className="import-overlay">
+        <div className="import-dialog validation-dialog">
+          <button className="close-btn" onClick={onClose}>×</button>
+
+          <div className="import-title">⚠️ Validation Report</div>
+          <div className="import-subtitle">
+            The selected files do not match the expected schemas. Nothing has been loaded.
+          </div>
+
+          <div className="validation-files">
+            {validation.files.map(file => (
+              <div key={`${file.kind}-${file.side || ''}`} className={`validation-file ${file.valid ? 'valid' : 'invalid'}`}>
+                <div className="validation-file-header">
+                  <span className="validation-file-label">{file.label}</span>
+                  <span className="validation-file-name">{file.fileName}</span>
+                  {file.version && <span className="validation-file-version">v{file.version}</span>}
+                  <span className="validation-file-status">
+                    {file.valid ? 'VALID' : `${file.errors.length} ERROR${file.errors.length !== 1 ? 'S' : ''}`}
+                  </span>
+                </div>
+                {(file.errors.length > 0 || file.warnings.length > 0) && (
+                  <ul className="validation-issues">
+                    {file.errors.map((issue, idx) => renderIssue(issue, idx, 'error'))}
+                    {file.warnings.map((issue, idx) => renderIssue(issue, idx, 'warning'))}
+                  </ul>
+                )}
+              </div>
+            ))}
+          </div>
+
+          <div className="button-group">
+            <button className="cancel-btn" onClick={onClose}>
+              Cancel
+            </button>
+            <button className="load-btn" onClick={() => setValidation(null)}>
+              Choose Other Files
+            </button>
+          </div>
+        </div>
+      </div>
+    );
+  }
+
   return (
     <div className="import-overlay">
       <div className="import-dialog">
         <button className="close-btn" onClick={onClose}>×</button>
 
         <div className="import-title">📁 Import Architecture Files</div>
-        <div className="import-subtitle">
-          Select the required JSON files to load the architecture:
-        </div>
 
-        <div className="file-input-group">
-          <label className="file-label">
-            1. Architecture Template <span className="required">*</span>
-          </label>
-          <input
-            type="file"
-            accept=".json"
-            onChange={(e) => setArchFile(e.target.files[0])}
-            className="file-input"
-          />
+        <div className="import-mode-tabs">
+          <button
+            className={`import-mode-tab ${mode === 'load' ? 'active' : ''}`}
+            onClick={() => setMode('load')}
+          >
+            Load Dataset
+          </button>
+          <button
+            className={`import-mode-tab ${mode === 'compare' ? 'active' : ''}`}
+            onClick={() => setMode('compare')}
+          >
+            Compare Versions
+          </button>
         </div>
 
-        <div className="file-input-group">
-          <label className="file-label">
-            2. Process-Oriented <span className="required">*</span>
-          </label>
-          <input
-            type="file"
-            accept=".json"
-            onChange={(e) => setProcFile(e.target.files[0])}
-            className="file-input"
-          />
-        </div>
+        {mode === 'compare' ? (
+          <>
+            <div className="import-subtitle">
+              Select an old and a new version of the files to review the changes between them.
+              The loaded dataset is not replaced.
+            </div>
 
-        <div className="file-input-group">
-          <label className="file-label">
-            3. CloudFormation Template <span className="optional">(optional)</span>
-          </label>
-          <input
-            type="file"
-            accept=".json"
-            onChange={(e) => setCfFile(e.target.files[0])}
-            className="file-input"
-          />
-        </div>
+            {[
+              ['oldArchitecture', 'Old Architecture Template', true],
+              ['newArchitecture', 'New Architecture Template', true],
+              ['oldProcess', 'Old Process-Oriented', false],
+              ['newProcess', 'New Process-Oriented', false]
+            ].map(([key, label, required], idx) => (
+              <div key={key} className="file-input-group">
+                <label className="file-label">
+                  {idx + 1}. {label}{' '}
+                  {required ? <span className="required">*</span> : <span className="optional">(optional)</span>}
+                </label>
+                <input
+                  type="file"
+                  accept=".json"
+                  onChange={(e) => setCompareFile(key, e.target.files[0])}
+                  className="file-input"
+                />
+              </div>
+            ))}
 
-        <div className="button-group">
-          <button className="cancel-btn" onClick={onClose}>
-            Cancel
-          </button>
-          <button className="load-btn" onClick={handleLoadFiles}>
-            Load Files
-          </button>
-        </div>
+            <div className="button-group">
+              <button className="cancel-btn" onClick={onClose}>
+                Cancel
+              </button>
+              <button className="load-btn" onClick={handleCompareFiles}>
+                Compare
+              </button>
+            </div>
+          </>
+        ) : (
+          <>
+            <div className="import-subtitle">
+              Add the data files to load the architecture. Each file's type is detected from its contents:
+            </div>
+
+            {isDataLoaded && environments.length > 1 && (
+              <div className="file-input-group">
+                <label className="file-label">Load As</label>
+                <select
+                  className="file-select"
+                  value={targetEnvironment}
+                  onChange={(e) => setTargetEnvironment(e.target.value)}
+                >
+                  <option value="">Primary dataset (replaces the current data)</option>
+                  {environments
+                    .filter(environment => environment !== primaryEnvironment)
+                    .map(environment => (
+                      <option key={environment} value={environment}>
+                        {environment} environment (compared against {primaryEnvironment})
+                      </option>
+                    ))}
+                </select>
+              </div>
+            )}
+
+            {activeWorkspace && !targetEnvironment && (
+              <div className="file-input-group">
+                <label className="file-label">Load Into</label>
+                <select
+                  className="file-select"
+                  value={targetWorkspace}
+                  onChange={(e) => setTargetWorkspace(e.target.value)}
+                >
+                  <option value="current">Current workspace ({activeWorkspace.name})</option>
+                  <option value="new">New workspace</option>
+                </select>
+                {targetWorkspace === 'new' && (
+                  <input
+                    type="text"
+                    className="file-select workspace-name-input"
+                    placeholder="Workspace name"
+                    value={workspaceName}
+                    onChange={(e) => setWorkspaceName(e.target.value)}
+                  />
+                )}
+              </div>
+            )}
+
+            <div
+              className={`drop-zone ${isDragging ? 'dragging' : ''}`}
+              onClick={() => fileInputRef.current?.click()}
+              onDragOver={(e) => {
+                e.preventDefault();
+                setIsDragging(true);
+              }}
+              onDragLeave={() => setIsDragging(false)}
+              onDrop={handleDrop}
+            >
+              <div className="drop-zone-title">Drop files or a zip here, or click to browse</div>
+              <div className="drop-zone-hint">
+                Process-Oriented, Architecture Template{' '}
+                <span className="optional">(optional, derived from the process file)</span>, CloudFormation Template{' '}
+                <span className="optional">(JSON or YAML; on its own, the architecture is generated from it)</span>
+              </div>
+              <input
+                ref={fileInputRef}
+                type="file"
+                multiple
+                accept=".json,.yaml,.yml,.template,.zip"
+                style={{ display: 'none' }}
+                onChange={(e) => {
+                  addFiles([...e.target.files]);
+                  e.target.value = '';
+                }}
+              />
+            </div>
+
+            {droppedFiles.length > 0 && (
+              <ul className="dropped-files">
+                {droppedFiles.map(entry => (
+                  <li key={entry.id} className={`dropped-file ${entry.kind === 'ignore' ? 'ignored' : ''}`}>
+                    <span className="dropped-file-name" title={entry.file.name}>{entry.file.name}</span>
+                    <span className="dropped-file-detected">
+                      {entry.detectedKind ? 'detected' : 'not recognised'}
+                    </span>
+                    <select
+                      className="file-select dropped-file-kind"
+                      value={entry.kind}
+                      onChange={(e) => setFileKind(entry.id, e.target.value)}
+                    >
+                      {DATA_FILE_KINDS.map(kind => (
+                        <option key={kind} value={kind}>{DATA_SCHEMAS[kind].label}</option>
+                      ))}
+                      <option value="ignore">Ignore</option>
+                    </select>
+                    <button className="dropped-file-remove" onClick={() => removeFile(entry.id)} title="Remove">
+                      ×
+                    </button>
+                  </li>
+                ))}
+              </ul>
+            )}
+
+            <div className="button-group">
+              <button className="cancel-btn" onClick={onClose}>
+                Cancel
+              </button>
+              <button className="load-btn" onClick={handleLoadFiles}>
+                Load Files
+              </button>
+            </div>
+          </>
+        )}
       </div>
     </div>
   );
@@ -1,13 +1,97 @@
-import { useState } from 'react';
-import { Link, useLocation } from 'react-router-dom';
+import { useEffect, useState } from 'react';
+import { Link, useLocation, useSearchParams } from 'react-router-dom';
 import FileImport from './FileImport';
 import { useData } from '../contexts/DataContext';
 import './Layout.css';
 
 const Layout = ({ children }) => {
   const [showImport, setShowImport] = useState(false);
-  const { isDataLoaded } = useData();
+  const {
+    isDataLoaded,
+    environments,
+    activeEnvironment,
+    datasetEnvironment,
+    environmentDatasets,
+    selectEnvironment,
+    processMaps,
+    activeProcessMap,
+    selectProcessMap,
+    comparison,
+    datasetSource,
+    revertToBundledData,
+    workspaces,
+    activeWorkspace,
+    switchWorkspace,
+    createWorkspace,
+    renameWorkspace,
+    duplicateWorkspace,
+    deleteWorkspace
+  } = useData();
   const location = useLocation();
+  const [searchParams, setSearchParams] = useSearchParams();
+  const processMapParam = searchParams.get('map');
+
+  // The ?map= parameter selects the process map, so views can be shared by URL
+  useEffect(() => {
+    if (processMapParam && processMapParam !== activeProcessMap?.id) {
+      selectProcessMap(processMapParam);
+    }
+  }, [processMapParam, activeProcessMap, selectProcessMap]);
+
+  const handleProcessMapChange = (processMapId) => {
+    selectProcessMap(processMapId);
+    setSearchParams(params => {
+      params.set('map', processMapId);
+      return params;
+    });
+  };
+
+  const handleRevertToBundled = async () => {
+    if (!window.confirm('Discard the imported files and load the bundled data?')) return;
+    const result = await revertToBundledData();
+    if (!result.success) {
+      alert(`Error loading bundled data: ${result.error}`);
+    }
+  };
+
+  const reportWorkspaceResult = (result) => {
+    if (!result.success) {
+      alert(`Error opening workspace: ${result.error}`);
+    }
+  };
+
+  const handleWorkspaceChange = async (id) => {
+    reportWorkspaceResult(await switchWorkspace(id));
+  };
+
+  const handleCreateWorkspace = async () => {
+    const name = window.prompt('Name of the new workspace:');
+    if (!name?.trim()) return;
+    reportWorkspaceResult(await createWorkspace(name.trim()));
+  };
+
+  const handleRenameWorkspace = () => {
+    const name = window.prompt('Rename workspace:', activeWorkspace.name);
+    if (!name?.trim()) return;
+    renameWorkspace(activeWorkspace.id, name.trim());
+  };
+
+  const handleDuplicateWorkspace = async () => {
+    reportWorkspaceResult(await duplicateWorkspace(activeWorkspace.id));
+  };
+
+  const handleDeleteWorkspace = async () => {
+    if (!window.confirm(`Delete workspace "${activeWorkspace.name}" and its imported files?`)) return;
+    reportWorkspaceResult(await deleteWorkspace(activeWorkspace.id));
+  };
+
+  const isImported = datasetSource?.origin === 'imported';
+
+  // Keep the selected process map in the URL when switching pages
+  const pageLink = (pathname) => ({
+    pathname,
+    search: activeProcessMap && processMaps.length > 1 ? `?map=${encodeURIComponent(activeProcessMap.id)}` : ''
+  });
 
   return (
     <div className="app-container">
@@ -23,25 +107,135 @@ const Layout = ({ children }) => {
 
           <nav className="nav-menu">
             <Link
-              to="/flow-brain"
+              to={pageLink('/flow-brain')}
               className={`nav-link ${location.pathname === '/flow-brain' ? 'active' : ''}`}
             >
               Flow Brain
             </Link>
             <Link
-              to="/diagram"
+              to={pageLink('/diagram')}
               className={`nav-link ${location.pathname === '/diagram' ? 'active' : ''}`}
             >
               Interactive Diagram
             </Link>
+            <Link
+              to={pageLink('/explorer')}
+              className={`nav-link ${location.pathname === '/explorer' ? 'active' : ''}`}
+            >
+              7-Phase Explorer
+            </Link>
+            <Link
+              to={pageLink('/integrity')}
+              className={`nav-link ${location.pathname === '/integrity' ? 'active' : ''}`}
+            >
+              Integrity
+            </Link>
+            <Link
+              to={pageLink('/drift')}
+              className={`nav-link ${location.pathname === '/drift' ? 'active' : ''}`}
+            >
+              Drift
+            </Link>
+            <Link
+              to={pageLink('/history')}
+              className={`nav-link ${location.pathname === '/history' ? 'active' : ''}`}
+            >
+              History
+            </Link>
+            {comparison && (
+              <Link
+                to="/compare"
+                className={`nav-link ${location.pathname === '/compare' ? 'active' : ''}`}
+              >
+                Compare
+              </Link>
+            )}
           </nav>
 
           <div className="header-actions">
-            <div className="status-indicator">
-              <div className={`status-dot ${isDataLoaded ? 'loaded' : 'not-loaded'}`}></div>
+            {activeWorkspace && (
+              <div className="header-picker workspace-picker">
+                <span className="header-picker-label">Workspace</span>
+                <select
+                  className="header-picker-select"
+                  value={activeWorkspace.id}
+                  onChange={(e) => handleWorkspaceChange(e.target.value)}
+                >
+                  {workspaces.map(workspace => (
+                    <option key={workspace.id} value={workspace.id}>
+                      {workspace.name}
+                    </option>
+                  ))}
+                </select>
+                <div className="workspace-actions">
+                  <button className="status-action" onClick={handleCreateWorkspace} title="Create a workspace with the bundled data">
+                    New
+                  </button>
+                  <button className="status-action" onClick={handleRenameWorkspace}>
+                    Rename
+                  </button>
+                  <button className="status-action" onClick={handleDuplicateWorkspace}>
+                    Duplicate
+                  </button>
+                  <button className="status-action" onClick={handleDeleteWorkspace}>
+                    Delete
+                  </button>
+                </div>
+              </div>
+            )}
+            {isDataLoaded && activeProcessMap && (
+              <div className="header-picker" title={activeProcessMap.description || activeProcessMap.name}>
+                <span className="header-picker-label">Process</span>
+                <select
+                  className="header-picker-select"
+                  value={activeProcessMap.id}
+                  disabled={processMaps.length < 2}
+                  onChange={(e) => handleProcessMapChange(e.target.value)}
+                >
+                  {processMaps.map(processMap => (
+                    <option key={processMap.id} value={processMap.id}>
+                      {processMap.name || processMap.id}
+                    </option>
+                  ))}
+                </select>
+              </div>
+            )}
+            {isDataLoaded && environments.length > 1 && (
+              <div
+                className="header-picker"
+                title={datasetEnvironment !== activeEnvironment
+                  ? `No ${activeEnvironment} files loaded: showing ${datasetEnvironment} data with the template resolved for ${activeEnvironment}`
+                  : `Showing ${activeEnvironment} data`}
+              >
+                <span className="header-picker-label">Env</span>
+                <select
+                  className="header-picker-select"
+                  value={activeEnvironment}
+                  onChange={(e) => selectEnvironment(e.target.value)}
+                >
+                  {environments.map(environment => (
+                    <option key={environment} value={environment}>
+                      {environment}{environmentDatasets[environment] ? '' : ' (template only)'}
+                    </option>
+                  ))}
+                </select>
+              </div>
+            )}
+            <div
+              className="status-indicator"
+              title={datasetSource
+                ? `${datasetSource.fileNames.join(', ')}\nLoaded ${new Date(datasetSource.loadedAt).toLocaleString()}`
+                : undefined}
+            >
+              <div className={`status-dot ${isDataLoaded ? (isImported ? 'imported' : 'loaded') : 'not-loaded'}`}></div>
               <span className="status-text">
-                {isDataLoaded ? 'Data Loaded' : 'No Data'}
+                {isDataLoaded ? (isImported ? 'Imported Data' : 'Bundled Data') : 'No Data'}
               </span>
+              {isImported && (
+                <button className="status-action" onClick={handleRevertToBundled}>
+                  Revert to bundled
+                </button>
+              )}
             </div>
             <button className="import-btn" onClick={() => setShowImport(true)}>
               <svg width="20" height="20" viewBox="0 0 24 24" fill="none" stroke="currentColor" strokeWidth="2">
@@ -0,0 +1,41 @@
+import { useData } from '../contexts/DataContext';
+import './TemplateParameters.css';
+
+// Editor for the CloudFormation parameter values used to resolve the template
+const TemplateParameters = ({ compact = false }) => {
+  const { cloudformationData, templateParameters, setTemplateParameter } = useData();
+  const parameters = Object.entries(cloudformationData?.Parameters || {});
+
+  if (parameters.length === 0) return null;
+
+  return (
+    <div className={`template-parameters ${compact ? 'compact' : ''}`}>
+      <span className="template-parameters-title">Template Parameters</span>
+      {parameters.map(([name, parameter]) => (
+        <label key={name} className="template-parameter" title={parameter.Description || name}>
+          <span className="template-parameter-name">{name}</span>
+          {Array.isArray(parameter.AllowedValues) ? (
+            <select
+              value={templateParameters[name] ?? ''}
+              onChange={(e) => setTemplateParameter(name, e.target.value)}
+            >
+              {parameter.Default === undefined && <option value="">Not set</option>}
+              {parameter.AllowedValues.map(option => (
+                <option key={String(option)} value={String(option)}>{String(option)}</option>
+              ))}
+            </select>
+          ) : (
+            <input
+              type="text"
+              value={templateParameters[name] ?? ''}
+              placeholder="Not set"
+              onChange={(e) => setTemplateParameter(name, e.target.value.trim())}
+            />
+          )}
+        </label>
+      ))}
+    </div>
+  );
+};
+
+export default TemplateParameters;
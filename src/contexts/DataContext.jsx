@@ -1,7 +1,48 @@
-import { createContext, useContext, useState, useEffect } from 'react';
+import { createContext, useContext, useState, useEffect, useMemo, useRef } from 'react';
+import { validateDataFile, validateDataset } from '../utils/schemaValidation';
+import { reconcileResources } from '../utils/cloudformationMatcher';
+import { getDefaultParameterValues, resolveTemplate } from '../utils/cloudformationResolver';
+import { detectEnvironment, getEnvironments } from '../utils/environments';
+import { getProcessMap, getProcessMaps } from '../utils/processMaps';
+import { saveSnapshot } from '../utils/snapshotHistory';
+import { deriveArchitecture } from '../utils/architectureDerivation';
+import { generateArchitecture } from '../utils/cloudformationBootstrap';
+import { DATA_FILE_KINDS, fetchDataFiles, getDatasetLink, loadManifest } from '../utils/datasetManifest';
+import {
+  buildWorkspace,
+  DEFAULT_WORKSPACE_NAME,
+  deleteWorkspace as removeWorkspace,
+  getActiveWorkspaceId,
+  listWorkspaces,
+  saveWorkspace,
+  setActiveWorkspaceId as rememberActiveWorkspace
+} from '../utils/workspaceStore';
 
 const DataContext = createContext();
 
+// Data files served from the public folder
+const BUNDLED_FILES = {
+  architecture: '/architecture.json',
+  process: '/process.json',
+  cloudformation: '/cloudformation.json'
+};
+
+// Parsed files of a validated dataset; the architecture model is derived from process.json,
+// with architecture.json merged over it when supplied. A CloudFormation template on its own
+// is turned into an architecture model.
+const readDataset = (validation) => {
+  const [architectureFile, processData, cloudformationData] = ['architecture', 'process', 'cloudformation']
+    .map(kind => validation.files.find(file => file.kind === kind)?.data || null);
+  const generated = !architectureFile && !processData && Boolean(cloudformationData);
+  const { architectureData, ...architectureMerge } = deriveArchitecture(
+    processData,
+    generated ? generateArchitecture(cloudformationData) : architectureFile
+  );
+  return { architectureData, processData, cloudformationData, architectureMerge: { ...architectureMerge, generated } };
+};
+
+const getFileNames = (files) => Object.values(files).filter(Boolean).map(file => file.fileName);
+
 export const useData = () => {
   const context = useContext(DataContext);
   if (!context) {
@@ -14,36 +55,310 @@ export const DataProvider = ({ children }) => {
   const [architectureData, setArchitectureData] = useState(null);
   const [processData, setProcessData] = useState(null);
   const [cloudformationData, setCloudformationData] = useState(null);
+  const [templateParameters, setTemplateParameters] = useState({});
+  const [environmentVariants, setEnvironmentVariants] = useState({});
+  const [selectedEnvironment, setSelectedEnvironment] = useState(null);
+  const [selectedProcessMapId, setSelectedProcessMapId] = useState(null);
+  const [gapBaseline, setGapBaseline] = useState(null);
+  const [historyRevision, setHistoryRevision] = useState(0);
+  const [diagramDiff, setDiagramDiff] = useState(null);
+  const [comparison, setComparison] = useState(null);
+  const [datasetSource, setDatasetSource] = useState(null);
+  const [architectureMerge, setArchitectureMerge] = useState(null);
+  const [workspaces, setWorkspaces] = useState([]);
+  const [activeWorkspaceId, setActiveWorkspaceId] = useState(null);
   const [isDataLoaded, setIsDataLoaded] = useState(false);
   const [isLoading, setIsLoading] = useState(true);
 
-  const loadFiles = async (archFile, procFile, cfFile = null) => {
+  // Keep every loaded dataset in the snapshot history
+  const recordSnapshot = (dataset) => {
+    saveSnapshot(dataset)
+      .then(() => setHistoryRevision(revision => revision + 1))
+      .catch(error => console.warn('⚠️ Could not save dataset snapshot:', error));
+  };
+
+  // Make a validated dataset the primary one
+  const applyDataset = ({ architectureData: arch, processData: proc, cloudformationData: cf, architectureMerge: merge }, source) => {
+    setArchitectureData(arch);
+    setProcessData(proc);
+    setArchitectureMerge(merge);
+    setEnvironmentVariants({});
+    setSelectedEnvironment(null);
+    setGapBaseline(null);
+    setDiagramDiff(null);
+    setDatasetSource(source);
+    recordSnapshot({
+      architectureData: arch,
+      processData: proc,
+      cloudformationData: cf,
+      source: source.origin === 'bundled' ? 'Bundled data' : source.fileNames.join(', ')
+    });
+
+    // Optional CloudFormation file
+    if (cf) {
+      setCloudformationData(cf);
+      setTemplateParameters(getDefaultParameterValues(cf));
+      console.log('✅ CloudFormation template loaded');
+    } else {
+      setCloudformationData(null);
+      setTemplateParameters({});
+      console.log('⚠️ CloudFormation template not loaded (optional)');
+    }
+
+    setIsDataLoaded(true);
+  };
+
+  // Fetch and validate the files from the public folder
+  const loadBundledData = async () => {
+    const files = await fetchDataFiles(BUNDLED_FILES);
+    const validation = validateDataset(files);
+
+    if (!validation.valid) {
+      console.error('❌ Bundled data files failed schema validation:', validation.files);
+      throw new Error('Bundled data files failed schema validation');
+    }
+
+    applyDataset(readDataset(validation), {
+      origin: 'bundled',
+      fileNames: getFileNames(files),
+      loadedAt: new Date().toISOString()
+    });
+  };
+
+  const loadFiles = async (archFile, procFile, cfFile = null, environment = null, workspaceName = null) => {
     try {
-      // Read required files
-      const archText = await archFile.text();
-      const procText = await procFile.text();
-
-      const arch = JSON.parse(archText);
-      const proc = JSON.parse(procText);
-
-      setArchitectureData(arch);
-      setProcessData(proc);
-
-      // Read optional CloudFormation file
-      if (cfFile) {
-        const cfText = await cfFile.text();
-        const cf = JSON.parse(cfText);
-        setCloudformationData(cf);
-        console.log('✅ CloudFormation template loaded');
+      // Read all files, then validate before anything is committed
+      const files = {
+        architecture: archFile ? { text: await archFile.text(), fileName: archFile.name } : null,
+        process: procFile ? { text: await procFile.text(), fileName: procFile.name } : null,
+        cloudformation: cfFile ? { text: await cfFile.text(), fileName: cfFile.name } : null
+      };
+      const validation = validateDataset(files);
+
+      if (!validation.valid) {
+        console.error('❌ Imported files failed schema validation:', validation.files);
+        return { success: false, error: 'Schema validation failed', validation };
+      }
+
+      const dataset = readDataset(validation);
+
+      // Additional file set for another environment, compared against the primary dataset
+      if (environment && isDataLoaded && environment !== primaryEnvironment) {
+        setEnvironmentVariants(current => ({ ...current, [environment]: dataset }));
+        console.log(`✅ ${environment} environment files loaded`);
+        return { success: true, validation };
+      }
+
+      // The imported dataset goes into the current workspace, or a new one when a name is given
+      const loadedAt = new Date().toISOString();
+      applyDataset(dataset, { origin: 'imported', fileNames: getFileNames(files), loadedAt });
+      if (workspaceName || !activeWorkspace) {
+        const workspace = buildWorkspace(workspaceName || DEFAULT_WORKSPACE_NAME, { files, loadedAt });
+        storeWorkspace(workspace);
+        activateWorkspace(workspace);
+        setSelectedProcessMapId(null);
       } else {
-        setCloudformationData(null);
-        console.log('⚠️ CloudFormation template not loaded (optional)');
+        storeWorkspace({ ...activeWorkspace, files, loadedAt });
       }
+      return { success: true, validation };
+    } catch (error) {
+      console.error('Error loading files:', error);
+      return { success: false, error: error.message };
+    }
+  };
 
-      setIsDataLoaded(true);
+  // Drop the imported dataset and load the files from the public folder again
+  const revertToBundledData = async () => {
+    try {
+      await loadBundledData();
+      if (activeWorkspace) storeWorkspace({ ...activeWorkspace, files: null, loadedAt: null });
+      console.log('✅ Reverted to bundled data');
       return { success: true };
     } catch (error) {
-      console.error('Error loading files:', error);
+      console.error('❌ Error loading bundled data:', error);
+      return { success: false, error: error.message };
+    }
+  };
+
+  const activeWorkspace = workspaces.find(workspace => workspace.id === activeWorkspaceId) || null;
+
+  // Update the workspace list right away and persist the workspace in the background
+  const storeWorkspace = (workspace) => {
+    setWorkspaces(current => (current.some(item => item.id === workspace.id)
+      ? current.map(item => (item.id === workspace.id ? workspace : item))
+      : [...current, workspace]));
+    saveWorkspace(workspace).catch(error => console.warn('⚠️ Could not save workspace:', error));
+  };
+
+  const activateWorkspace = (workspace) => {
+    setActiveWorkspaceId(workspace.id);
+    rememberActiveWorkspace(workspace.id);
+  };
+
+  // Load a workspace's files (or the bundled data) and restore its view settings
+  const openWorkspace = async (workspace) => {
+    if (workspace.files) {
+      const validation = validateDataset(workspace.files);
+      if (!validation.valid) {
+        console.error(`❌ Workspace "${workspace.name}" failed schema validation:`, validation.files);
+        return { success: false, error: 'Schema validation failed', validation };
+      }
+      applyDataset(readDataset(validation), {
+        origin: 'imported',
+        fileNames: getFileNames(workspace.files),
+        loadedAt: workspace.loadedAt
+      });
+    } else {
+      await loadBundledData();
+    }
+
+    const { processMapId, environment, templateParameters: parameters } = workspace.settings;
+    setSelectedProcessMapId(processMapId);
+    setSelectedEnvironment(environment);
+    if (parameters) setTemplateParameters(parameters);
+    activateWorkspace(workspace);
+    console.log(`✅ Workspace "${workspace.name}" opened`);
+    return { success: true };
+  };
+
+  const switchWorkspace = async (id) => {
+    const workspace = workspaces.find(item => item.id === id);
+    if (!workspace) return { success: false, error: `Unknown workspace: ${id}` };
+    try {
+      return await openWorkspace(workspace);
+    } catch (error) {
+      console.error('❌ Error opening workspace:', error);
+      return { success: false, error: error.message };
+    }
+  };
+
+  // New workspaces start from the bundled data
+  const createWorkspace = async (name) => {
+    const workspace = buildWorkspace(name);
+    storeWorkspace(workspace);
+    try {
+      return await openWorkspace(workspace);
+    } catch (error) {
+      console.error('❌ Error opening workspace:', error);
+      return { success: false, error: error.message };
+    }
+  };
+
+  // Named diagram layouts belong to the open workspace; saving under an existing name replaces it
+  const saveDiagramLayout = (layout) => {
+    if (!activeWorkspace) return;
+    const diagramLayouts = activeWorkspace.diagramLayouts.filter(item => item.name !== layout.name);
+    storeWorkspace({ ...activeWorkspace, diagramLayouts: [...diagramLayouts, layout] });
+  };
+
+  const deleteDiagramLayout = (name) => {
+    if (!activeWorkspace) return;
+    storeWorkspace({
+      ...activeWorkspace,
+      diagramLayouts: activeWorkspace.diagramLayouts.filter(item => item.name !== name)
+    });
+  };
+
+  const renameWorkspace = (id, name) => {
+    const workspace = workspaces.find(item => item.id === id);
+    if (workspace) storeWorkspace({ ...workspace, name });
+  };
+
+  const duplicateWorkspace = async (id) => {
+    const workspace = workspaces.find(item => item.id === id);
+    if (!workspace) return { success: false, error: `Unknown workspace: ${id}` };
+    const copy = buildWorkspace(`${workspace.name} (copy)`, workspace);
+    storeWorkspace(copy);
+    try {
+      return await openWorkspace(copy);
+    } catch (error) {
+      console.error('❌ Error opening workspace:', error);
+      return { success: false, error: error.message };
+    }
+  };
+
+  // Deleting the open workspace switches to another one; the last one is replaced by a fresh default
+  const deleteWorkspace = async (id) => {
+    const remaining = workspaces.filter(workspace => workspace.id !== id);
+    setWorkspaces(remaining);
+    removeWorkspace(id).catch(error => console.warn('⚠️ Could not delete workspace:', error));
+    if (id !== activeWorkspaceId) return { success: true };
+    if (remaining.length === 0) return createWorkspace(DEFAULT_WORKSPACE_NAME);
+    try {
+      return await openWorkspace(remaining[0]);
+    } catch (error) {
+      console.error('❌ Error opening workspace:', error);
+      return { success: false, error: error.message };
+    }
+  };
+
+  // Fetch a dataset linked by URL into its own workspace; opening the same link again refreshes that workspace
+  const openLinkedDataset = async (link, saved) => {
+    const { name, files: urls } = link.manifestUrl ? await loadManifest(link.manifestUrl) : link;
+    const linkedFrom = link.manifestUrl || DATA_FILE_KINDS.map(kind => urls[kind]).filter(Boolean).join(' + ');
+    const files = await fetchDataFiles(urls);
+    const loadedAt = new Date().toISOString();
+
+    const existing = saved.find(workspace => workspace.linkedFrom === linkedFrom);
+    const workspace = existing
+      ? { ...existing, name: name || existing.name, files, loadedAt }
+      : { ...buildWorkspace(name || 'Linked dataset', { files, loadedAt }), linkedFrom };
+
+    console.log(`🔄 Loading linked dataset from ${linkedFrom}...`);
+    const result = await openWorkspace(workspace);
+    if (result.success) storeWorkspace(workspace);
+    return result;
+  };
+
+  // Baseline process.json for gap analysis (what exists today)
+  const loadGapBaseline = async (file) => {
+    try {
+      const report = validateDataFile('process', await file.text(), file.name);
+      if (!report.valid) {
+        console.error('❌ Baseline file failed schema validation:', report);
+        return { success: false, error: 'Schema validation failed', validation: { valid: false, files: [report] } };
+      }
+
+      setGapBaseline({ name: file.name, processData: report.data });
+      console.log('✅ Gap analysis baseline loaded');
+      return { success: true };
+    } catch (error) {
+      console.error('Error loading baseline:', error);
+      return { success: false, error: error.message };
+    }
+  };
+
+  // Two versions of architecture.json (and optionally process.json) to review side by side
+  const loadComparison = async ({ oldArchitecture, newArchitecture, oldProcess = null, newProcess = null }) => {
+    try {
+      const entries = [
+        ['architecture', 'old', oldArchitecture],
+        ['architecture', 'new', newArchitecture],
+        ['process', 'old', oldProcess],
+        ['process', 'new', newProcess]
+      ].filter(([, , file]) => file);
+
+      const reports = await Promise.all(entries.map(async ([kind, side, file]) => {
+        const report = validateDataFile(kind, await file.text(), file.name);
+        return { ...report, side, label: `${report.label} (${side})` };
+      }));
+      const validation = { valid: reports.every(report => report.valid), files: reports };
+
+      if (!validation.valid) {
+        console.error('❌ Comparison files failed schema validation:', reports);
+        return { success: false, error: 'Schema validation failed', validation };
+      }
+
+      const version = (side) => ({
+        label: reports.filter(report => report.side === side).map(report => report.fileName).join(', '),
+        architectureData: reports.find(report => report.side === side && report.kind === 'architecture').data,
+        processData: reports.find(report => report.side === side && report.kind === 'process')?.data || null
+      });
+      setComparison({ before: version('old'), after: version('new') });
+      console.log('✅ Comparison files loaded');
+      return { success: true, validation };
+    } catch (error) {
+      console.error('Error loading comparison files:', error);
       return { success: false, error: error.message };
     }
   };
@@ -52,59 +367,176 @@ export const DataProvider = ({ children }) => {
     setArchitectureData(null);
     setProcessData(null);
     setCloudformationData(null);
+    setTemplateParameters({});
+    setEnvironmentVariants({});
+    setSelectedEnvironment(null);
+    setSelectedProcessMapId(null);
+    setGapBaseline(null);
+    setDiagramDiff(null);
+    setDatasetSource(null);
+    setArchitectureMerge(null);
     setIsDataLoaded(false);
   };
 
-  // Auto-load files from public folder on mount
-  useEffect(() => {
-    const autoLoadFiles = async () => {
-      try {
-        console.log('🔄 Auto-loading data files from public folder...');
-
-        // Fetch files from public folder
-        const [archResponse, procResponse, cfResponse] = await Promise.all([
-          fetch('/architecture.json'),
-          fetch('/process.json'),
-          fetch('/cloudformation.json')
-        ]);
-
-        if (!archResponse.ok || !procResponse.ok) {
-          throw new Error('Failed to load required data files');
-        }
-
-        const arch = await archResponse.json();
-        const proc = await procResponse.json();
-
-        setArchitectureData(arch);
-        setProcessData(proc);
-        console.log('✅ Architecture and Process data loaded');
+  // Reopen the last workspace, or create a default one showing the files from the public folder, on mount.
+  // The mount effect calls it through a ref, so it always sees the current loaders yet runs only once.
+  const autoLoadFilesRef = useRef(null);
+  autoLoadFilesRef.current = async () => {
+    try {
+      const saved = await listWorkspaces().catch(error => {
+        console.warn('⚠️ Could not read the saved workspaces:', error);
+        return [];
+      });
+      setWorkspaces(saved);
 
-        // Load CloudFormation if available
-        if (cfResponse.ok) {
-          const cf = await cfResponse.json();
-          setCloudformationData(cf);
-          console.log('✅ CloudFormation template loaded');
-        } else {
-          console.log('⚠️ CloudFormation template not found (optional)');
+      // ?manifest= (or direct file URLs) takes precedence over the last workspace
+      const link = getDatasetLink(window.location.search);
+      if (link) {
+        const result = await openLinkedDataset(link, saved).catch(error => ({ success: false, error: error.message }));
+        if (result.success) {
+          setIsLoading(false);
+          return;
         }
+        console.error('❌ Error loading linked dataset:', result.validation?.files || result.error);
+        alert(`Could not load the linked dataset: ${result.error}`);
+      }
 
-        setIsDataLoaded(true);
+      if (saved.length === 0) {
+        console.log('🔄 Auto-loading data files from public folder...');
+        const workspace = buildWorkspace(DEFAULT_WORKSPACE_NAME);
+        storeWorkspace(workspace);
+        await openWorkspace(workspace);
         setIsLoading(false);
         console.log('✅ All data loaded successfully');
-      } catch (error) {
-        console.error('❌ Error auto-loading files:', error);
-        setIsLoading(false);
-        // Don't set error state - just show the import dialog
+        return;
       }
-    };
 
-    autoLoadFiles();
+      const workspace = saved.find(item => item.id === getActiveWorkspaceId()) || saved[0];
+      const result = await openWorkspace(workspace);
+      if (!result.success) {
+        // Keep the workspace selected so its files can be replaced by a new import
+        console.warn('⚠️ Loading bundled data instead');
+        await loadBundledData();
+        activateWorkspace(workspace);
+      }
+      setIsLoading(false);
+    } catch (error) {
+      console.error('❌ Error auto-loading files:', error);
+      setIsLoading(false);
+      // Don't set error state - just show the import dialog
+    }
+  };
+
+  useEffect(() => {
+    autoLoadFilesRef.current();
   }, []);
 
+  // Keep the open workspace's view settings up to date
+  useEffect(() => {
+    if (!activeWorkspace) return;
+    const settings = {
+      processMapId: selectedProcessMapId,
+      environment: selectedEnvironment,
+      templateParameters
+    };
+    if (JSON.stringify(settings) !== JSON.stringify(activeWorkspace.settings)) {
+      storeWorkspace({ ...activeWorkspace, settings });
+    }
+  }, [activeWorkspace, selectedProcessMapId, selectedEnvironment, templateParameters]);
+
+  // Environments declared in process.json; the primary dataset's environment is read from its IDs
+  const environments = useMemo(() => getEnvironments(processData), [processData]);
+  const primaryEnvironment = useMemo(
+    () => detectEnvironment(architectureData, environments),
+    [architectureData, environments]
+  );
+  const activeEnvironment = selectedEnvironment || primaryEnvironment;
+
+  // Every loaded file set, keyed by environment
+  const environmentDatasets = useMemo(
+    () => ({
+      ...environmentVariants,
+      [primaryEnvironment]: { architectureData, processData, cloudformationData, architectureMerge }
+    }),
+    [environmentVariants, primaryEnvironment, architectureData, processData, cloudformationData, architectureMerge]
+  );
+
+  // Environments without their own files show the primary dataset
+  const activeDataset = environmentVariants[activeEnvironment] || environmentDatasets[primaryEnvironment];
+  const datasetEnvironment = environmentVariants[activeEnvironment] ? activeEnvironment : primaryEnvironment;
+  const activeTemplate = activeDataset.cloudformationData || cloudformationData;
+
+  const selectEnvironment = (environment) => {
+    setSelectedEnvironment(environment);
+    // Resolve the template for the chosen environment when it takes an Environment parameter
+    const allowed = activeTemplate?.Parameters?.Environment?.AllowedValues;
+    if (activeTemplate?.Parameters?.Environment && (!allowed || allowed.includes(environment))) {
+      setTemplateParameters(current => ({ ...current, Environment: environment }));
+    }
+  };
+
+  // Process map shown by the pages; the first one unless another is selected
+  const processMaps = useMemo(() => getProcessMaps(activeDataset.processData), [activeDataset]);
+  const activeProcessMap = useMemo(
+    () => getProcessMap(activeDataset.processData, selectedProcessMapId),
+    [activeDataset, selectedProcessMapId]
+  );
+
+  // Architecture <-> CloudFormation reconciliation shared by every page
+  const reconciliation = useMemo(
+    () => reconcileResources(activeDataset.architectureData, activeTemplate, activeDataset.processData),
+    [activeDataset, activeTemplate]
+  );
+
+  // CloudFormation template evaluated against the chosen parameter values
+  const resolvedTemplate = useMemo(
+    () => resolveTemplate(activeTemplate, templateParameters),
+    [activeTemplate, templateParameters]
+  );
+
+  const setTemplateParameter = (name, parameterValue) => {
+    setTemplateParameters(current => ({ ...current, [name]: parameterValue }));
+  };
+
   const value = {
-    architectureData,
-    processData,
-    cloudformationData,
+    architectureData: activeDataset.architectureData,
+    processData: activeDataset.processData,
+    architectureMerge: activeDataset.architectureMerge,
+    cloudformationData: activeTemplate,
+    reconciliation,
+    environments,
+    primaryEnvironment,
+    activeEnvironment,
+    datasetEnvironment,
+    environmentDatasets,
+    selectEnvironment,
+    processMaps,
+    activeProcessMap,
+    selectProcessMap: setSelectedProcessMapId,
+    templateParameters,
+    setTemplateParameter,
+    resolvedTemplate,
+    gapBaseline,
+    loadGapBaseline,
+    clearGapBaseline: () => setGapBaseline(null),
+    historyRevision,
+    diagramDiff,
+    showDiagramDiff: setDiagramDiff,
+    clearDiagramDiff: () => setDiagramDiff(null),
+    comparison,
+    loadComparison,
+    datasetSource,
+    revertToBundledData,
+    workspaces,
+    activeWorkspace,
+    switchWorkspace,
+    createWorkspace,
+    renameWorkspace,
+    duplicateWorkspace,
+    deleteWorkspace,
+    diagramLayouts: activeWorkspace?.diagramLayouts || [],
+    saveDiagramLayout,
+    deleteDiagramLayout,
     isDataLoaded,
     isLoading,
     loadFiles,
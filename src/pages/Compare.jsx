@@ -0,0 +1,86 @@
+import { useMemo, useState } from 'react';
+import { useData } from '../contexts/DataContext';
+import { diffArchitectures, diffProcessResources } from '../utils/architectureDiff';
+import ArchitectureDiffReport from '../components/ArchitectureDiffReport';
+import './Reports.css';
+
+// Top-level service fields a review can be narrowed to
+const FIELD_AREAS = ['metadata', 'connections', 'requirements'];
+
+const Compare = () => {
+  const { comparison } = useData();
+  const [areas, setAreas] = useState(new Set(FIELD_AREAS));
+  const [showOtherFields, setShowOtherFields] = useState(true);
+
+  const diff = useMemo(
+    () => (comparison ? diffArchitectures(comparison.before.architectureData, comparison.after.architectureData) : null),
+    [comparison]
+  );
+  const processDiff = useMemo(
+    () => (comparison?.before.processData && comparison?.after.processData
+      ? diffProcessResources(comparison.before.processData, comparison.after.processData)
+      : null),
+    [comparison]
+  );
+
+  if (!comparison) {
+    return (
+      <div className="page-container">
+        <div className="welcome-message">
+          <h2>Welcome to Version Comparison</h2>
+          <p>Please import an old and a new version of architecture.json to review what changed between them.</p>
+          <div className="import-hint">
+            Click the "Import Files" button in the header and choose "Compare Versions".
+          </div>
+        </div>
+      </div>
+    );
+  }
+
+  // Keep only the field-level changes in the selected areas
+  const isShown = (change) => {
+    const area = change.path.split(/[.[]/)[0];
+    return FIELD_AREAS.includes(area) ? areas.has(area) : showOtherFields;
+  };
+  const filterModified = (entries) => entries
+    .map(entry => ({ ...entry, changes: entry.changes.filter(isShown) }))
+    .filter(entry => entry.changes.length > 0);
+
+  const filteredDiff = { ...diff, services: { ...diff.services, modified: filterModified(diff.services.modified) } };
+  const filteredProcessDiff = processDiff && { ...processDiff, modified: filterModified(processDiff.modified) };
+
+  const toggleArea = (area) => {
+    const next = new Set(areas);
+    if (next.has(area)) next.delete(area);
+    else next.add(area);
+    setAreas(next);
+  };
+
+  return (
+    <div className="page-container report-page">
+      <div className="report-header">
+        <h2 className="report-title">Version Comparison</h2>
+        <p className="report-subtitle">
+          <strong>Old:</strong> {comparison.before.label} &nbsp;→&nbsp; <strong>New:</strong> {comparison.after.label}
+        </p>
+      </div>
+
+      <div className="report-toolbar">
+        {FIELD_AREAS.map(area => (
+          <label key={area} className="report-checkbox">
+            <input type="checkbox" checked={areas.has(area)} onChange={() => toggleArea(area)} />
+            {area}
+          </label>
+        ))}
+        <label className="report-checkbox">
+          <input type="checkbox" checked={showOtherFields} onChange={(e) => setShowOtherFields(e.target.checked)} />
+          other fields
+        </label>
+      </div>
+
+      <ArchitectureDiffReport diff={filteredDiff} processDiff={filteredProcessDiff} detailed linkToDiagram={false} />
+    </div>
+  );
+};
+
+export default Compare;
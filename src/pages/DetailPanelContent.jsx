@@ -1,5 +1,6 @@
 import React from 'react';
 import { getAWSServiceIcon } from '../utils/awsServiceIcons';
+import TemplateParameters from '../components/TemplateParameters';
 
 // Helper function to get service icon URL
 const getServiceIconUrl = (type) => {
@@ -283,90 +284,309 @@ export const RequirementsTab = ({ service, architectureData }) => {
   );
 };
 
-// Configuration Tab Content
-export const ConfigurationTab = ({ service }) => {
-  const serviceType = service?.type?.toLowerCase();
+// Format a CloudFormation property value, keeping intrinsic functions readable
+const formatCfnValue = (value) => {
+  if (value === undefined || value === null) return '—';
+  if (typeof value === 'boolean') return value ? 'Enabled' : 'Disabled';
+  if (typeof value !== 'object') return String(value);
+  if (value.Ref) return `!Ref ${value.Ref}`;
+  if (value['Fn::Sub']) return `!Sub ${Array.isArray(value['Fn::Sub']) ? value['Fn::Sub'][0] : value['Fn::Sub']}`;
+  if (value['Fn::GetAtt']) {
+    const getAtt = value['Fn::GetAtt'];
+    return `!GetAtt ${Array.isArray(getAtt) ? getAtt.join('.') : getAtt}`;
+  }
+  return JSON.stringify(value);
+};
 
-  const renderLambdaConfig = () => (
-    <div className="config-grid">
-      <div className="config-item">
-        <div className="config-label">Runtime</div>
-        <p className="config-value">Python 3.11</p>
-      </div>
-      <div className="config-item">
-        <div className="config-label">Handler</div>
-        <p className="config-value config-code">index.handler</p>
-      </div>
-      <div className="config-item">
-        <div className="config-label">Memory</div>
-        <p className="config-value">256 MB</p>
-      </div>
-      <div className="config-item">
-        <div className="config-label">Timeout</div>
-        <p className="config-value">30 seconds</p>
+const toList = (value) => (Array.isArray(value) ? value : value !== undefined ? [value] : []);
+
+const ConfigItem = ({ label, value, code = false }) => (
+  <div className="config-item">
+    <div className="config-label">{label}</div>
+    <p className={`config-value ${code ? 'config-code' : ''}`}>{formatCfnValue(value)}</p>
+  </div>
+);
+
+const ConfigSection = ({ title, children }) => (
+  <div className="detail-section">
+    <h3>{title}</h3>
+    <div className="detail-box">{children}</div>
+  </div>
+);
+
+const describeKeySchema = (keySchema, attributeDefinitions) => toList(keySchema).map(key => {
+  const attribute = toList(attributeDefinitions).find(def => def.AttributeName === key.AttributeName);
+  return `${key.AttributeName}${attribute ? ` (${attribute.AttributeType})` : ''} · ${key.KeyType === 'HASH' ? 'Partition' : 'Sort'}`;
+});
+
+const renderDynamoDBConfig = (properties) => {
+  const indexes = [
+    ...toList(properties.GlobalSecondaryIndexes).map(index => ({ ...index, kind: 'GSI' })),
+    ...toList(properties.LocalSecondaryIndexes).map(index => ({ ...index, kind: 'LSI' }))
+  ];
+
+  return (
+    <>
+      <ConfigSection title="DynamoDB Table">
+        <div className="config-grid">
+          <ConfigItem label="Table Name" value={properties.TableName} code />
+          <ConfigItem label="Billing Mode" value={properties.BillingMode === 'PAY_PER_REQUEST' ? 'On-Demand' : properties.BillingMode || 'PROVISIONED'} />
+          <ConfigItem label="Table Class" value={properties.TableClass || 'STANDARD'} />
+          {properties.ProvisionedThroughput && (
+            <ConfigItem
+              label="Provisioned Capacity"
+              value={`${formatCfnValue(properties.ProvisionedThroughput.ReadCapacityUnits)} RCU / ${formatCfnValue(properties.ProvisionedThroughput.WriteCapacityUnits)} WCU`}
+            />
+          )}
+          <ConfigItem
+            label="Encryption"
+            value={properties.SSESpecification?.SSEEnabled
+              ? `${properties.SSESpecification.SSEType || 'KMS'}${properties.SSESpecification.KMSMasterKeyId ? ` (${formatCfnValue(properties.SSESpecification.KMSMasterKeyId)})` : ''}`
+              : 'AWS Owned Key'}
+          />
+          <ConfigItem label="Point-in-time Recovery" value={Boolean(properties.PointInTimeRecoverySpecification?.PointInTimeRecoveryEnabled)} />
+          <ConfigItem label="Stream" value={properties.StreamSpecification?.StreamViewType || 'Disabled'} />
+          <ConfigItem
+            label="Time to Live"
+            value={properties.TimeToLiveSpecification?.Enabled ? properties.TimeToLiveSpecification.AttributeName : 'Disabled'}
+          />
+        </div>
+      </ConfigSection>
+
+      <ConfigSection title="Key Schema">
+        <div className="config-list">
+          {describeKeySchema(properties.KeySchema, properties.AttributeDefinitions).map(key => (
+            <div key={key} className="config-list-item config-code">{key}</div>
+          ))}
+        </div>
+      </ConfigSection>
+
+      {indexes.length > 0 && (
+        <ConfigSection title={`Secondary Indexes (${indexes.length})`}>
+          <div className="config-list">
+            {indexes.map(index => (
+              <div key={index.IndexName} className="config-list-item">
+                <div className="config-list-title">
+                  <span className="config-tag">{index.kind}</span>
+                  <span className="config-code">{index.IndexName}</span>
+                </div>
+                <div className="config-list-detail">
+                  {describeKeySchema(index.KeySchema, properties.AttributeDefinitions).join(', ')}
+                  {' · Projection: '}{index.Projection?.ProjectionType || 'ALL'}
+                </div>
+              </div>
+            ))}
+          </div>
+        </ConfigSection>
+      )}
+    </>
+  );
+};
+
+const renderS3Config = (properties) => {
+  const encryption = toList(properties.BucketEncryption?.ServerSideEncryptionConfiguration)[0];
+  const publicAccess = properties.PublicAccessBlockConfiguration;
+  const lifecycleRules = toList(properties.LifecycleConfiguration?.Rules);
+
+  return (
+    <>
+      <ConfigSection title="S3 Bucket">
+        <div className="config-grid">
+          <ConfigItem label="Bucket Name" value={properties.BucketName} code />
+          <ConfigItem label="Versioning" value={properties.VersioningConfiguration?.Status || 'Disabled'} />
+          <ConfigItem
+            label="Encryption"
+            value={encryption ? encryption.ServerSideEncryptionByDefault?.SSEAlgorithm : 'Not configured'}
+          />
+          <ConfigItem label="Bucket Key" value={Boolean(encryption?.BucketKeyEnabled)} />
+          <ConfigItem
+            label="Transfer Acceleration"
+            value={properties.AccelerateConfiguration?.AccelerationStatus || 'Disabled'}
+          />
+        </div>
+      </ConfigSection>
+
+      <ConfigSection title="Public Access Block">
+        {publicAccess ? (
+          <div className="config-grid">
+            <ConfigItem label="Block Public ACLs" value={Boolean(publicAccess.BlockPublicAcls)} />
+            <ConfigItem label="Block Public Policy" value={Boolean(publicAccess.BlockPublicPolicy)} />
+            <ConfigItem label="Ignore Public ACLs" value={Boolean(publicAccess.IgnorePublicAcls)} />
+            <ConfigItem label="Restrict Public Buckets" value={Boolean(publicAccess.RestrictPublicBuckets)} />
+          </div>
+        ) : (
+          <p className="no-config">No public access block configured.</p>
+        )}
+      </ConfigSection>
+
+      {lifecycleRules.length > 0 && (
+        <ConfigSection title={`Lifecycle Rules (${lifecycleRules.length})`}>
+          <div className="config-list">
+            {lifecycleRules.map((rule, idx) => (
+              <div key={rule.Id || idx} className="config-list-item">
+                <div className="config-list-title">
+                  <span className="config-code">{rule.Id || `Rule ${idx + 1}`}</span>
+                  <span className="config-tag">{rule.Status}</span>
+                </div>
+                <div className="config-list-detail">
+                  {[
+                    rule.ExpirationInDays && `Expire after ${rule.ExpirationInDays} days`,
+                    rule.NoncurrentVersionExpirationInDays && `Expire old versions after ${rule.NoncurrentVersionExpirationInDays} days`,
+                    ...toList(rule.Transitions).map(t => `${t.StorageClass} after ${t.TransitionInDays} days`)
+                  ].filter(Boolean).join(' · ')}
+                </div>
+              </div>
+            ))}
+          </div>
+        </ConfigSection>
+      )}
+    </>
+  );
+};
+
+const renderPolicyStatements = (statements) => (
+  <div className="config-list">
+    {toList(statements).map((statement, idx) => (
+      <div key={statement.Sid || idx} className="config-list-item">
+        <div className="config-list-title">
+          <span className={`config-tag ${statement.Effect === 'Deny' ? 'deny' : ''}`}>{statement.Effect}</span>
+          <span className="config-code">{statement.Sid || `Statement ${idx + 1}`}</span>
+        </div>
+        <div className="config-list-detail config-code">{toList(statement.Action).join(', ')}</div>
+        <div className="config-list-detail">
+          Resource: <span className="config-code">{toList(statement.Resource).map(formatCfnValue).join(', ')}</span>
+        </div>
       </div>
-    </div>
+    ))}
+  </div>
+);
+
+const renderIAMRoleConfig = (properties) => {
+  const principals = toList(properties.AssumeRolePolicyDocument?.Statement)
+    .flatMap(statement => toList(statement.Principal?.Service));
+
+  return (
+    <>
+      <ConfigSection title="IAM Role">
+        <div className="config-grid">
+          <ConfigItem label="Role Name" value={properties.RoleName} code />
+          <ConfigItem label="Trusted Services" value={principals.join(', ') || '—'} />
+          <ConfigItem label="Managed Policies" value={toList(properties.ManagedPolicyArns).length} />
+          <ConfigItem label="Inline Policies" value={toList(properties.Policies).length} />
+        </div>
+      </ConfigSection>
+
+      {toList(properties.ManagedPolicyArns).length > 0 && (
+        <ConfigSection title="Managed Policies">
+          <div className="config-list">
+            {toList(properties.ManagedPolicyArns).map((arn, idx) => (
+              <div key={idx} className="config-list-item config-code">{formatCfnValue(arn)}</div>
+            ))}
+          </div>
+        </ConfigSection>
+      )}
+
+      {toList(properties.Policies).map(policy => (
+        <ConfigSection key={policy.PolicyName} title={`Policy: ${policy.PolicyName}`}>
+          {renderPolicyStatements(policy.PolicyDocument?.Statement)}
+        </ConfigSection>
+      ))}
+    </>
   );
+};
 
-  const renderDynamoDBConfig = () => (
+const renderLambdaConfig = (properties) => (
+  <ConfigSection title="Lambda Function">
     <div className="config-grid">
-      <div className="config-item">
-        <div className="config-label">Billing Mode</div>
-        <p className="config-value">On-Demand</p>
-      </div>
-      <div className="config-item">
-        <div className="config-label">Table Class</div>
-        <p className="config-value">Standard</p>
-      </div>
-      <div className="config-item">
-        <div className="config-label">Encryption</div>
-        <p className="config-value">AWS Managed</p>
-      </div>
-      <div className="config-item">
-        <div className="config-label">Point-in-time Recovery</div>
-        <p className="config-value">Enabled</p>
-      </div>
+      <ConfigItem label="Function Name" value={properties.FunctionName} code />
+      <ConfigItem label="Runtime" value={properties.Runtime} />
+      <ConfigItem label="Handler" value={properties.Handler} code />
+      <ConfigItem label="Memory" value={properties.MemorySize !== undefined ? `${properties.MemorySize} MB` : '128 MB (default)'} />
+      <ConfigItem label="Timeout" value={properties.Timeout !== undefined ? `${properties.Timeout} seconds` : '3 seconds (default)'} />
+      <ConfigItem label="Execution Role" value={properties.Role} code />
+      <ConfigItem label="Architecture" value={toList(properties.Architectures).join(', ') || 'x86_64'} />
+      <ConfigItem
+        label="Environment Variables"
+        value={Object.keys(properties.Environment?.Variables || {}).join(', ') || 'None'}
+      />
     </div>
-  );
+  </ConfigSection>
+);
 
-  const renderS3Config = () => (
+const renderSecretConfig = (properties) => (
+  <ConfigSection title="Secrets Manager Secret">
     <div className="config-grid">
-      <div className="config-item">
-        <div className="config-label">Versioning</div>
-        <p className="config-value">Enabled</p>
-      </div>
-      <div className="config-item">
-        <div className="config-label">Encryption</div>
-        <p className="config-value">AES-256</p>
-      </div>
-      <div className="config-item">
-        <div className="config-label">Public Access</div>
-        <p className="config-value">Blocked</p>
-      </div>
-      <div className="config-item">
-        <div className="config-label">Transfer Acceleration</div>
-        <p className="config-value">Disabled</p>
-      </div>
+      <ConfigItem label="Secret Name" value={properties.Name} code />
+      <ConfigItem label="KMS Key" value={properties.KmsKeyId || 'aws/secretsmanager'} code />
+      <ConfigItem
+        label="Value Source"
+        value={properties.GenerateSecretString ? 'Generated' : properties.SecretString ? 'Static string' : 'Not set'}
+      />
+      <ConfigItem label="Replicas" value={toList(properties.ReplicaRegions).length || 'None'} />
     </div>
-  );
+  </ConfigSection>
+);
+
+const renderGenericConfig = (properties) => (
+  <ConfigSection title="Properties">
+    <div className="config-grid">
+      {Object.entries(properties)
+        .filter(([key]) => key !== 'Tags')
+        .map(([key, value]) => (
+          <ConfigItem key={key} label={key.replace(/([A-Z])/g, ' $1').trim()} value={value} />
+        ))}
+    </div>
+  </ConfigSection>
+);
+
+// Renderer per CloudFormation resource type
+const CONFIG_RENDERERS = {
+  'AWS::DynamoDB::Table': renderDynamoDBConfig,
+  'AWS::S3::Bucket': renderS3Config,
+  'AWS::IAM::Role': renderIAMRoleConfig,
+  'AWS::Lambda::Function': renderLambdaConfig,
+  'AWS::Serverless::Function': renderLambdaConfig,
+  'AWS::SecretsManager::Secret': renderSecretConfig
+};
+
+// Configuration Tab Content
+export const ConfigurationTab = ({ cloudformation, templateLoaded }) => {
+  if (!cloudformation) {
+    return (
+      <div className="detail-section">
+        <h3>Configuration</h3>
+        <div className="detail-box no-template-data">
+          <p className="no-config">No template data</p>
+          <p className="no-config-hint">
+            {templateLoaded
+              ? 'This resource is not declared in the loaded CloudFormation template, so its configuration is unknown.'
+              : 'Import a CloudFormation template to see the configuration of this resource.'}
+          </p>
+        </div>
+      </div>
+    );
+  }
+
+  const { logicalId, resource } = cloudformation;
+  const render = CONFIG_RENDERERS[resource.Type] || renderGenericConfig;
 
   return (
     <>
+      <TemplateParameters compact />
       <div className="detail-section">
-        <h3>
-          {serviceType === 'lambda' ? 'Lambda Configuration' :
-           serviceType === 'dynamodb' ? 'DynamoDB Configuration' :
-           'Configuration'}
-        </h3>
+        <h3>CloudFormation Resource</h3>
         <div className="detail-box">
-          {serviceType === 'lambda' && renderLambdaConfig()}
-          {serviceType === 'dynamodb' && renderDynamoDBConfig()}
-          {serviceType === 's3' && renderS3Config()}
-          {!['lambda', 'dynamodb', 's3'].includes(serviceType) && (
-            <p className="no-config">Configuration details not available for this resource type.</p>
-          )}
+          <div className="detail-item">
+            <span className="detail-label">Logical ID</span>
+            <code className="resource-id-code">{logicalId}</code>
+          </div>
+          <div className="detail-item">
+            <span className="detail-label">Type</span>
+            <span className="detail-value">{resource.Type}</span>
+          </div>
         </div>
       </div>
+      {render(resource.Properties || {})}
     </>
   );
 };
@@ -1,13 +1,192 @@
-import { useEffect, useRef, useState } from 'react';
+import { useEffect, useMemo, useRef, useState } from 'react';
+import { useSearchParams } from 'react-router-dom';
 import { useData } from '../contexts/DataContext';
 import * as d3 from 'd3';
 import './Diagram.css';
 import { OverviewTab, ConnectionsTab, RequirementsTab, ConfigurationTab, CodeTab } from './DetailPanelContent';
 import { getAWSServiceIcon } from '../utils/awsServiceIcons';
+import { checkIntegrity } from '../utils/integrityCheck';
+import { compareEnvironments, ENVIRONMENT_STATUS } from '../utils/environments';
+import { compareProcessOrder } from '../utils/processOrder';
+import { filterArchitectureByProcessMap } from '../utils/processMaps';
+import { DIFF_STATUS } from '../utils/architectureDiff';
+import { downloadJson } from '../utils/fileDownload';
+import { DEFAULT_LAYOUT_ALGORITHM, getLayoutBounds, LAYOUT_ALGORITHMS } from '../utils/graphLayout';
+import {
+  buildDiagramLayout,
+  getLayoutFileName,
+  matchDiagramLayout,
+  parseLayoutFile,
+  toLayoutFile
+} from '../utils/diagramLayouts';
+import { runLayout } from '../utils/layoutEngine';
+import { getRouteMidpoint, routeEdges, toRoutePath } from '../utils/edgeRouting';
+
+// Process architecture data and extract layer information
+const processArchitectureData = (data, processOrders) => {
+  if (!data || !data.services) return { layers: [], services: [], connections: [] };
+
+  const layers = {};
+  const services = [];
+  const connections = [];
+
+  // Create layer definitions from architecture data if available
+  const layerDefinitions = {};
+  if (data.layers && Array.isArray(data.layers)) {
+    data.layers.forEach(layer => {
+      layerDefinitions[layer.id] = {
+        number: layer.id,
+        name: layer.name,
+        // Layers derived from process.json carry no colour
+        color: layer.color || getLayerColor(layer.id),
+        description: layer.description,
+        services: []
+      };
+    });
+  }
+
+  // Group services by layer
+  Object.entries(data.services).forEach(([id, service]) => {
+    const layerNumber = service.layer || 1;
+
+    // Use layer definition if available, otherwise create default
+    if (!layers[layerNumber]) {
+      if (layerDefinitions[layerNumber]) {
+        layers[layerNumber] = { ...layerDefinitions[layerNumber] };
+      } else {
+        layers[layerNumber] = {
+          number: layerNumber,
+          name: `Layer ${layerNumber}`,
+          services: [],
+          color: getLayerColor(layerNumber)
+        };
+      }
+    }
+
+    layers[layerNumber].services.push({ ...service, id });
+    services.push({ ...service, id });
+  });
+
+  // Extract connections from service data
+  Object.entries(data.services).forEach(([id, service]) => {
+    // Add outbound connections
+    if (service.connections?.outbound) {
+      service.connections.outbound.forEach(target => {
+        connections.push({
+          from: id,
+          to: target.target || target,
+          type: target.type || 'default',
+          label: target.label
+        });
+      });
+    }
+  });
+
+  // Within a layer, services in the process flow come first, in step order
+  Object.values(layers).forEach(layer => {
+    layer.services.sort((a, b) => compareProcessOrder(processOrders.get(a.id), processOrders.get(b.id)));
+  });
+
+  return {
+    layers: Object.values(layers).sort((a, b) => a.number - b.number),
+    services,
+    connections
+  };
+};
+
+// Get layer color based on layer number
+const getLayerColor = (layerNumber) => {
+  const colors = {
+    1: '#3b82f6',
+    2: '#a855f7',
+    3: '#ec4899',
+    4: '#f59e0b',
+    5: '#10b981'
+  };
+  return colors[layerNumber] || '#6b7280';
+};
+
+// Get service type color
+const getServiceColor = (type) => {
+  const colors = {
+    lambda: '#ff9900',
+    dynamodb: '#4b61d1',
+    s3: '#569a31',
+    apigateway: '#ff4f00',
+    secretsmanager: '#dd344c',
+    cloudwatch: '#759eeb',
+    iam: '#dd3444',
+    sns: '#ff9900',
+    sqs: '#ff9900',
+    stepfunctions: '#e7157b'
+  };
+  return colors[type] || '#6b7280';
+};
+
+// Node size shared by drawing and layout
+const NODE_WIDTH = 320;
+const NODE_HEIGHT = 80;
+
+// Duration of the animated move between layouts
+const LAYOUT_TRANSITION_MS = 750;
+
+// Prefix of layout picker values that select a saved layout rather than an algorithm
+const SAVED_LAYOUT_PREFIX = 'saved:';
+
+// x of the nearest column of a service's architecture layer, where a dragged node is dropped: the
+// columns of the layer's band, or in the layered layout the ranks holding services of that layer
+const snapToColumn = (layout, layer, x) => {
+  const layerColumns = new Set(layer.services.map(service => layout.positions[service.id]?.x));
+  const columns = layout.bands.find(band => band.layer === layer.number)?.columns
+    || layout.columns.filter(column => layerColumns.has(column));
+  if (columns.length === 0) return Math.round(x);
+  return columns.reduce((best, column) => (Math.abs(column - x) < Math.abs(best - x) ? column : best));
+};
+
+// Quick route between two node centres while a node is dragged: out of the facing sides with
+// one vertical jog halfway. The full routing around nodes runs once the node is dropped.
+const dragRoutePoints = (from, to) => {
+  const direction = to.x >= from.x ? 1 : -1;
+  const startX = from.x + direction * NODE_WIDTH / 2;
+  const endX = to.x - direction * NODE_WIDTH / 2;
+  const midX = (startX + endX) / 2;
+  return [[startX, from.y], [midX, from.y], [midX, to.y], [endX, to.y]];
+};
+
+// Zoom level from which every connection label is shown, not just the hovered one
+const CONNECTION_LABEL_ZOOM = 1.5;
 
 const Diagram = () => {
-  const { isDataLoaded, architectureData, processData, cloudformationData } = useData();
+  const {
+    isDataLoaded,
+    architectureData: loadedArchitecture,
+    processData,
+    activeProcessMap,
+    cloudformationData,
+    reconciliation,
+    resolvedTemplate,
+    templateParameters,
+    environments,
+    datasetEnvironment,
+    environmentDatasets,
+    diagramDiff,
+    clearDiagramDiff,
+    activeWorkspace,
+    diagramLayouts,
+    saveDiagramLayout,
+    deleteDiagramLayout
+  } = useData();
+  // A diff from the History page renders both versions, removed services included
+  const architectureData = diagramDiff?.architectureData || loadedArchitecture;
+  const [searchParams] = useSearchParams();
   const svgRef = useRef(null);
+  const zoomRef = useRef(null);
+  const nodePositionsRef = useRef(new Map());
+  // Layout of the last drawing, to animate from when the layout changes
+  const drawnLayoutRef = useRef(null);
+  // Hand-placed node positions (top-left, by service ID), drawn over the computed layout
+  const manualPositionsRef = useRef({});
+  const layoutFileInputRef = useRef(null);
   const [sidebarCollapsed, setSidebarCollapsed] = useState(false);
   const [selectedService, setSelectedService] = useState(null);
   const [detailsOpen, setDetailsOpen] = useState(false);
@@ -16,124 +195,87 @@ const Diagram = () => {
   const [activeFilters, setActiveFilters] = useState(new Set());
   const [expandedLayers, setExpandedLayers] = useState(new Set());
   const [showConnections, setShowConnections] = useState(true);
+  const [compareMode, setCompareMode] = useState(false);
+  const [layoutAlgorithm, setLayoutAlgorithm] = useState(DEFAULT_LAYOUT_ALGORITHM);
+  const [layout, setLayout] = useState(null);
+  // Positions of the saved layout last applied; a new value redraws the diagram
+  const [appliedPositions, setAppliedPositions] = useState(null);
+  const [activeSavedLayout, setActiveSavedLayout] = useState(null);
+  const [layoutEdited, setLayoutEdited] = useState(false);
+
+  // Step of each service in the active process map (service ID -> processOrder)
+  const processOrders = useMemo(() => new Map(
+    (activeProcessMap?.resources || []).map(resource => [resource.id, resource.processOrder])
+  ), [activeProcessMap]);
+
+  // Only the services of the selected process map, plus those no map references
+  const diagramModel = useMemo(
+    () => processArchitectureData(
+      filterArchitectureByProcessMap(architectureData, processData, activeProcessMap),
+      processOrders
+    ),
+    [architectureData, processData, activeProcessMap, processOrders]
+  );
 
-  // Process architecture data and extract layer information
-  const processArchitectureData = (data) => {
-    if (!data || !data.services) return { layers: [], services: [], connections: [] };
-
-    const layers = {};
-    const services = [];
-    const connections = [];
-
-    // Create layer definitions from architecture data if available
-    const layerDefinitions = {};
-    if (data.layers && Array.isArray(data.layers)) {
-      data.layers.forEach(layer => {
-        layerDefinitions[layer.id] = {
-          number: layer.id,
-          name: layer.name,
-          color: layer.color,
-          description: layer.description,
-          services: []
-        };
-      });
-    }
-
-    // Group services by layer
-    Object.entries(data.services).forEach(([id, service]) => {
-      const layerNumber = service.layer || 1;
-
-      // Use layer definition if available, otherwise create default
-      if (!layers[layerNumber]) {
-        if (layerDefinitions[layerNumber]) {
-          layers[layerNumber] = { ...layerDefinitions[layerNumber] };
-        } else {
-          layers[layerNumber] = {
-            number: layerNumber,
-            name: `Layer ${layerNumber}`,
-            services: [],
-            color: getLayerColor(layerNumber)
-          };
-        }
-      }
+  // Hand-placed and saved positions belong to the dataset they were arranged on
+  const activeWorkspaceId = activeWorkspace?.id;
+  useEffect(() => {
+    manualPositionsRef.current = {};
+    setAppliedPositions(null);
+    setActiveSavedLayout(null);
+    setLayoutEdited(false);
+  }, [diagramModel, activeWorkspaceId]);
 
-      layers[layerNumber].services.push({ ...service, id });
-      services.push({ ...service, id });
-    });
+  // Saved layout picked in the layout menu, while it still exists
+  const selectedSavedLayout = diagramLayouts.find(savedLayout => savedLayout.name === activeSavedLayout) || null;
 
-    // Extract connections from service data
-    Object.entries(data.services).forEach(([id, service]) => {
-      // Add outbound connections
-      if (service.connections?.outbound) {
-        service.connections.outbound.forEach(target => {
-          connections.push({
-            from: id,
-            to: target.target || target,
-            type: target.type || 'default'
-          });
-        });
-      }
-    });
+  // The radial layout centres on the selected service
+  const radialFocusId = layoutAlgorithm === 'radial' ? selectedService?.id || null : null;
 
-    return {
-      layers: Object.values(layers).sort((a, b) => a.number - b.number),
-      services,
-      connections
-    };
-  };
+  // Compute node positions in the layout worker
+  useEffect(() => {
+    if (!isDataLoaded) return;
 
-  // Get layer color based on layer number
-  const getLayerColor = (layerNumber) => {
-    const colors = {
-      1: '#3b82f6',
-      2: '#a855f7',
-      3: '#ec4899',
-      4: '#f59e0b',
-      5: '#10b981'
+    const graph = {
+      nodes: diagramModel.layers.flatMap(layer => layer.services.map(service => ({ id: service.id, layer: layer.number }))),
+      edges: diagramModel.connections.map(({ from, to }) => ({ from, to }))
     };
-    return colors[layerNumber] || '#6b7280';
-  };
-
-  // Get service type color
-  const getServiceColor = (type) => {
-    const colors = {
-      lambda: '#ff9900',
-      dynamodb: '#4b61d1',
-      s3: '#569a31',
-      apigateway: '#ff4f00',
-      secretsmanager: '#dd344c',
-      cloudwatch: '#759eeb',
-      iam: '#dd3444',
-      sns: '#ff9900',
-      sqs: '#ff9900',
-      stepfunctions: '#e7157b'
+    let cancelled = false;
+    runLayout(layoutAlgorithm, graph, { nodeWidth: NODE_WIDTH, nodeHeight: NODE_HEIGHT, focusId: radialFocusId })
+      .then(result => {
+        if (!cancelled) setLayout({ ...result, model: diagramModel });
+      })
+      .catch(error => console.error('❌ Layout failed:', error));
+    return () => {
+      cancelled = true;
     };
-    return colors[type] || '#6b7280';
-  };
+  }, [isDataLoaded, diagramModel, layoutAlgorithm, radialFocusId]);
 
   // Initialize D3 visualization
   useEffect(() => {
-    if (!isDataLoaded || !architectureData || !svgRef.current) return;
+    // Wait for the layout of the current data
+    if (!isDataLoaded || !layout || layout.model !== diagramModel || !svgRef.current) return;
 
     console.log('Initializing D3 visualization with data:', architectureData);
 
-    const { layers, services, connections } = processArchitectureData(architectureData);
+    const { layers, connections } = diagramModel;
+    const { issuesByService } = checkIntegrity(architectureData, processData);
+    const layerColors = new Map(layers.map(layer => [layer.number, layer.color]));
+    const layerIndexes = new Map(layers.map((layer, index) => [layer.number, index]));
 
-    // SVG dimensions
-    const width = 4000;
-    const height = 3000;
-
-    // Layer column layout (horizontal)
-    const layerSpacing = 700; // Horizontal spacing between layer columns
-    const layerWidth = 500;   // Width of each layer column
-    const layerHeight = 2000; // Height of each layer column
-    const nodeWidth = 320;
-    const nodeHeight = 80;
-    const nodeSpacing = 120;  // Vertical spacing between nodes
-    const layerPadding = 50;
+    // Services move from where the previous layout put them
+    const previousPositions = nodePositionsRef.current;
+    const drawn = drawnLayoutRef.current;
+    const animate = drawn !== null && (drawn.layout !== layout || drawn.appliedPositions !== appliedPositions);
+    drawnLayoutRef.current = { layout, appliedPositions };
+    const transition = (selection) => (animate
+      ? selection.transition().duration(LAYOUT_TRANSITION_MS).ease(d3.easeCubicInOut)
+      : selection);
 
     // Clear previous content
     const svg = d3.select(svgRef.current);
+    const startTransform = d3.zoomTransform(svg.node());
+    svg.interrupt();
     svg.selectAll('*').remove();
 
     // Create main group for zoom/pan
@@ -154,18 +296,33 @@ const Diagram = () => {
       .attr('points', '0 0, 10 3.5, 0 7')
       .attr('fill', '#9c9c9c');
 
-    // Add layer backgrounds
+    // Bundle trunks are drawn thicker, but keep an arrow of the normal size
+    mainGroup.select('defs')
+      .append('marker')
+      .attr('id', 'arrowhead-bundle')
+      .attr('markerUnits', 'userSpaceOnUse')
+      .attr('viewBox', '0 0 10 7')
+      .attr('markerWidth', 15)
+      .attr('markerHeight', 10.5)
+      .attr('refX', 9)
+      .attr('refY', 3.5)
+      .attr('orient', 'auto')
+      .append('polygon')
+      .attr('points', '0 0, 10 3.5, 0 7')
+      .attr('fill', '#9c9c9c');
+
+    // Add layer backgrounds: a band per architecture layer, or rings around the radial focus
     const layerBackgrounds = mainGroup.append('g').attr('id', 'layer-backgrounds');
-    layers.forEach((layer, index) => {
+    layout.bands.forEach(band => {
+      const layer = layers.find(candidate => candidate.number === band.layer);
       const serviceCount = layer.services.length;
-      const adaptiveHeight = Math.max(400, serviceCount * 120 + 200);
 
       // Layer background rectangle
       layerBackgrounds.append('rect')
-        .attr('x', index * layerSpacing + 100)
-        .attr('y', 50)
-        .attr('width', layerWidth)
-        .attr('height', adaptiveHeight)
+        .attr('x', band.x)
+        .attr('y', band.y)
+        .attr('width', band.width)
+        .attr('height', band.height)
         .attr('fill', layer.color + '10')
         .attr('stroke', layer.color + '80')
         .attr('stroke-width', 2)
@@ -174,45 +331,103 @@ const Diagram = () => {
 
       // Layer title - centered over the full layer background
       layerBackgrounds.append('text')
-        .attr('x', index * layerSpacing + 100 + layerWidth / 2)
-        .attr('y', 35)
+        .attr('x', band.x + band.width / 2)
+        .attr('y', band.y - 15)
         .attr('fill', layer.color)
         .attr('font-size', '16px')
         .attr('font-weight', '600')
         .attr('text-anchor', 'middle')
         .text(`${layer.name} (${serviceCount} service${serviceCount !== 1 ? 's' : ''})`);
     });
+    layout.rings.forEach(ring => {
+      layerBackgrounds.append('circle')
+        .attr('cx', ring.cx)
+        .attr('cy', ring.cy)
+        .attr('r', ring.r)
+        .attr('fill', 'none')
+        .attr('stroke', '#9c9c9c40')
+        .attr('stroke-width', 2)
+        .attr('stroke-dasharray', '5,5');
+    });
+    if (animate) {
+      transition(layerBackgrounds.attr('opacity', 0)).attr('opacity', 1);
+    }
 
     // Add connections group
     const connectionsGroup = mainGroup.append('g').attr('id', 'connections');
 
     // Create a map of service nodes by ID for connection drawing
+    const positions = Object.fromEntries(Object.entries(layout.positions).map(([id, position]) => [
+      id,
+      manualPositionsRef.current[id] || position
+    ]));
     const nodePositions = new Map();
+    Object.entries(positions).forEach(([id, { x, y }]) => {
+      nodePositions.set(id, { x: x + NODE_WIDTH / 2, y: y + NODE_HEIGHT / 2 });
+    });
+    const startPosition = (id) => (animate && previousPositions.get(id)) || nodePositions.get(id);
+
+    // Move a node while it is dragged. Only its own connections follow, on a quick route;
+    // the bundle trunk into it is hidden until the connections are routed again.
+    const nodeGroups = new Map();
+    const connectionsByNode = new Map();
+    const bundlesByTarget = new Map();
+    const moveNode = (id, x, y) => {
+      nodePositions.set(id, { x, y });
+      nodeGroups.get(id).attr('transform', `translate(${x - NODE_WIDTH / 2}, ${y - NODE_HEIGHT / 2})`);
+      (connectionsByNode.get(id) || []).forEach(({ edge, connection }) => {
+        const points = dragRoutePoints(nodePositions.get(edge.from), nodePositions.get(edge.to));
+        const midpoint = getRouteMidpoint(points);
+        connection.selectAll('path').attr('d', toRoutePath(points));
+        connection.select('.connection-line').attr('marker-end', 'url(#arrowhead)');
+        connection.select('.diagram-connection-label').attr('x', midpoint.x).attr('y', midpoint.y - 6);
+      });
+      (bundlesByTarget.get(id) || []).forEach(trunk => trunk.attr('display', 'none'));
+    };
 
     // Add services group
     const servicesGroup = mainGroup.append('g').attr('id', 'services');
 
-    // Position services in their layer columns (vertically stacked)
-    layers.forEach((layer, layerIndex) => {
-      const servicesInLayer = layer.services;
-      const x = layerIndex * layerSpacing + 100 + layerPadding; // X position for this layer column
-
-      servicesInLayer.forEach((service, serviceIndex) => {
-        const y = 150 + serviceIndex * nodeSpacing; // Y position (stacked vertically)
-
-        // Store node position for connection drawing
-        nodePositions.set(service.id, { x: x + nodeWidth / 2, y: y + nodeHeight / 2 });
+    layers.forEach(layer => {
+      layer.services.forEach(service => {
+        const start = startPosition(service.id);
+        const end = nodePositions.get(service.id);
 
         // Create service node
         const nodeGroup = servicesGroup.append('g')
           .attr('class', 'service-node')
           .attr('data-service-id', service.id)
-          .attr('transform', `translate(${x}, ${y})`)
+          .attr('transform', `translate(${start.x - NODE_WIDTH / 2}, ${start.y - NODE_HEIGHT / 2})`)
           .style('cursor', 'pointer')
           .on('click', () => {
             setSelectedService(service);
             setDetailsOpen(true);
           });
+        transition(nodeGroup).attr('transform', `translate(${end.x - NODE_WIDTH / 2}, ${end.y - NODE_HEIGHT / 2})`);
+        nodeGroups.set(service.id, nodeGroup);
+
+        // Drag to rearrange; on release the node drops into the nearest column of its layer
+        let dragged = false;
+        nodeGroup.call(d3.drag()
+          .on('start', () => {
+            dragged = false;
+            nodeGroup.interrupt().raise();
+          })
+          .on('drag', (event) => {
+            dragged = true;
+            const centre = nodePositions.get(service.id);
+            moveNode(service.id, centre.x + event.dx, centre.y + event.dy);
+          })
+          .on('end', () => {
+            if (!dragged) return;
+            const centre = nodePositions.get(service.id);
+            const x = snapToColumn(layout, layer, centre.x - NODE_WIDTH / 2);
+            const y = Math.round(centre.y - NODE_HEIGHT / 2);
+            moveNode(service.id, x + NODE_WIDTH / 2, y + NODE_HEIGHT / 2);
+            if (showConnections) drawConnections();
+            manualPositionsRef.current = { ...manualPositionsRef.current, [service.id]: { x, y } };
+            setLayoutEdited(true);
+          }));
 
         // Get AWS service icon information
         const awsServiceInfo = getAWSServiceIcon(service.type);
@@ -220,8 +435,8 @@ const Diagram = () => {
         // Node background
         nodeGroup.append('rect')
           .attr('class', 'node-background')
-          .attr('width', nodeWidth)
-          .attr('height', nodeHeight)
+          .attr('width', NODE_WIDTH)
+          .attr('height', NODE_HEIGHT)
           .attr('rx', 8)
           .attr('fill', '#1a1a1a')
           .attr('stroke', getServiceColor(service.type))
@@ -259,7 +474,7 @@ const Diagram = () => {
           .attr('font-size', '14px')
           .attr('font-weight', '600')
           .text(service.name || service.id)
-          .call(wrapText, nodeWidth - 80);
+          .call(wrapText, NODE_WIDTH - 80);
 
         // Service type
         nodeGroup.append('text')
@@ -272,44 +487,120 @@ const Diagram = () => {
 
         // Layer indicator circle
         nodeGroup.append('circle')
-          .attr('cx', nodeWidth - 20)
+          .attr('cx', NODE_WIDTH - 20)
           .attr('cy', 20)
           .attr('r', 8)
-          .attr('fill', layer.color);
+          .attr('fill', layerColors.get(service.layer || 1));
 
         // Layer number
         nodeGroup.append('text')
-          .attr('x', nodeWidth - 20)
+          .attr('x', NODE_WIDTH - 20)
           .attr('y', 25)
           .attr('text-anchor', 'middle')
           .attr('fill', '#030303')
           .attr('font-size', '10px')
           .attr('font-weight', '700')
-          .text(layerIndex + 1);
+          .text(layerIndexes.get(service.layer || 1) + 1);
+
+        // Integrity warning badge (dangling or asymmetric connections)
+        const integrityIssues = issuesByService.get(service.id);
+        if (integrityIssues) {
+          const warningBadge = nodeGroup.append('g')
+            .attr('class', 'integrity-badge')
+            .attr('transform', `translate(${NODE_WIDTH - 44}, 20)`);
+
+          warningBadge.append('title')
+            .text(integrityIssues.map(issue => issue.message).join('\n'));
+
+          warningBadge.append('path')
+            .attr('d', 'M 0 -9 L 9 7 L -9 7 Z')
+            .attr('fill', integrityIssues.some(issue => issue.kind === 'dangling') ? '#EF4444' : '#FFB347')
+            .attr('stroke', '#1a1a1a')
+            .attr('stroke-width', 1);
+
+          warningBadge.append('text')
+            .attr('y', 5)
+            .attr('text-anchor', 'middle')
+            .attr('fill', '#030303')
+            .attr('font-size', '10px')
+            .attr('font-weight', '700')
+            .text('!');
+        }
       });
     });
 
-    // Draw connections between services (only if showConnections is true)
-    if (showConnections) {
-      connections.forEach(conn => {
-        const fromPos = nodePositions.get(conn.from);
-        const toPos = nodePositions.get(conn.to);
-
-        if (fromPos && toPos) {
-          // Calculate control points for curved connection
-          const midX = (fromPos.x + toPos.x) / 2;
-
-          // Create curved path
-          connectionsGroup.append('path')
-            .attr('class', 'connection-line')
-            .attr('d', `M ${fromPos.x} ${fromPos.y} C ${midX} ${fromPos.y}, ${midX} ${toPos.y}, ${toPos.x} ${toPos.y}`)
-            .attr('stroke', '#9c9c9c')
-            .attr('stroke-width', 1.5)
-            .attr('fill', 'none')
-            .attr('opacity', 0.5)
-            .attr('marker-end', 'url(#arrowhead)');
+    // Draw connections between services, routed around the nodes. Edges into the same
+    // side of a node merge, and bundles of them end in one trunk with the arrow.
+    const drawConnections = () => {
+      connectionsGroup.selectAll('*').remove();
+      connectionsByNode.clear();
+      bundlesByTarget.clear();
+      const boxes = Object.fromEntries([...nodePositions].map(([id, { x, y }]) => [
+        id,
+        { x: x - NODE_WIDTH / 2, y: y - NODE_HEIGHT / 2, width: NODE_WIDTH, height: NODE_HEIGHT }
+      ]));
+      const { routes, bundles } = routeEdges(boxes, connections);
+
+      routes.forEach(({ edge, points, bundle }) => {
+        const connection = connectionsGroup.append('g').attr('class', 'connection');
+        const pathData = toRoutePath(points);
+        [edge.from, edge.to].forEach(id => {
+          if (!connectionsByNode.has(id)) connectionsByNode.set(id, []);
+          connectionsByNode.get(id).push({ edge, connection });
+        });
+
+        // Wide transparent stroke, so the thin line is easy to hover
+        connection.append('path')
+          .attr('class', 'connection-hit-area')
+          .attr('d', pathData);
+
+        connection.append('path')
+          .attr('class', 'connection-line')
+          .attr('d', pathData)
+          .attr('stroke', '#9c9c9c')
+          .attr('stroke-width', 1.5)
+          .attr('fill', 'none')
+          .attr('opacity', 0.5)
+          .attr('marker-end', bundle ? null : 'url(#arrowhead)');
+
+        // Label from connections.outbound[].label, shown on hover or when zoomed in
+        if (edge.label) {
+          const midpoint = getRouteMidpoint(points);
+          connection.append('text')
+            .attr('class', 'diagram-connection-label')
+            .attr('x', midpoint.x)
+            .attr('y', midpoint.y - 6)
+            .attr('text-anchor', 'middle')
+            .text(edge.label);
         }
       });
+
+      bundles.forEach(bundle => {
+        const target = architectureData.services[bundle.target];
+        const trunk = connectionsGroup.append('path')
+          .attr('class', 'connection-line connection-bundle')
+          .attr('d', toRoutePath(bundle.points))
+          .attr('stroke', '#9c9c9c')
+          .style('stroke-width', Math.min(1.5 + bundle.count * 0.5, 5))
+          .attr('fill', 'none')
+          .attr('marker-end', 'url(#arrowhead-bundle)');
+        trunk.append('title')
+          .text(`${bundle.count} connections into ${target?.name || bundle.target}`);
+        if (!bundlesByTarget.has(bundle.target)) bundlesByTarget.set(bundle.target, []);
+        bundlesByTarget.get(bundle.target).push(trunk);
+      });
+    };
+
+    // Only if showConnections is true; after a layout change, once the nodes have arrived
+    if (showConnections) {
+      drawConnections();
+      if (animate) {
+        connectionsGroup.attr('opacity', 0)
+          .transition()
+          .delay(LAYOUT_TRANSITION_MS)
+          .duration(300)
+          .attr('opacity', 1);
+      }
     }
 
     // Add zoom behavior
@@ -317,27 +608,127 @@ const Diagram = () => {
       .scaleExtent([0.1, 4])
       .on('zoom', (event) => {
         mainGroup.attr('transform', event.transform);
+        mainGroup.classed('show-connection-labels', event.transform.k >= CONNECTION_LABEL_ZOOM);
       });
 
     svg.call(zoom);
+    zoomRef.current = zoom;
+    nodePositionsRef.current = nodePositions;
 
-    // Fit to view
-    const bbox = mainGroup.node().getBBox();
+    // Fit to view, using where the layout puts everything rather than where it is mid-animation
+    const bounds = getLayoutBounds(positions, layout.bands, layout.rings, { nodeWidth: NODE_WIDTH, nodeHeight: NODE_HEIGHT });
     const scale = Math.min(
-      (svg.node().clientWidth * 0.9) / bbox.width,
-      (svg.node().clientHeight * 0.9) / bbox.height,
+      (svg.node().clientWidth * 0.9) / bounds.width,
+      (svg.node().clientHeight * 0.9) / bounds.height,
       1
     );
     const transform = d3.zoomIdentity
       .translate(
-        (svg.node().clientWidth - bbox.width * scale) / 2 - bbox.x * scale,
-        (svg.node().clientHeight - bbox.height * scale) / 2 - bbox.y * scale
+        (svg.node().clientWidth - bounds.width * scale) / 2 - bounds.x * scale,
+        (svg.node().clientHeight - bounds.height * scale) / 2 - bounds.y * scale
       )
       .scale(scale);
 
-    svg.call(zoom.transform, transform);
+    if (animate) {
+      svg.call(zoom.transform, startTransform);
+      svg.transition().duration(LAYOUT_TRANSITION_MS).ease(d3.easeCubicInOut).call(zoom.transform, transform);
+    } else {
+      svg.call(zoom.transform, transform);
+    }
+
+  }, [isDataLoaded, diagramModel, layout, appliedPositions, architectureData, processData, showConnections]);
+
+  // Focus a service requested via ?focus=<serviceId> (e.g. from the Drift report)
+  useEffect(() => {
+    const focusId = searchParams.get('focus');
+    const focusService = architectureData?.services?.[focusId];
+    if (!isDataLoaded || !focusService) return;
+
+    const service = { ...focusService, id: focusId };
+    setSelectedService(service);
+    setDetailsOpen(true);
+    setActiveTab('overview');
+    setExpandedLayers(prev => new Set(prev).add(service.layer || 1));
+
+    const position = nodePositionsRef.current.get(focusId);
+    if (svgRef.current && zoomRef.current && position) {
+      const svg = d3.select(svgRef.current);
+      const transform = d3.zoomIdentity
+        .translate(svg.node().clientWidth / 2 - position.x, svg.node().clientHeight / 2 - position.y);
+      svg.transition().duration(750).call(zoomRef.current.transform, transform);
+    }
+  }, [searchParams, isDataLoaded, architectureData, layout]);
+
+  // Outline the selected service node
+  useEffect(() => {
+    if (!svgRef.current) return;
+    d3.select(svgRef.current)
+      .selectAll('.service-node')
+      .classed('selected', function() {
+        return this.getAttribute('data-service-id') === selectedService?.id;
+      });
+  }, [selectedService, architectureData, showConnections, layout]);
+
+  // Presence of each service in the other environments (comparison mode)
+  const environmentComparison = useMemo(() => {
+    if (!compareMode || !isDataLoaded) return null;
+    return compareEnvironments({
+      baseEnvironment: datasetEnvironment,
+      environments,
+      services: architectureData?.services,
+      datasets: environmentDatasets,
+      cloudformationData,
+      templateParameters,
+      reconciliation
+    });
+  }, [compareMode, isDataLoaded, datasetEnvironment, environments, architectureData, environmentDatasets,
+    cloudformationData, templateParameters, reconciliation]);
 
-  }, [isDataLoaded, architectureData, showConnections]);
+  // Highlight services missing from other environments
+  useEffect(() => {
+    if (!svgRef.current) return;
+    const nodes = d3.select(svgRef.current).selectAll('.service-node');
+    nodes.classed('env-missing', false).selectAll('.env-badge').remove();
+    if (!environmentComparison) return;
+
+    nodes.each(function() {
+      const statuses = environmentComparison.byService.get(this.getAttribute('data-service-id')) || {};
+      const missing = Object.keys(statuses).filter(env => statuses[env] === ENVIRONMENT_STATUS.MISSING);
+      if (missing.length === 0) return;
+
+      const node = d3.select(this).classed('env-missing', true);
+      const badge = node.append('g')
+        .attr('class', 'env-badge')
+        .attr('transform', 'translate(64, 58)');
+      badge.append('title')
+        .text(`Present in ${datasetEnvironment}, missing in ${missing.join(', ')}`);
+      const label = badge.append('text')
+        .attr('x', 8)
+        .attr('y', 12)
+        .attr('fill', '#EF4444')
+        .attr('font-size', '10px')
+        .attr('font-weight', '700')
+        .text(`MISSING: ${missing.join(', ')}`);
+      badge.insert('rect', 'text')
+        .attr('width', label.node().getComputedTextLength() + 16)
+        .attr('height', 16)
+        .attr('rx', 8)
+        .attr('fill', 'rgba(239, 68, 68, 0.2)');
+    });
+  }, [environmentComparison, datasetEnvironment, architectureData, showConnections, layout]);
+
+  // Colour services added, removed or modified between two snapshots
+  useEffect(() => {
+    if (!svgRef.current) return;
+    const nodes = d3.select(svgRef.current).selectAll('.service-node');
+    Object.values(DIFF_STATUS).forEach(status => nodes.classed(`diff-${status}`, false));
+    if (!diagramDiff) return;
+
+    nodes.each(function() {
+      const status = diagramDiff.statusById.get(this.getAttribute('data-service-id'));
+      if (status) d3.select(this).classed(`diff-${status}`, true);
+    });
+  }, [diagramDiff, architectureData, showConnections, layout]);
 
   // Text wrapping helper
   const wrapText = (text, width) => {
@@ -417,15 +808,94 @@ const Diagram = () => {
     setSelectedService(null);
   };
 
-  // Get CloudFormation for selected service
-  const getServiceCloudFormation = (service) => {
-    if (!cloudformationData || !service) return null;
+  // Where every node is now, as top-left corners by service ID
+  const getCurrentPositions = () => Object.fromEntries(
+    [...nodePositionsRef.current].map(([id, { x, y }]) => [id, { x: x - NODE_WIDTH / 2, y: y - NODE_HEIGHT / 2 }])
+  );
 
-    // Try to find CloudFormation by logical ID
-    const resources = cloudformationData.Resources || {};
-    const logicalId = service.id.split('/').pop();
+  // Place nodes where a saved layout puts them; services it does not cover keep the computed position
+  const applySavedLayout = (savedLayout) => {
+    const { positions, matched, missing } = matchDiagramLayout(savedLayout, diagramModel.services.map(service => service.id));
+    if (matched === 0) {
+      alert(`Layout "${savedLayout.name}" does not match any service in this dataset.`);
+      return;
+    }
+    if (missing.length > 0) {
+      console.warn(`⚠️ Layout "${savedLayout.name}" skipped ${missing.length} services not in this dataset:`, missing);
+    }
 
-    return resources[logicalId] || null;
+    manualPositionsRef.current = positions;
+    setAppliedPositions(positions);
+    setActiveSavedLayout(savedLayout.name);
+    setLayoutEdited(false);
+  };
+
+  // Switch to an automatic layout, or apply a saved one
+  const changeLayout = (value) => {
+    if (value.startsWith(SAVED_LAYOUT_PREFIX)) {
+      const name = value.slice(SAVED_LAYOUT_PREFIX.length);
+      const savedLayout = diagramLayouts.find(candidate => candidate.name === name);
+      if (savedLayout) applySavedLayout(savedLayout);
+      return;
+    }
+
+    manualPositionsRef.current = {};
+    setActiveSavedLayout(null);
+    setLayoutEdited(false);
+    // The same algorithm is not recomputed, so redraw without the hand-placed positions
+    if (value === layoutAlgorithm) {
+      setAppliedPositions({});
+    } else {
+      setLayoutAlgorithm(value);
+    }
+  };
+
+  // Save the diagram as it is arranged now under a name
+  const saveCurrentLayout = () => {
+    const name = window.prompt('Save layout as:', activeSavedLayout || 'Review layout')?.trim();
+    if (!name) return;
+    if (name !== activeSavedLayout && diagramLayouts.some(savedLayout => savedLayout.name === name)
+      && !window.confirm(`Replace the saved layout "${name}"?`)) {
+      return;
+    }
+
+    saveDiagramLayout(buildDiagramLayout(name, getCurrentPositions()));
+    setActiveSavedLayout(name);
+    setLayoutEdited(false);
+  };
+
+  const exportCurrentLayout = () => {
+    const name = activeSavedLayout || LAYOUT_ALGORITHMS[layoutAlgorithm].label;
+    downloadJson(toLayoutFile(buildDiagramLayout(name, getCurrentPositions())), getLayoutFileName(name));
+  };
+
+  const importLayoutFile = async (event) => {
+    const file = event.target.files[0];
+    event.target.value = '';
+    if (!file) return;
+
+    try {
+      const savedLayout = parseLayoutFile(await file.text(), file.name.replace(/\.layout\.json$|\.json$/, ''));
+      saveDiagramLayout(savedLayout);
+      applySavedLayout(savedLayout);
+    } catch (error) {
+      alert(`Could not import layout: ${error.message}`);
+    }
+  };
+
+  const deleteActiveLayout = () => {
+    if (!window.confirm(`Delete the saved layout "${activeSavedLayout}"?`)) return;
+    deleteDiagramLayout(activeSavedLayout);
+    changeLayout(layoutAlgorithm);
+  };
+
+  // Get CloudFormation for selected service
+  const getServiceCloudFormation = (service) => {
+    if (!service) return null;
+    const match = reconciliation.matches.get(service.id);
+    if (!match) return null;
+    // Show property values resolved against the chosen template parameters
+    return { ...match, resource: resolvedTemplate?.Resources[match.logicalId] || match.resource };
   };
 
   // Calculate statistics
@@ -463,7 +933,7 @@ const Diagram = () => {
     );
   }
 
-  const { layers, services } = processArchitectureData(architectureData);
+  const { layers, services } = diagramModel;
   const { totalResources, totalConnections, totalLayers } = calculateStatistics();
 
   return (
@@ -498,6 +968,32 @@ const Diagram = () => {
             <strong className="stats-value tertiary">{totalLayers}</strong> Layers
           </span>
         </div>
+        {diagramDiff && (
+          <div className="stats-item diff-summary-item" title={`Changes from ${diagramDiff.fromId} to ${diagramDiff.toId}`}>
+            <span className="stats-text">
+              {diagramDiff.fromId} → {diagramDiff.toId}:{' '}
+              {Object.values(DIFF_STATUS).map(status => (
+                <span key={status} className={`diff-count diff-${status}`}>
+                  {[...diagramDiff.statusById.values()].filter(value => value === status).length} {status}
+                </span>
+              ))}
+            </span>
+          </div>
+        )}
+        {environmentComparison?.environments.map(environment => (
+          <div key={environment.name} className="stats-item env-compare-item" title={environment.source === 'template'
+            ? `Checked against the CloudFormation template resolved for ${environment.name}; ${environment.unknown} services are not declared in it`
+            : environment.source === 'dataset'
+              ? `Checked against the ${environment.name} files`
+              : `No ${environment.name} files or template parameter to compare against`}
+          >
+            <span className="stats-text">
+              <strong className="stats-value env-missing-count">{environment.missing}</strong> missing in {environment.name}
+              {environment.source === 'template' && <span className="env-source"> (template)</span>}
+              {environment.source === null && <span className="env-source"> (no data)</span>}
+            </span>
+          </div>
+        ))}
       </div>
 
       <div className="diagram-wrapper">
@@ -658,6 +1154,70 @@ const Diagram = () => {
               <button className="control-btn icon-btn" onClick={toggleSidebar} title="Toggle Sidebar">
                 ☰
               </button>
+              <label
+                className="control-select"
+                title={selectedSavedLayout
+                  ? `Saved layout "${selectedSavedLayout.name}" over ${LAYOUT_ALGORITHMS[layoutAlgorithm].label}`
+                  : LAYOUT_ALGORITHMS[layoutAlgorithm].description}
+              >
+                <span className="toggle-label">Layout:</span>
+                <select
+                  value={selectedSavedLayout ? `${SAVED_LAYOUT_PREFIX}${selectedSavedLayout.name}` : layoutAlgorithm}
+                  onChange={(e) => changeLayout(e.target.value)}
+                >
+                  {Object.entries(LAYOUT_ALGORITHMS).map(([id, { label }]) => (
+                    <option key={id} value={id}>{label}</option>
+                  ))}
+                  {diagramLayouts.length > 0 && (
+                    <optgroup label="Saved layouts">
+                      {diagramLayouts.map(savedLayout => (
+                        <option key={savedLayout.name} value={`${SAVED_LAYOUT_PREFIX}${savedLayout.name}`}>
+                          {savedLayout.name}
+                        </option>
+                      ))}
+                    </optgroup>
+                  )}
+                </select>
+              </label>
+              <div className="layout-actions">
+                <button
+                  className="control-btn-labeled"
+                  onClick={saveCurrentLayout}
+                  title="Save node positions as a named layout in this workspace (drag nodes to arrange them)"
+                >
+                  {layoutEdited ? 'Save Layout*' : 'Save Layout'}
+                </button>
+                <button
+                  className="control-btn-labeled"
+                  onClick={exportCurrentLayout}
+                  title="Download node positions as a layout file to keep next to architecture.json"
+                >
+                  Export Layout
+                </button>
+                <button
+                  className="control-btn-labeled"
+                  onClick={() => layoutFileInputRef.current?.click()}
+                  title="Load a layout file and apply it to services with matching IDs"
+                >
+                  Import Layout
+                </button>
+                <input
+                  ref={layoutFileInputRef}
+                  type="file"
+                  accept=".json,application/json"
+                  style={{ display: 'none' }}
+                  onChange={importLayoutFile}
+                />
+                {selectedSavedLayout && (
+                  <button
+                    className="control-btn-labeled"
+                    onClick={deleteActiveLayout}
+                    title={`Delete the saved layout "${selectedSavedLayout.name}"`}
+                  >
+                    Delete Layout
+                  </button>
+                )}
+              </div>
               <button
                 className="control-btn-labeled"
                 onClick={() => {
@@ -696,6 +1256,34 @@ const Diagram = () => {
               >
                 Reset Zoom
               </button>
+              <button
+                className="control-btn-labeled"
+                onClick={() => downloadJson(loadedArchitecture, 'architecture.json')}
+                title="Download the architecture shown as architecture.json"
+              >
+                Export JSON
+              </button>
+              {diagramDiff && (
+                <button
+                  className="control-btn-labeled diff-exit-btn"
+                  onClick={clearDiagramDiff}
+                  title={`Showing changes from ${diagramDiff.fromId} to ${diagramDiff.toId}`}
+                >
+                  Exit Diff
+                </button>
+              )}
+              {environments.length > 1 && (
+                <button
+                  className={`control-btn-toggle ${compareMode ? 'active' : ''}`}
+                  onClick={() => setCompareMode(!compareMode)}
+                  title={`Highlight services present in ${datasetEnvironment} but missing in other environments`}
+                >
+                  <span className="toggle-label">Compare Envs:</span>
+                  <span className={`toggle-state ${compareMode ? 'on' : 'off'}`}>
+                    {compareMode ? 'ON' : 'OFF'}
+                  </span>
+                </button>
+              )}
               <button
                 className={`control-btn-toggle ${showConnections ? 'active' : ''}`}
                 onClick={() => setShowConnections(!showConnections)}
@@ -745,8 +1333,8 @@ const Diagram = () => {
                       {selectedService.category && (
                         <span className="category-badge">{selectedService.category}</span>
                       )}
-                      {selectedService.processOrder && (
-                        <span className="process-badge">Step {selectedService.processOrder}</span>
+                      {processOrders.has(selectedService.id) && (
+                        <span className="process-badge">Step {processOrders.get(selectedService.id)}</span>
                       )}
                     </div>
                   </div>
@@ -766,7 +1354,7 @@ const Diagram = () => {
                     { id: 'overview', label: 'Overview', show: true },
                     { id: 'connections', label: `Connections (${totalConnections})`, show: totalConnections > 0 },
                     { id: 'requirements', label: `Requirements (${serviceReqs.length})`, show: serviceReqs.length > 0 },
-                    { id: 'config', label: 'Configuration', show: ['lambda', 'dynamodb', 's3'].includes(selectedService.type) },
+                    { id: 'config', label: 'Configuration', show: true },
                     { id: 'code', label: 'Code', show: selectedService.type === 'lambda' }
                   ].filter(tab => tab.show);
 
@@ -786,7 +1374,12 @@ const Diagram = () => {
                 {activeTab === 'overview' && <OverviewTab service={selectedService} />}
                 {activeTab === 'connections' && <ConnectionsTab service={selectedService} architectureData={architectureData} />}
                 {activeTab === 'requirements' && <RequirementsTab service={selectedService} architectureData={architectureData} />}
-                {activeTab === 'config' && <ConfigurationTab service={selectedService} />}
+                {activeTab === 'config' && (
+                  <ConfigurationTab
+                    cloudformation={getServiceCloudFormation(selectedService)}
+                    templateLoaded={Boolean(cloudformationData)}
+                  />
+                )}
                 {activeTab === 'code' && <CodeTab service={selectedService} />}
               </div>
             </>
@@ -0,0 +1,247 @@
+import { useMemo, useState } from 'react';
+import { Link } from 'react-router-dom';
+import { useData } from '../contexts/DataContext';
+import { computeDrift } from '../utils/driftReport';
+import TemplateParameters from '../components/TemplateParameters';
+import './Reports.css';
+
+const Drift = () => {
+  const { isDataLoaded, architectureData, cloudformationData, reconciliation, resolvedTemplate } = useData();
+  const [searchQuery, setSearchQuery] = useState('');
+  const [deployableOnly, setDeployableOnly] = useState(true);
+
+  const drift = useMemo(
+    () => (isDataLoaded && cloudformationData
+      ? computeDrift(architectureData, cloudformationData, reconciliation, resolvedTemplate)
+      : null),
+    [isDataLoaded, architectureData, cloudformationData, reconciliation, resolvedTemplate]
+  );
+
+  if (!isDataLoaded) {
+    return (
+      <div className="page-container">
+        <div className="welcome-message">
+          <h2>Welcome to Drift Report</h2>
+          <p>Please import the architecture files to compare the architecture model with the CloudFormation template.</p>
+          <div className="import-hint">
+            Click the "Import Files" button in the header to get started.
+          </div>
+        </div>
+      </div>
+    );
+  }
+
+  if (!drift) {
+    return (
+      <div className="page-container">
+        <div className="welcome-message">
+          <h2>No CloudFormation Template</h2>
+          <p>The drift report compares architecture.json against a CloudFormation template. Import one to see the differences.</p>
+          <div className="import-hint">
+            Click the "Import Files" button in the header and add the optional CloudFormation template.
+          </div>
+        </div>
+      </div>
+    );
+  }
+
+  const query = searchQuery.toLowerCase();
+  const matchesSearch = (...values) => !query || values.some(value => value?.toLowerCase().includes(query));
+
+  const templateOnly = drift.templateOnly.filter(row => matchesSearch(row.logicalId, row.physicalName, row.type));
+  const architectureOnly = drift.architectureOnly
+    .filter(row => !deployableOnly || row.deployable)
+    .filter(row => matchesSearch(row.serviceId, row.name, row.type));
+  const contradictions = drift.contradictions.filter(row => matchesSearch(row.serviceId, row.logicalId, row.field));
+
+  const renderJumpLink = (serviceId) => (
+    <Link className="report-link" to={`/diagram?focus=${encodeURIComponent(serviceId)}`}>
+      View in Diagram →
+    </Link>
+  );
+
+  return (
+    <div className="page-container report-page">
+      <div className="report-header">
+        <h2 className="report-title">Architecture vs CloudFormation Drift</h2>
+        <p className="report-subtitle">
+          Resources declared in the template but missing from the architecture model, services modelled but not
+          declared, and matched pairs whose properties disagree.
+        </p>
+      </div>
+
+      <div className="report-summary">
+        <div className="report-card status-dangling">
+          <span className="report-card-value">{drift.templateOnly.length}</span>
+          <span className="report-card-label">Only in Template</span>
+        </div>
+        <div className="report-card status-asymmetric">
+          <span className="report-card-value">{drift.architectureOnly.filter(row => row.deployable).length}</span>
+          <span className="report-card-label">Only in Architecture</span>
+        </div>
+        <div className="report-card status-placeholder">
+          <span className="report-card-value">{drift.contradictions.length}</span>
+          <span className="report-card-label">Property Contradictions</span>
+        </div>
+        <div className="report-card status-resolved">
+          <span className="report-card-value">{reconciliation.matches.size}</span>
+          <span className="report-card-label">Matched Resources</span>
+        </div>
+      </div>
+
+      <TemplateParameters />
+
+      <div className="report-toolbar">
+        <input
+          type="text"
+          className="report-search"
+          placeholder="Filter by ID, name or type..."
+          value={searchQuery}
+          onChange={(e) => setSearchQuery(e.target.value)}
+        />
+        <label className="report-checkbox">
+          <input
+            type="checkbox"
+            checked={deployableOnly}
+            onChange={(e) => setDeployableOnly(e.target.checked)}
+          />
+          Only CloudFormation-deployable service types
+        </label>
+      </div>
+
+      <div className="report-body">
+        <section className="report-section">
+          <h3 className="report-section-title">Resource Breakdown</h3>
+          <table className="report-table">
+            <thead>
+              <tr>
+                <th>AWS Service</th>
+                <th>Claimed in Metadata</th>
+                <th>Declared in Template</th>
+                <th>Modelled in Architecture</th>
+                <th>Matched</th>
+              </tr>
+            </thead>
+            <tbody>
+              {drift.breakdown.map(row => (
+                <tr key={row.service}>
+                  <td>{row.service}</td>
+                  <td className={row.claimed !== null && row.claimed !== row.declared ? 'report-mismatch' : ''}>
+                    {row.claimed ?? '—'}
+                  </td>
+                  <td>{row.declared}</td>
+                  <td className={row.declared > 0 && row.modelled !== row.declared ? 'report-mismatch' : ''}>
+                    {row.modelled}
+                  </td>
+                  <td>{row.matched}</td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </section>
+
+        <section className="report-section">
+          <h3 className="report-section-title">
+            Declared in Template, Absent from Architecture <span className="report-count">{templateOnly.length}</span>
+          </h3>
+          {templateOnly.length > 0 ? (
+            <table className="report-table">
+              <thead>
+                <tr>
+                  <th>Logical ID</th>
+                  <th>Type</th>
+                  <th>Physical Name</th>
+                  <th>Layer Tag</th>
+                  <th>Category Tag</th>
+                  <th></th>
+                </tr>
+              </thead>
+              <tbody>
+                {templateOnly.map(row => (
+                  <tr key={row.logicalId}>
+                    <td><code>{row.logicalId}</code></td>
+                    <td>{row.type}</td>
+                    <td>{row.physicalName ? <code>{row.physicalName}</code> : '—'}</td>
+                    <td>{row.layer ?? '—'}</td>
+                    <td>{row.category ?? '—'}</td>
+                    <td><span className="report-link disabled" title="No node in the architecture model">Not in Diagram</span></td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          ) : (
+            <div className="report-empty">Every template resource is modelled in the architecture</div>
+          )}
+        </section>
+
+        <section className="report-section">
+          <h3 className="report-section-title">
+            Modelled in Architecture, Absent from Template <span className="report-count">{architectureOnly.length}</span>
+          </h3>
+          {architectureOnly.length > 0 ? (
+            <table className="report-table">
+              <thead>
+                <tr>
+                  <th>Service ID</th>
+                  <th>Name</th>
+                  <th>Type</th>
+                  <th>Layer</th>
+                  <th></th>
+                </tr>
+              </thead>
+              <tbody>
+                {architectureOnly.map(row => (
+                  <tr key={row.serviceId}>
+                    <td><code>{row.serviceId}</code></td>
+                    <td>{row.name}</td>
+                    <td>{row.type}</td>
+                    <td>{row.layer}</td>
+                    <td>{renderJumpLink(row.serviceId)}</td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          ) : (
+            <div className="report-empty">Every modelled service is declared in the template</div>
+          )}
+        </section>
+
+        <section className="report-section">
+          <h3 className="report-section-title">
+            Property Contradictions <span className="report-count">{contradictions.length}</span>
+          </h3>
+          {contradictions.length > 0 ? (
+            <table className="report-table">
+              <thead>
+                <tr>
+                  <th>Service ID</th>
+                  <th>Logical ID</th>
+                  <th>Field</th>
+                  <th>architecture.json</th>
+                  <th>CloudFormation</th>
+                  <th></th>
+                </tr>
+              </thead>
+              <tbody>
+                {contradictions.map(row => (
+                  <tr key={`${row.serviceId}-${row.field}`}>
+                    <td><code>{row.serviceId}</code></td>
+                    <td><code>{row.logicalId}</code></td>
+                    <td>{row.field}</td>
+                    <td>{row.architectureValue}</td>
+                    <td className="report-mismatch">{row.templateValue}</td>
+                    <td>{renderJumpLink(row.serviceId)}</td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          ) : (
+            <div className="report-empty">Matched resources agree on layer, category and name</div>
+          )}
+        </section>
+      </div>
+    </div>
+  );
+};
+
+export default Drift;
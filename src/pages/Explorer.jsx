@@ -1,70 +1,89 @@
-import { useEffect, useRef } from 'react';
+import { useEffect, useMemo, useRef, useState } from 'react';
 import * as d3 from 'd3';
 import { useData } from '../contexts/DataContext';
 import './Explorer.css';
+import { getPhaseDefinitions, getPhaseNumber, groupResourcesByPhase } from '../utils/processPhases';
+import { compareProcessOrder } from '../utils/processOrder';
 
 const Explorer = () => {
-  const { isDataLoaded, architectureData, processData, cloudformationData } = useData();
+  const { isDataLoaded, architectureData, activeProcessMap, cloudformationData, reconciliation } = useData();
   const explorerInstanceRef = useRef(null);
-  const initializedRef = useRef(false);
-
+  // Zoom and selection of the explorer being replaced, restored after a rebuild
+  const viewStateRef = useRef(null);
+  const svgRef = useRef(null);
+  const layerNavRef = useRef(null);
+  const entryPointsRef = useRef(null);
+  const overviewTabRef = useRef(null);
+  const cloudformationTabRef = useRef(null);
+
+  const [sidebarCollapsed, setSidebarCollapsed] = useState(false);
+  const [showConnections, setShowConnections] = useState(true);
+  const [selectedResource, setSelectedResource] = useState(null);
+  const [activeTab, setActiveTab] = useState('overview');
+
+  // Transform data to ContentGen format
+  const contentGenData = useMemo(() => (
+    isDataLoaded ? transformDataToContentGenFormat(architectureData, activeProcessMap, reconciliation) : null
+  ), [isDataLoaded, architectureData, activeProcessMap, reconciliation]);
+
+  const typeSummary = useMemo(() => {
+    const typeCounts = {};
+    Object.values(contentGenData?.resources || {}).forEach(resource => {
+      const type = resource.type || 'unknown';
+      typeCounts[type] = (typeCounts[type] || 0) + 1;
+    });
+    // Sort by count descending
+    return Object.entries(typeCounts).sort((a, b) => b[1] - a[1]);
+  }, [contentGenData]);
+
+  // Rebuild whenever the architecture, process or CloudFormation data changes
   useEffect(() => {
-    if (isDataLoaded && !initializedRef.current) {
-      console.log('Explorer: Initializing visualization...');
-      console.log('Architecture data:', architectureData);
-      console.log('Process data:', processData);
-
-      try {
-        // Transform data to ContentGen format
-        const contentGenData = transformDataToContentGenFormat(architectureData, processData);
-        console.log('ContentGen data transformed:', contentGenData);
-        console.log('Total phases:', contentGenData?.processFlow?.phases?.length);
-        console.log('Total resources:', Object.keys(contentGenData?.resources || {}).length);
-
-        // Store CloudFormation data globally for the explorer
-        window.cloudformationTemplate = cloudformationData;
-
-        // Initialize explorer
-        if (!explorerInstanceRef.current) {
-          explorerInstanceRef.current = new ContentGenExplorer(contentGenData);
-          window.explorer = explorerInstanceRef.current; // Store globally for helper functions
-
-          // Make helper functions globally accessible for onclick handlers
-          window.toggleSidebar = toggleSidebar;
-          window.fitToView = fitToView;
-          window.resetZoom = resetZoom;
-          window.toggleConnections = toggleConnections;
-          window.closeDetailsPanel = closeDetailsPanel;
-          window.switchTab = switchTab;
-
-          initializedRef.current = true;
-          console.log('✅ Explorer initialized successfully');
-        }
-      } catch (error) {
-        console.error('❌ Error initializing explorer:', error);
-        console.error('Error stack:', error.stack);
-      }
+    if (!contentGenData) return;
+
+    console.log('Explorer: Initializing visualization...');
+    console.log('Total phases:', contentGenData.processFlow.phases.length);
+    console.log('Total resources:', Object.keys(contentGenData.resources).length);
+
+    const previous = viewStateRef.current;
+    let explorer;
+    try {
+      explorer = new ContentGenExplorer(contentGenData, {
+        svg: svgRef.current,
+        layerNav: layerNavRef.current,
+        entryPointsList: entryPointsRef.current,
+        overviewTab: overviewTabRef.current,
+        cloudformationTab: cloudformationTabRef.current,
+        cloudformationTemplate: cloudformationData,
+        initialTransform: previous?.transform,
+        onSelect: (resource) => setSelectedResource({ id: resource.id, name: resource.name })
+      });
+      console.log('✅ Explorer initialized successfully');
+    } catch (error) {
+      console.error('❌ Error initializing explorer:', error);
+      return;
+    }
+    explorerInstanceRef.current = explorer;
+
+    // Keep the selection only while the resource still exists
+    if (previous?.resourceId && !explorer.restoreSelection(previous.resourceId)) {
+      setSelectedResource(null);
     }
-  }, [isDataLoaded, architectureData, processData, cloudformationData]);
 
-  // Cleanup on unmount
-  useEffect(() => {
     return () => {
-      if (explorerInstanceRef.current) {
-        // Cleanup
-        explorerInstanceRef.current = null;
-        window.explorer = null;
-        window.toggleSidebar = null;
-        window.fitToView = null;
-        window.resetZoom = null;
-        window.toggleConnections = null;
-        window.closeDetailsPanel = null;
-        window.switchTab = null;
-        window.cloudformationTemplate = null;
-        initializedRef.current = false;
-      }
+      viewStateRef.current = { transform: explorer.getTransform(), resourceId: explorer.selectedResource?.id };
+      explorer.destroy();
+      explorerInstanceRef.current = null;
     };
-  }, []);
+  }, [contentGenData, cloudformationData]);
+
+  useEffect(() => {
+    explorerInstanceRef.current?.setConnectionsVisible(showConnections);
+  }, [showConnections, contentGenData, cloudformationData]);
+
+  const closeDetailsPanel = () => {
+    explorerInstanceRef.current?.clearSelection();
+    setSelectedResource(null);
+  };
 
   if (!isDataLoaded) {
     return (
@@ -80,16 +99,24 @@ const Explorer = () => {
     );
   }
 
+  const toggleSidebar = () => setSidebarCollapsed(collapsed => !collapsed);
+
   return (
     <div id="main-container">
       {/* Sidebar */}
-      <div id="sidebar">
+      <div id="sidebar" className={sidebarCollapsed ? 'collapsed' : ''}>
         <div id="sidebar-header">
           <div id="sidebar-title">Architecture Navigator</div>
           <button id="sidebar-minimize" onClick={toggleSidebar} title="Minimize sidebar">☰</button>
         </div>
         <div id="sidebar-content">
-          <div id="layer-nav"></div>
+          {contentGenData?.entryPoints.length > 0 && (
+            <div id="entry-points">
+              <div id="entry-points-title">Entry Points</div>
+              <div id="entry-points-list" ref={entryPointsRef}></div>
+            </div>
+          )}
+          <div id="layer-nav" ref={layerNavRef}></div>
         </div>
       </div>
 
@@ -98,21 +125,26 @@ const Explorer = () => {
 
       {/* Canvas */}
       <div id="canvas-container">
-        <svg id="svg-canvas"></svg>
+        <svg id="svg-canvas" ref={svgRef}></svg>
 
         {/* Controls */}
         <div id="controls">
-          <button className="control-btn" onClick={fitToView}>Fit to View</button>
-          <button className="control-btn" onClick={resetZoom}>Reset Zoom</button>
-          <button className="control-btn" id="toggle-connections-btn" onClick={toggleConnections} title="Toggle connection lines">
-            <span id="connections-status">Connections: ON</span>
+          <button className="control-btn" onClick={() => explorerInstanceRef.current?.fitToView()}>Fit to View</button>
+          <button className="control-btn" onClick={() => explorerInstanceRef.current?.resetZoom()}>Reset Zoom</button>
+          <button
+            className={`control-btn ${showConnections ? '' : 'off'}`}
+            id="toggle-connections-btn"
+            onClick={() => setShowConnections(visible => !visible)}
+            title="Toggle connection lines"
+          >
+            <span id="connections-status">Connections: {showConnections ? 'ON' : 'OFF'}</span>
           </button>
         </div>
 
         {/* Details Panel */}
-        <div id="details-panel">
+        <div id="details-panel" className={selectedResource ? 'visible' : ''}>
           <div className="details-header">
-            <div className="details-title" id="details-resource-name"></div>
+            <div className="details-title" id="details-resource-name">{selectedResource?.name}</div>
             <div className="details-controls">
               <button className="details-control-btn" onClick={closeDetailsPanel} title="Close">×</button>
             </div>
@@ -120,24 +152,41 @@ const Explorer = () => {
 
           {/* Tabs */}
           <div className="details-tabs">
-            <button className="details-tab active" onClick={() => switchTab('overview')}>Overview</button>
-            <button className="details-tab" onClick={() => switchTab('cloudformation')}>CloudFormation</button>
+            <button
+              className={`details-tab ${activeTab === 'overview' ? 'active' : ''}`}
+              onClick={() => setActiveTab('overview')}
+            >
+              Overview
+            </button>
+            <button
+              className={`details-tab ${activeTab === 'cloudformation' ? 'active' : ''}`}
+              onClick={() => setActiveTab('cloudformation')}
+            >
+              CloudFormation
+            </button>
           </div>
 
-          {/* Tab Contents */}
-          <div id="tab-overview" className="tab-content active"></div>
-          <div id="tab-cloudformation" className="tab-content"></div>
+          {/* Tab Contents, filled in by the explorer */}
+          <div id="tab-overview" className={`tab-content ${activeTab === 'overview' ? 'active' : ''}`} ref={overviewTabRef}></div>
+          <div id="tab-cloudformation" className={`tab-content ${activeTab === 'cloudformation' ? 'active' : ''}`} ref={cloudformationTabRef}></div>
         </div>
 
         {/* Resource Type Summary Panel */}
         <div id="resource-type-summary">
           <h3>Resource Types</h3>
-          <table className="type-summary-table" id="type-summary-table">
-            {/* Populated by JavaScript */}
+          <table className="type-summary-table">
+            <tbody>
+              {typeSummary.map(([type, count]) => (
+                <tr key={type}>
+                  <td>{getTypeLabel(type)}</td>
+                  <td>{count}</td>
+                </tr>
+              ))}
+            </tbody>
           </table>
           <div className="type-summary-total">
             <span className="type-summary-total-label">Total Resources</span>
-            <span className="type-summary-total-count" id="total-resource-count">0</span>
+            <span className="type-summary-total-count">{contentGenData ? Object.keys(contentGenData.resources).length : 0}</span>
           </div>
         </div>
       </div>
@@ -148,117 +197,32 @@ const Explorer = () => {
 // ============================================================================
 // DATA TRANSFORMATION FUNCTION
 // ============================================================================
-function transformDataToContentGenFormat(architectureData, processData) {
-  // Extract process map (first one in the array)
-  const processMap = processData.processMaps[0];
+function transformDataToContentGenFormat(architectureData, processMap, reconciliation) {
 
-  // Build phase structure from process-oriented data
-  const phaseMap = new Map();
+  // Build phase structure from process-oriented data, in step order
+  const phaseMap = groupResourcesByPhase(processMap); // '1.10' -> phase 1, etc.
 
-  processMap.resources.forEach(resource => {
-    const processOrder = parseFloat(resource.processOrder);
-    const phaseNum = Math.floor(processOrder); // 0.1 -> 0, 1.2 -> 1, etc.
-
-    if (!phaseMap.has(phaseNum)) {
-      phaseMap.set(phaseNum, []);
-    }
-    phaseMap.get(phaseNum).push(resource.id);
-  });
-
-  // Define phase metadata (matching original structure)
-  const phases = [
-    {
-      id: 0,
-      phase: 0,
-      name: "User Input & Routing",
-      description: "Entry point for all content generation requests with intelligent routing",
-      executionMode: "always-active",
-      hasSubPhases: true,
-      isBranching: true,
-      subPhases: [
-        {
-          name: "Entry Point",
-          services: phaseMap.get(0)?.filter(id => id.includes('ContentEntryAPI')) || []
-        },
-        {
-          name: "Router",
-          services: phaseMap.get(0)?.filter(id => id.includes('RequestRouter')) || [],
-          branchesTo: ["Manual Path", "Auto Path"]
-        },
-        {
-          name: "Manual Path",
-          services: phaseMap.get(0)?.filter(id => id.includes('ManualEntryHandler')) || [],
-          branchPosition: "top"
-        },
-        {
-          name: "Auto Path",
-          services: phaseMap.get(0)?.filter(id => id.includes('AutoPopulationHandler')) || [],
-          branchPosition: "bottom"
-        }
-      ],
-      services: phaseMap.get(0) || []
-    },
-    {
-      id: 1,
-      phase: 1,
-      name: "Cluster Formation & Review",
-      description: "AI-powered keyword expansion, cluster scoring, cost estimation, and user review",
-      executionMode: "sequential",
-      hasSubPhases: false,
-      services: phaseMap.get(1) || []
-    },
-    {
-      id: 2,
-      phase: 2,
-      name: "Article Type Assignment",
-      description: "Intelligent article type detection based on keyword intent",
-      executionMode: "sequential",
-      hasSubPhases: false,
-      services: phaseMap.get(2) || []
-    },
-    {
-      id: 3,
-      phase: 3,
-      name: "AI Content Generation",
-      description: "Unified AI content generation engine using GPT-4-turbo with real-time progress updates",
-      executionMode: "sequential",
-      hasSubPhases: false,
-      services: phaseMap.get(3) || []
-    },
-    {
-      id: 4,
-      phase: 4,
-      name: "Article Enhancement",
-      description: "Post-processing: keyword optimization, heading generation, paragraph expansion, product insertion, image generation, and internal linking",
-      executionMode: "sequential",
-      hasSubPhases: false,
-      services: phaseMap.get(4) || []
-    },
-    {
-      id: 5,
-      phase: 5,
-      name: "WordPress Deployment",
-      description: "Automated plugin installation and content deployment to WordPress sites",
-      executionMode: "sequential",
-      hasSubPhases: false,
-      services: phaseMap.get(5) || []
-    }
-  ];
+  // Phase metadata, sub-phases and branching come from the process map
+  const phases = getPhaseDefinitions(processMap).map(definition => ({
+    ...definition,
+    phase: definition.id,
+    services: (phaseMap.get(definition.id) || []).map(resource => resource.id)
+  }));
 
   // Build resources object from architecture data, enriched with process data
+  // (an architecture generated from a CloudFormation template has no process map)
   const resources = {};
+  const processResources = processMap?.resources || [];
 
   // Convert services object to array for iteration
   Object.entries(architectureData.services).forEach(([serviceId, archResource]) => {
     // Find matching resource in process data
-    const processResource = processMap.resources.find(pr => pr.id === archResource.id);
+    const processResource = processResources.find(pr => pr.id === archResource.id);
 
     let assignedPhase = 'infrastructure'; // Default for resources not in process flow
 
     if (processResource) {
-      const processOrder = parseFloat(processResource.processOrder);
-      const phaseNum = Math.floor(processOrder);
-      assignedPhase = phaseNum;
+      assignedPhase = getPhaseNumber(processResource);
 
       // Handle special cases: Security, Data, Comm layers are cross-cutting
       if (archResource.id.includes('-Security-')) {
@@ -280,6 +244,7 @@ function transformDataToContentGenFormat(architectureData, processData) {
       category: archResource.category,
       layer: archResource.layer,
       phase: assignedPhase,
+      executionOrder: processResource?.processOrder || null,
       description: processResource?.metadata?.description || archResource.metadata?.description || '',
       purpose: processResource?.metadata?.purpose || archResource.metadata?.purpose || '',
       capabilities: processResource?.metadata?.capabilities || archResource.metadata?.capabilities || [],
@@ -288,17 +253,15 @@ function transformDataToContentGenFormat(architectureData, processData) {
         inbound: processResource?.connections?.inbound || archResource.connections?.inbound || [],
         outbound: processResource?.connections?.outbound || archResource.connections?.outbound || []
       },
-      requirements: processResource?.requirements || archResource.requirements || []
+      requirements: processResource?.requirements || archResource.requirements || [],
+      cloudformationLogicalId: reconciliation?.matches.get(archResource.id)?.logicalId || null
     };
   });
 
   // Also add any process resources not in architecture
-  processMap.resources.forEach(processResource => {
+  processResources.forEach(processResource => {
     if (!resources[processResource.id]) {
-      const processOrder = parseFloat(processResource.processOrder);
-      const phaseNum = Math.floor(processOrder);
-
-      let assignedPhase = phaseNum;
+      let assignedPhase = getPhaseNumber(processResource);
 
       // Handle special cases
       if (processResource.id.includes('-Security-')) {
@@ -318,6 +281,7 @@ function transformDataToContentGenFormat(architectureData, processData) {
         category: processResource.category,
         layer: processResource.layer,
         phase: assignedPhase,
+        executionOrder: processResource.processOrder || null,
         description: processResource.metadata?.description || '',
         purpose: processResource.metadata?.purpose || '',
         capabilities: processResource.metadata?.capabilities || [],
@@ -326,35 +290,14 @@ function transformDataToContentGenFormat(architectureData, processData) {
           inbound: processResource.connections?.inbound || [],
           outbound: processResource.connections?.outbound || []
         },
-        requirements: processResource.requirements || []
+        requirements: processResource.requirements || [],
+        cloudformationLogicalId: reconciliation?.matches.get(processResource.id)?.logicalId || null
       };
     }
   });
 
-  // Define entry points
-  const entryPoints = [
-    {
-      name: "Content Entry API",
-      symbol: "🚪",
-      description: "Single entry point for all content generation requests",
-      targetPhase: 0,
-      targetResource: "SCAI-Prod-Core-ContentEntryAPI"
-    },
-    {
-      name: "Manual Entry",
-      symbol: "✍️",
-      description: "Manual keyword entry path",
-      targetPhase: 0,
-      targetResource: "SCAI-Prod-Core-ManualEntryHandler"
-    },
-    {
-      name: "Auto Population",
-      symbol: "🤖",
-      description: "Automated content population path",
-      targetPhase: 0,
-      targetResource: "SCAI-Prod-Core-AutoPopulationHandler"
-    }
-  ];
+  // Entry points declared by the process map
+  const entryPoints = processMap?.entryPoints || [];
 
   // Calculate total resources
   const totalResources = Object.keys(resources).length;
@@ -372,10 +315,28 @@ function transformDataToContentGenFormat(architectureData, processData) {
 }
 
 class ContentGenExplorer {
-    constructor(data) {
+    /**
+     * @param {Object} data - ContentGen-format data from transformDataToContentGenFormat
+     * @param {Object} options - Elements owned by the Explorer page, which scope every DOM
+     *   query, plus the CloudFormation template, the zoom to start from (instead of fitting
+     *   the view) and a callback for the selected resource
+     */
+    constructor(data, { svg, layerNav, entryPointsList, overviewTab, cloudformationTab, cloudformationTemplate, initialTransform, onSelect }) {
         this.data = data;
         this.phases = [];
         this.selectedResource = null;
+        this.connectionsVisible = true;
+        this.timeouts = new Set();
+
+        this.svgElement = svg;
+        this.layerNav = layerNav;
+        this.entryPointsList = entryPointsList;
+        this.overviewTab = overviewTab;
+        this.cloudformationTab = cloudformationTab;
+        this.cloudformationTemplate = cloudformationTemplate;
+        this.onSelect = onSelect;
+        this.initialTransform = initialTransform || null;
+        this.viewReady = false;
 
         // Configuration
         this.config = {
@@ -413,8 +374,64 @@ class ContentGenExplorer {
         console.log('Initialization complete. Total resources rendered:', Object.keys(this.data.resources).length);
     }
 
+    // setTimeout that is cancelled when the explorer is destroyed
+    defer(callback, delay) {
+        const timeout = setTimeout(() => {
+            this.timeouts.delete(timeout);
+            callback();
+        }, delay);
+        this.timeouts.add(timeout);
+    }
+
+    // Stop pending work and clear everything the explorer drew, before unmounting or rebuilding
+    destroy() {
+        this.timeouts.forEach(timeout => clearTimeout(timeout));
+        this.timeouts.clear();
+
+        const svg = d3.select(this.svgElement);
+        svg.interrupt();
+        svg.on('.zoom', null);
+        svg.selectAll('*').remove();
+
+        [this.layerNav, this.entryPointsList, this.overviewTab, this.cloudformationTab]
+            .filter(Boolean)
+            .forEach(element => { element.innerHTML = ''; });
+    }
+
+    // Current zoom, or null while the initial fit is still pending
+    getTransform() {
+        return this.viewReady ? d3.zoomTransform(this.svgElement) : null;
+    }
+
+    // Select a resource again after a rebuild without moving the view; false when it no longer exists
+    restoreSelection(resourceId) {
+        const resource = this.data.resources[resourceId];
+        if (!resource) return false;
+
+        this.selectedResource = resource;
+        this.highlightResourceOnCanvas(resourceId);
+        this.layerNav.querySelectorAll('.nav-resource-item').forEach(item => {
+            item.classList.toggle('selected', item.dataset.resourceId === resourceId);
+        });
+        this.showDetailsPanel();
+        return true;
+    }
+
+    clearSelection() {
+        this.selectedResource = null;
+        d3.select(this.svgElement).selectAll('.resource-card').classed('selected', false);
+        this.layerNav.querySelectorAll('.nav-resource-item').forEach(item => item.classList.remove('selected'));
+    }
+
+    setConnectionsVisible(visible) {
+        this.connectionsVisible = visible;
+        d3.select(this.svgElement)
+            .selectAll('.connection-line, .resource-connection-line, .resource-connection-label, .resource-connection-arrow, .connection-line-cross-phase')
+            .classed('hidden', !visible);
+    }
+
     renderEntryPoints() {
-        const container = document.getElementById('entry-points-list');
+        const container = this.entryPointsList;
         if (!container || !this.data.entryPoints) return;
 
         container.innerHTML = '';
@@ -456,7 +473,7 @@ class ContentGenExplorer {
                         ep.targetResource.id === entry.targetResource
                     );
                     if (entryPointData) {
-                        setTimeout(() => this.showEntryPointArrow(entryPointData), 500);
+                        this.defer(() => this.showEntryPointArrow(entryPointData), 500);
                     }
                 }
             };
@@ -475,11 +492,13 @@ class ContentGenExplorer {
     }
 
     highlightResourceOnCanvas(resourceId) {
+        const svg = d3.select(this.svgElement);
+
         // Reset all resources
-        d3.selectAll('.resource-card').classed('selected', false);
+        svg.selectAll('.resource-card').classed('selected', false);
 
         // Highlight selected
-        d3.select(`[data-resource-id="${resourceId}"]`).classed('selected', true);
+        svg.select(`[data-resource-id="${resourceId}"]`).classed('selected', true);
     }
 
     groupResourcesByPhase() {
@@ -550,10 +569,13 @@ class ContentGenExplorer {
             phaseMap[phase].resources.push(resource);
         });
 
-        // Sort phases (0-7)
+        // Sort phases (0-7), and resources within a phase by step
         this.phases = Object.values(phaseMap).sort((a, b) => {
             return a.phase - b.phase;
         });
+        this.phases.forEach(phase => {
+            phase.resources.sort((a, b) => compareProcessOrder(a.executionOrder, b.executionOrder));
+        });
 
         console.log('Phase distribution:');
         this.phases.forEach(phase => {
@@ -588,26 +610,8 @@ class ContentGenExplorer {
         };
     }
 
-    getTypeLabel(type) {
-        const typeLabels = {
-            'lambda': 'Lambda Functions',
-            'apiGateway': 'API Gateways (REST/HTTP)',
-            'apiGatewayWebSocket': 'API Gateway (WebSocket)',
-            'dynamodb': 'DynamoDB Tables',
-            's3': 'S3 Buckets',
-            'sqs': 'SQS Queues',
-            'sns': 'SNS Topics',
-            'stepFunctions': 'Step Functions',
-            'iamRole': 'IAM Roles',
-            'secretsManager': 'Secrets Manager',
-            'cloudwatchLogGroup': 'CloudWatch Log Groups',
-            'cloudwatchAlarm': 'CloudWatch Alarms'
-        };
-        return typeLabels[type] || type.charAt(0).toUpperCase() + type.slice(1);
-    }
-
     renderSidebar() {
-        const layerNav = document.getElementById('layer-nav');
+        const layerNav = this.layerNav;
         layerNav.innerHTML = '';
 
         // Define layers
@@ -699,7 +703,7 @@ class ContentGenExplorer {
                     // Type header with count
                     const typeHeader = document.createElement('div');
                     typeHeader.className = 'nav-type-header';
-                    const typeLabel = this.getTypeLabel(type);
+                    const typeLabel = getTypeLabel(type);
                     typeHeader.innerHTML = `
                         <div style="display: flex; align-items: center; gap: 6px;">
                             <span class="nav-arrow">▶</span>
@@ -718,6 +722,7 @@ class ContentGenExplorer {
 
                         const resourceItem = document.createElement('div');
                         resourceItem.className = 'nav-resource-item';
+                        resourceItem.dataset.resourceId = resource.id;
                         resourceItem.innerHTML = `
                             <span class="resource-icon">→</span>
                             <span>${resource.name}</span>
@@ -726,7 +731,7 @@ class ContentGenExplorer {
                             e.stopPropagation();
                             this.selectResource(resource.id);
                             // Update selected state
-                            document.querySelectorAll('.nav-resource-item').forEach(el => el.classList.remove('selected'));
+                            layerNav.querySelectorAll('.nav-resource-item').forEach(el => el.classList.remove('selected'));
                             resourceItem.classList.add('selected');
                         };
 
@@ -812,7 +817,7 @@ class ContentGenExplorer {
                 // Type header with count
                 const typeHeader = document.createElement('div');
                 typeHeader.className = 'nav-type-header';
-                const typeLabel = this.getTypeLabel(type);
+                const typeLabel = getTypeLabel(type);
                 typeHeader.innerHTML = `
                     <div style="display: flex; align-items: center; gap: 6px;">
                         <span class="nav-arrow">▶</span>
@@ -832,6 +837,7 @@ class ContentGenExplorer {
 
                     const resourceItem = document.createElement('div');
                     resourceItem.className = 'nav-resource-item';
+                    resourceItem.dataset.resourceId = resource.id;
                     resourceItem.innerHTML = `
                         <span class="resource-icon">→</span>
                         <span>${resource.name}</span>
@@ -839,7 +845,7 @@ class ContentGenExplorer {
                     resourceItem.onclick = (e) => {
                         e.stopPropagation();
                         this.selectResource(resource.id);
-                        document.querySelectorAll('.nav-resource-item').forEach(el => el.classList.remove('selected'));
+                        layerNav.querySelectorAll('.nav-resource-item').forEach(el => el.classList.remove('selected'));
                         resourceItem.classList.add('selected');
                     };
 
@@ -872,56 +878,10 @@ class ContentGenExplorer {
             pmLayerDiv.appendChild(pmLayerContent);
             layerNav.appendChild(pmLayerDiv);
         }
-
-        document.getElementById('resource-count').textContent = Object.keys(this.data.resources).length;
-
-        // Update header metadata
-        if (this.data.version) {
-            document.getElementById('version-display').textContent = `v${this.data.version}`;
-        }
-        if (this.phases.length) {
-            document.getElementById('phases-display').textContent = `${this.phases.length} Stages (0 to ${this.phases.length - 1})`;
-        }
-
-        // Update resource type summary
-        this.renderResourceTypeSummary();
-    }
-
-    renderResourceTypeSummary() {
-        // Count resources by type
-        const typeCounts = {};
-        Object.values(this.data.resources).forEach(resource => {
-            const type = resource.type || 'unknown';
-            typeCounts[type] = (typeCounts[type] || 0) + 1;
-        });
-
-        // Sort by count descending
-        const sortedTypes = Object.entries(typeCounts).sort((a, b) => b[1] - a[1]);
-
-        // Populate table
-        const table = document.getElementById('type-summary-table');
-        table.innerHTML = '';
-
-        sortedTypes.forEach(([type, count]) => {
-            const row = document.createElement('tr');
-            const labelCell = document.createElement('td');
-            const countCell = document.createElement('td');
-
-            labelCell.textContent = this.getTypeLabel(type);
-            countCell.textContent = count;
-
-            row.appendChild(labelCell);
-            row.appendChild(countCell);
-            table.appendChild(row);
-        });
-
-        // Update total count
-        const totalCount = Object.values(typeCounts).reduce((sum, count) => sum + count, 0);
-        document.getElementById('total-resource-count').textContent = totalCount;
     }
 
     renderCanvas() {
-        const svg = d3.select('#svg-canvas');
+        const svg = d3.select(this.svgElement);
         svg.selectAll('*').remove();
 
         // Calculate total dimensions accounting for different phase widths
@@ -1124,8 +1084,19 @@ class ContentGenExplorer {
             this.drawEntryPointIndicators(mainGroup);
         }
 
-        // Fit to view on load
-        setTimeout(() => this.fitToView(), 100);
+        this.setConnectionsVisible(this.connectionsVisible);
+
+        // Keep the zoom of the diagram this one replaces, otherwise fit to view on load
+        if (this.initialTransform) {
+            svg.call(zoom.transform, this.initialTransform);
+            this.initialTransform = null;
+            this.viewReady = true;
+        } else {
+            this.defer(() => {
+                this.fitToView();
+                this.viewReady = true;
+            }, 100);
+        }
     }
 
     drawPhase(parent, phase, phaseIndex) {
@@ -2627,12 +2598,8 @@ class ContentGenExplorer {
 
             // THEN: For sequential/parallel phases, add additional layout-based connections
             if (phase.executionMode === 'sequential') {
-                // Sequential: Connect resources by executionOrder
-                const sortedResources = [...resources].sort((a, b) => {
-                    const orderA = a.executionOrder || 999;
-                    const orderB = b.executionOrder || 999;
-                    return orderA - orderB;
-                });
+                // Sequential: Connect resources by executionOrder (step identifiers, unordered last)
+                const sortedResources = [...resources].sort((a, b) => compareProcessOrder(a.executionOrder, b.executionOrder));
 
                 // Draw arrow from each resource to the next
                 for (let i = 0; i < sortedResources.length - 1; i++) {
@@ -2897,13 +2864,14 @@ class ContentGenExplorer {
         this.selectedResource = this.data.resources[resourceId];
 
         // Update visual selection
-        d3.selectAll('.resource-card').classed('selected', false);
-        d3.selectAll('.resource-item').classed('selected', false);
+        const svg = d3.select(this.svgElement);
+        svg.selectAll('.resource-card').classed('selected', false);
+        d3.select(this.layerNav).selectAll('.resource-item').classed('selected', false);
 
-        d3.select(`[data-resource-id="${resourceId}"]`).classed('selected', true);
+        svg.select(`[data-resource-id="${resourceId}"]`).classed('selected', true);
 
         // Update sidebar
-        const sidebarItems = document.querySelectorAll('.resource-item');
+        const sidebarItems = this.layerNav.querySelectorAll('.resource-item');
         sidebarItems.forEach(item => {
             if (item.textContent === this.selectedResource.name) {
                 item.classList.add('selected');
@@ -2922,7 +2890,7 @@ class ContentGenExplorer {
         if (!resource) return;
 
         // Find the resource's position in the visualization
-        const resourceElement = d3.select(`[data-resource-id="${resourceId}"]`);
+        const resourceElement = d3.select(this.svgElement).select(`[data-resource-id="${resourceId}"]`);
         if (resourceElement.empty()) return;
 
         // Get resource position from the rect element
@@ -2934,7 +2902,7 @@ class ContentGenExplorer {
         const width = parseFloat(rect.attr('width'));
         const height = parseFloat(rect.attr('height'));
 
-        const svg = d3.select('#svg-canvas');
+        const svg = d3.select(this.svgElement);
         const svgWidth = svg.node().clientWidth;
         const svgHeight = svg.node().clientHeight;
 
@@ -2952,11 +2920,8 @@ class ContentGenExplorer {
     }
 
     showDetailsPanel() {
-        const panel = document.getElementById('details-panel');
         const resource = this.selectedResource;
 
-        document.getElementById('details-resource-name').textContent = resource.name;
-
         let content = `
             <div class="details-section">
                 <div class="detail-row">
@@ -2974,7 +2939,7 @@ class ContentGenExplorer {
                 ${resource.executionOrder ? `
                 <div class="detail-row">
                     <span class="detail-label">Execution Order</span>
-                    <span class="detail-value">${resource.executionOrder}</span>
+                    <span class="detail-value">Step ${resource.executionOrder}</span>
                 </div>
                 ` : ''}
             </div>
@@ -3189,39 +3154,41 @@ class ContentGenExplorer {
             `;
         }
 
-        document.getElementById('tab-overview').innerHTML = content;
+        this.overviewTab.innerHTML = content;
 
         // Populate CloudFormation tab
-        const cfTab = document.getElementById('tab-cloudformation');
-        if (window.cloudformationTemplate && window.cloudformationTemplate.Resources) {
-            // Sanitize resource ID to match CloudFormation naming (remove hyphens, capitalize)
-            const sanitizedId = resource.id.replace(/-/g, '');
-            const cfResource = window.cloudformationTemplate.Resources[sanitizedId];
+        const cfTab = this.cloudformationTab;
+        if (this.cloudformationTemplate && this.cloudformationTemplate.Resources) {
+            // Logical ID resolved by the shared architecture/CloudFormation reconciliation
+            const logicalId = resource.cloudformationLogicalId;
+            const cfResource = logicalId ? this.cloudformationTemplate.Resources[logicalId] : null;
 
             if (cfResource) {
                 cfTab.innerHTML = `
                     <div class="cf-resource-info">
                         <div class="label">CloudFormation Resource</div>
-                        <div class="value">${sanitizedId}</div>
+                        <div class="value">${logicalId}</div>
                     </div>
                     <div class="cf-resource-info">
                         <div class="label">AWS Resource Type</div>
                         <div class="value">${cfResource.Type || 'N/A'}</div>
                     </div>
                     <div style="margin-bottom: 10px;">
-                        <button class="copy-btn" onclick="copyCloudFormationCode('${sanitizedId}')">Copy JSON</button>
+                        <button class="copy-btn">Copy JSON</button>
                         <div style="clear: both;"></div>
                     </div>
                     <div class="cf-code-block">
                         <pre>${syntaxHighlightJSON(JSON.stringify(cfResource, null, 2))}</pre>
                     </div>
                 `;
+                cfTab.querySelector('.copy-btn').addEventListener('click', (event) => {
+                    this.copyCloudFormationCode(logicalId, event.currentTarget);
+                });
             } else {
                 cfTab.innerHTML = `
                     <div class="cf-not-available">
                         <p>CloudFormation definition not available for this resource.</p>
                         <p style="margin-top: 8px; font-size: 11px;">Resource ID: ${resource.id}</p>
-                        <p style="font-size: 11px;">Sanitized ID: ${sanitizedId}</p>
                     </div>
                 `;
             }
@@ -3234,44 +3201,65 @@ class ContentGenExplorer {
             `;
         }
 
-        panel.classList.add('visible');
+        this.onSelect(resource);
 
         // Add click handlers for connection items
-        setTimeout(() => {
-            document.querySelectorAll('.connection-clickable').forEach(elem => {
-                elem.addEventListener('click', () => {
-                    const targetId = elem.getAttribute('data-resource-id');
-                    if (targetId && this.data.resources[targetId]) {
-                        this.selectResource(targetId);
-                        this.highlightResourceOnCanvas(targetId);
-
-                        // Zoom to the target resource's phase
-                        const targetResource = this.data.resources[targetId];
-                        if (targetResource && targetResource.phase !== null) {
-                            this.zoomToPhase(targetResource.phase);
-                        }
+        this.overviewTab.querySelectorAll('.connection-clickable').forEach(elem => {
+            elem.addEventListener('click', () => {
+                const targetId = elem.getAttribute('data-resource-id');
+                if (targetId && this.data.resources[targetId]) {
+                    this.selectResource(targetId);
+                    this.highlightResourceOnCanvas(targetId);
+
+                    // Zoom to the target resource's phase
+                    const targetResource = this.data.resources[targetId];
+                    if (targetResource && targetResource.phase !== null) {
+                        this.zoomToPhase(targetResource.phase);
                     }
-                });
+                }
+            });
 
-                // Add hover effects
-                elem.addEventListener('mouseenter', () => {
-                    elem.style.background = '#2E2E2E';
-                    elem.style.borderColor = '#40EDC3';
-                });
+            // Add hover effects
+            elem.addEventListener('mouseenter', () => {
+                elem.style.background = '#2E2E2E';
+                elem.style.borderColor = '#40EDC3';
+            });
 
-                elem.addEventListener('mouseleave', () => {
-                    elem.style.background = '#191919';
-                    elem.style.borderColor = '#2E2E2E';
-                });
+            elem.addEventListener('mouseleave', () => {
+                elem.style.background = '#191919';
+                elem.style.borderColor = '#2E2E2E';
             });
-        }, 0);
+        });
+    }
+
+    // Copy a resource's CloudFormation definition to the clipboard
+    copyCloudFormationCode(logicalId, button) {
+        const resourceDef = this.cloudformationTemplate?.Resources?.[logicalId];
+        if (!resourceDef) {
+            return;
+        }
+
+        const code = JSON.stringify(resourceDef, null, 2);
+
+        navigator.clipboard.writeText(code).then(() => {
+            const originalText = button.textContent;
+            button.textContent = '✓ Copied!';
+            button.classList.add('copied');
+
+            this.defer(() => {
+                button.textContent = originalText;
+                button.classList.remove('copied');
+            }, 2000);
+        }).catch(err => {
+            console.error('Failed to copy:', err);
+        });
     }
 
     scrollToPhase(phaseIndex) {
         const x = this.config.marginLeft + (phaseIndex * (this.config.phaseWidth + this.config.phaseSpacing));
         const y = this.config.marginTop;
 
-        const svg = d3.select('#svg-canvas');
+        const svg = d3.select(this.svgElement);
         const width = svg.node().clientWidth;
         const height = svg.node().clientHeight;
 
@@ -3286,7 +3274,7 @@ class ContentGenExplorer {
     }
 
     fitToView() {
-        const svg = d3.select('#svg-canvas');
+        const svg = d3.select(this.svgElement);
         const width = svg.node().clientWidth;
         const height = svg.node().clientHeight;
 
@@ -3312,7 +3300,7 @@ class ContentGenExplorer {
     }
 
     resetZoom() {
-        const svg = d3.select('#svg-canvas');
+        const svg = d3.select(this.svgElement);
         svg.transition().duration(750).call(
             this.zoom.transform,
             d3.zoomIdentity
@@ -3336,7 +3324,7 @@ class ContentGenExplorer {
         this.phases = originalPhases.filter(p => p.phase === phaseNum);
 
         // Re-render canvas with only selected phase
-        const svg = d3.select('#svg-canvas');
+        const svg = d3.select(this.svgElement);
         svg.selectAll('*').remove();
 
         // Calculate dimensions for single phase
@@ -3410,52 +3398,33 @@ class ContentGenExplorer {
         // Restore original phases array
         this.phases = originalPhases;
 
+        this.setConnectionsVisible(this.connectionsVisible);
+
         // Fit to view
-        setTimeout(() => this.fitToView(), 100);
+        this.defer(() => this.fitToView(), 100);
     }
 }
 
 // ============================================================================
 // HELPER FUNCTIONS
 // ============================================================================
-function closeDetailsPanel() {
-  document.getElementById('details-panel').classList.remove('visible');
-}
-
-function fitToView() {
-  if (window.explorer) {
-    window.explorer.fitToView();
-  }
-}
-
-function resetZoom() {
-  if (window.explorer) {
-    window.explorer.resetZoom();
-  }
-}
-
-function toggleSidebar() {
-  const sidebar = document.getElementById('sidebar');
-  const toggleBtn = document.getElementById('sidebar-toggle-btn');
-
-  sidebar.classList.toggle('collapsed');
-
-  if (sidebar.classList.contains('collapsed')) {
-    toggleBtn.style.display = 'flex';
-  } else {
-    toggleBtn.style.display = 'none';
-  }
-}
-
-// Tab switching function
-function switchTab(tabName) {
-  // Remove active class from all tabs and contents
-  document.querySelectorAll('.details-tab').forEach(tab => tab.classList.remove('active'));
-  document.querySelectorAll('.tab-content').forEach(content => content.classList.remove('active'));
-
-  // Add active class to selected tab and content
-  document.querySelector(`.details-tab:nth-child(${tabName === 'overview' ? 1 : 2})`).classList.add('active');
-  document.getElementById(`tab-${tabName}`).classList.add('active');
+// Plural display label for a resource type
+function getTypeLabel(type) {
+  const typeLabels = {
+    'lambda': 'Lambda Functions',
+    'apiGateway': 'API Gateways (REST/HTTP)',
+    'apiGatewayWebSocket': 'API Gateway (WebSocket)',
+    'dynamodb': 'DynamoDB Tables',
+    's3': 'S3 Buckets',
+    'sqs': 'SQS Queues',
+    'sns': 'SNS Topics',
+    'stepFunctions': 'Step Functions',
+    'iamRole': 'IAM Roles',
+    'secretsManager': 'Secrets Manager',
+    'cloudwatchLogGroup': 'CloudWatch Log Groups',
+    'cloudwatchAlarm': 'CloudWatch Alarms'
+  };
+  return typeLabels[type] || type.charAt(0).toUpperCase() + type.slice(1);
 }
 
 // JSON syntax highlighting function
@@ -3479,63 +3448,4 @@ function syntaxHighlightJSON(json) {
   });
 }
 
-// Copy CloudFormation code to clipboard
-function copyCloudFormationCode(resourceId) {
-  const cfTemplate = window.cloudformationTemplate;
-  if (!cfTemplate || !cfTemplate.Resources) {
-    return;
-  }
-
-  const resourceDef = cfTemplate.Resources[resourceId];
-  if (!resourceDef) {
-    return;
-  }
-
-  const code = JSON.stringify(resourceDef, null, 2);
-
-  navigator.clipboard.writeText(code).then(() => {
-    const btn = event.target;
-    const originalText = btn.textContent;
-    btn.textContent = '✓ Copied!';
-    btn.classList.add('copied');
-
-    setTimeout(() => {
-      btn.textContent = originalText;
-      btn.classList.remove('copied');
-    }, 2000);
-  }).catch(err => {
-    console.error('Failed to copy:', err);
-  });
-}
-
-function toggleConnections() {
-  window.connectionsVisible = !window.connectionsVisible;
-
-  const connections = document.querySelectorAll('.connection-line, .resource-connection-line, .resource-connection-label, .resource-connection-arrow, .connection-line-cross-phase');
-  const statusText = document.getElementById('connections-status');
-  const toggleBtn = document.getElementById('toggle-connections-btn');
-
-  connections.forEach(conn => {
-    if (window.connectionsVisible) {
-      conn.classList.remove('hidden');
-    } else {
-      conn.classList.add('hidden');
-    }
-  });
-
-  // Update button text and style
-  if (window.connectionsVisible) {
-    statusText.textContent = 'Connections: ON';
-    toggleBtn.style.background = '#10B981';
-    toggleBtn.style.color = '#FFFFFF';
-  } else {
-    statusText.textContent = 'Connections: OFF';
-    toggleBtn.style.background = '#2E2E2E';
-    toggleBtn.style.color = '#9C9C9C';
-  }
-}
-
-// Initialize connections visibility
-window.connectionsVisible = true;
-
 export default Explorer;
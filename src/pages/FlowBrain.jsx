@@ -1,10 +1,111 @@
-import { useEffect, useRef, useState, useCallback } from 'react';
+import { useEffect, useMemo, useRef, useState, useCallback } from 'react';
 import { useData } from '../contexts/DataContext';
 import * as d3 from 'd3';
 import './FlowBrain.css';
+import { getPhaseConnections, getPhaseDefinitions, getPhaseNumber } from '../utils/processPhases';
+import { compareProcessOrder } from '../utils/processOrder';
+import {
+  BASELINE_SOURCE,
+  createGapBaseline,
+  getGradeFromCoverage,
+  getStatusFromGrade,
+  measureCoverage
+} from '../utils/gapAnalysis';
+
+// Brain-lobe shapes, assigned to phases in order (paths from the original HTML)
+const BRAIN_LOBES = [
+  // Frontal Lobe
+  {
+    fillPath: `M 63,220.5 C 70,224 77.6,220.5 87,220.5 C 87,220.5 94,192.5 107,175.5 C 112.7,168.1 123.5,163.1 116.5,157.5 C 109.5,151.9 107,125.5 107,125.5 L 113,82.5 C 113,82.5 113,60 107,47.5 C 101,35 94,35.5 94,35.5 C 94,35.5 78.8,41.7 70,47.5 C 61,53.5 49,65.5 49,65.5 C 49,65.5 34.5,71.5 30,82.5 C 25.5,93.5 15,107.5 15,107.5 C 15,107.5 4.2,134.9 7,152.5 C 9.3,166.5 12.3,175.2 22,185.5 C 24.9,188.5 30,192.5 30,192.5 C 30,192.5 42.2,199.6 49,205.5 C 55.1,210.8 56,217 63,220.5 Z`,
+    labelPos: { x: -60, y: 130 },
+    anchorPos: { x: 15, y: 135 },
+    textAnchor: "end",
+    position: { x: 150, y: 300 },
+    size: { width: 200, height: 200 },
+    center: { x: 63, y: 140, radiusX: 35, radiusY: 50 }
+  },
+  // Parietal Lobe
+  {
+    fillPath: `M 374,66 C 374,66 369.1,64.5 366,63.5 M 366,63.5 C 363.2,66.8 361.7,68.8 359.5,72.5 C 354.9,80.3 355,85.9 352,94.5 V 109.5 C 352,109.5 352,124.4 352,134 C 352,144.7 353.7,150.9 352,161.5 C 351.1,167.3 350.1,170.4 348.5,176 C 347.1,181.1 344.5,189 344.5,189 C 344.5,189 348,197 348.5,202.5 C 349.5,212.4 337,218.5 342,227 C 344.6,231.3 352,235 352,235 C 352,235 359.7,242.7 366,244.5 C 371.3,246 374.6,244.5 380,244.5 C 384.1,244.5 386.5,245.2 390.5,244.5 C 398.4,243.2 402,239.6 408.5,235 C 413.6,231.4 416.8,229.5 420.5,224.5 C 425.3,218 426.5,213 427.5,205 C 428.2,200.2 428.1,197.3 427.5,192.5 C 426.9,187.5 425.2,185 424.5,180 C 423.7,173.8 424.5,170.2 424.5,164 C 424.5,160.7 424.5,155.5 424.5,155.5 L 412.5,134 L 395,99.5 L 376,67.5 C 376,67.5 370,65.1 366,63.5 Z`,
+    labelPos: { x: 460, y: 150 },
+    anchorPos: { x: 428, y: 155 },
+    textAnchor: "start",
+    position: { x: 380, y: 220 },
+    size: { width: 220, height: 200 },
+    center: { x: 385, y: 165, radiusX: 28, radiusY: 50 }
+  },
+  // Occipital Lobe
+  {
+    fillPath: `M 131.5,21 C 121.3,24.4 105.5,30.5 105.5,30.5 H 102.5 C 102.5,30.5 108.9,47.8 112.5,59 C 114.8,66 117,69.7 118,77 C 120,90.9 112.5,112.5 112.5,112.5 V 139 C 112.5,139 114,153.1 123.5,155.5 C 132.7,157.8 135.5,153 144.5,148.5 C 152.3,144.6 166,137.4 174.5,135.5 C 184.4,133.3 189,142.8 196,135.5 C 199.5,131.8 195.6,132.6 196,127.5 C 196.8,119.5 189.4,116.4 188,108.5 C 186.4,98.8 191,83.5 191,83.5 L 203,59 C 203,59 220.9,44 223,30.5 C 223.8,25.7 223,18 223,18 L 235,5 H 223 L 191,8.5 C 191,8.5 183.1,12.7 177.5,14 C 168.6,16.2 163.1,12.6 154,14 C 144.9,15.4 140.2,18.1 131.5,21 Z`,
+    labelPos: { x: 165, y: -70 },
+    anchorPos: { x: 165, y: 20 },
+    textAnchor: "middle",
+    position: { x: 630, y: 280 },
+    size: { width: 200, height: 180 },
+    center: { x: 165, y: 80, radiusX: 25, radiusY: 30 }
+  },
+  // Temporal Lobe
+  {
+    fillPath: `M 298,18.5 C 278.1,11.3 245,6.5 245,6.5 H 242.5 C 242.5,242.5 233.1,10.3 230,15.5 C 227.3,20.1 227.5,29 227.5,29 L 223,42 L 210,57 C 210,57 202.1,69.8 198,78.5 C 195.2,84.6 191.5,94.5 191.5,94.5 L 194,109.5 L 200.5,117.5 C 200.5,120.7 198.5,130.4 200.5,140 C 202.5,149.6 198,146.5 198,151 L 204.5,155.5 C 204.5,155.5 206.4,154.6 213.5,155.5 C 222.4,156.6 236.6,158.7 245,161.5 C 254,164.5 258.6,167.5 267.5,170.5 C 279.2,174.5 298,178.5 298,178.5 C 298,178.5 301.5,186.6 309.5,188 C 317.3,189.4 326.6,182.5 334.5,182.5 C 339,182.5 341.8,179.8 344.5,175.5 C 353.9,160.8 348.5,131 348.5,131 L 350.5,80.5 C 350.5,80.5 366.5,58 362.5,55 C 358.5,52 336,36.5 336,36.5 C 336,36.5 313.5,24.1 298,18.5 Z`,
+    labelPos: { x: 275, y: -25 },
+    anchorPos: { x: 275, y: 15 },
+    textAnchor: "middle",
+    position: { x: 130, y: 530 },
+    size: { width: 220, height: 140 },
+    center: { x: 265, y: 105, radiusX: 40, radiusY: 45 }
+  },
+  // Cerebellum
+  {
+    fillPath: `M 230.5,248 C 230.5,248 191.6,252.2 190.5,265.5 C 189.6,276.7 200.4,276.8 208,285 C 214.9,292.4 225.5,304 225.5,304 L 243,316.5 L 261.5,329.5 C 261.5,329.5 266.9,337 271.5,340.5 C 276.4,344.2 285.5,347.5 285.5,347.5 L 297.5,362 C 297.5,362 309.1,376.4 314,371 C 315.9,369 316.5,364.5 316.5,364.5 L 307.5,347.5 C 307.5,347.5 289.5,319 304,316.5 L 333.5,306.5 C 333.5,306.5 352.1,300.9 360.5,292.5 C 367.2,285.9 373,272 373,272 C 373,272 375.7,258.4 370.5,253 C 367.5,249.8 364.4,250.1 360.5,248 C 352.7,243.7 350.4,236.5 341.5,235.5 C 335.6,234.8 326.5,238.5 326.5,238.5 C 326.5,238.5 304.1,245 289.5,248 C 277.5,250.4 270.8,252.3 258.5,253 C 243.5,253.9 230.5,248 230.5,248 Z`,
+    labelPos: { x: 400, y: 300 },
+    anchorPos: { x: 375, y: 295 },
+    textAnchor: "start",
+    position: { x: 580, y: 510 },
+    size: { width: 180, height: 120 },
+    center: { x: 285, y: 295, radiusX: 40, radiusY: 45 }
+  },
+  // Brain Stem
+  {
+    fillPath: `M 337.5,213.5 C 337.5,213.5 349,208 342,192.5 C 336.6,180.6 320.5,196.4 308,192.5 C 296.4,188.9 293.9,177.9 282,175.5 C 275.9,174.3 272.2,176.5 266,175.5 C 258.2,174.2 254.5,170.9 247,168 C 240.4,165.4 237,162.8 230,161.5 C 222.7,160.1 218.3,163.2 211,161.5 C 204.1,159.9 198.3,159.6 194.5,153.5 C 192.4,150.1 200,147 192,143.5 C 184,140 161,143.5 161,143.5 C 154.7,146.1 146.5,153.5 146.5,153.5 L 133,161.5 L 121,168 L 108,181 L 96,198.5 C 96,198.5 87.8,212.5 89,222 C 90.2,231.2 95.1,235.4 101,242.5 C 110.8,254.3 133,265 133,265 C 133,265 146,272.2 155,272 C 163.5,271.8 175.5,265 175.5,265 L 198,253.5 C 198,253.5 211,247.2 220,245.5 C 230.4,243.5 247,245.5 247,245.5 C 247,245.5 256.7,247.9 263,248 C 273.4,248.2 289,242.5 289,242.5 L 318,234.5 L 337.5,231 V 213.5 Z`,
+    labelPos: { x: -60, y: 235 },
+    anchorPos: { x: 88, y: 222 },
+    textAnchor: "end",
+    position: { x: 370, y: 650 },
+    size: { width: 120, height: 90 },
+    center: { x: 210, y: 210, radiusX: 50, radiusY: 40 }
+  }
+];
+
+// Circular region beside the brain for phases beyond the six lobes
+const getExtraLobe = (index) => {
+  const radius = 40;
+  const cx = 520 + (index % 3) * 120;
+  const cy = 60 + Math.floor(index / 3) * 130;
+  return {
+    fillPath: `M ${cx - radius},${cy} a ${radius},${radius} 0 1,0 ${radius * 2},0 a ${radius},${radius} 0 1,0 ${-radius * 2},0 Z`,
+    labelPos: { x: cx, y: cy + radius + 25 },
+    anchorPos: { x: cx, y: cy + radius },
+    textAnchor: "middle",
+    position: { x: cx - radius, y: cy - radius },
+    size: { width: radius * 2, height: radius * 2 },
+    center: { x: cx, y: cy, radiusX: radius * 0.75, radiusY: radius * 0.75 }
+  };
+};
+
+const byProcessOrder = (a, b) => compareProcessOrder(a.processOrder, b.processOrder);
 
 const FlowBrain = () => {
-  const { isDataLoaded, architectureData, processData, cloudformationData } = useData();
+  const {
+    isDataLoaded,
+    architectureData,
+    processData,
+    activeProcessMap,
+    reconciliation,
+    resolvedTemplate,
+    gapBaseline,
+    loadGapBaseline,
+    clearGapBaseline
+  } = useData();
   const [selectedPhase, setSelectedPhase] = useState(null);
   const [selectedResource, setSelectedResource] = useState(null);
   const [activeTab, setActiveTab] = useState('overview');
@@ -13,6 +114,7 @@ const FlowBrain = () => {
   const [zoomLevel, setZoomLevel] = useState(1.0);
 
   const svgRef = useRef(null);
+  const baselineInputRef = useRef(null);
   const tooltipRef = useRef(null);
   const visualizationDataRef = useRef(null);
   const zoomBehaviorRef = useRef(null);
@@ -42,40 +144,19 @@ const FlowBrain = () => {
     '5': '#FFB347', '6': '#FF6B9D', '7': '#B794F6', 'Unknown': '#9C9C9C'
   };
 
-  // Helper function to check if resource is "new" (for gap analysis)
-  const isNewResource = (processOrder) => {
-    return processOrder < 1 ||
-           (processOrder >= 3.9 && processOrder < 4) ||
-           (processOrder >= 4.5 && processOrder < 5) ||
-           (processOrder >= 5.5);
-  };
-
-  // Calculate grade from coverage percentage
-  const getGradeFromCoverage = (coverage) => {
-    if (coverage >= 98) return 'A+';
-    if (coverage >= 90) return 'A';
-    if (coverage >= 80) return 'B+';
-    if (coverage >= 70) return 'B';
-    if (coverage >= 60) return 'C';
-    if (coverage >= 50) return 'D';
-    return 'F';
-  };
-
-  // Get status from grade
-  const getStatusFromGrade = (grade) => {
-    if (grade === 'A+' || grade === 'A') return 'COMPLETE';
-    if (grade === 'B+' || grade === 'B' || grade === 'C') return 'PARTIAL';
-    if (grade === 'D') return 'PARTIAL';
-    return 'CRITICAL';
-  };
+  // Baseline deciding which resources exist (GAP) and which are planned (FIX adds them)
+  const baseline = useMemo(
+    () => createGapBaseline(activeProcessMap, gapBaseline),
+    [activeProcessMap, gapBaseline]
+  );
 
   // Calculate visible resource count for a phase based on current state
   const getVisibleResourceCount = (phase, state) => {
     if (!phase.resources) return 0;
 
     if (state === 'gap') {
-      // In gap state, count only existing resources (exclude new ones)
-      return phase.resources.filter(resource => !isNewResource(resource.processOrder)).length;
+      // In gap state, count only existing resources (exclude planned ones)
+      return measureCoverage(phase.resources, baseline).existing;
     } else {
       // In fix state, count all resources
       return phase.resources.length;
@@ -88,22 +169,20 @@ const FlowBrain = () => {
     if (totalInFixState === 0) return 0;
 
     if (state === 'gap') {
-      const visibleCount = getVisibleResourceCount(phase, state);
-      return Math.round((visibleCount / totalInFixState) * 100);
+      return measureCoverage(phase.resources, baseline).coverage;
     } else {
       return 100; // Fix state always 100%
     }
   };
 
   // Transform data to neural flow
-  const transformDataToNeuralFlow = (architectureData, processData) => {
-    const processMap = processData.processMaps[0];
+  const transformDataToNeuralFlow = (architectureData, processData, processMap) => {
     const phaseMap = new Map();
     const allResources = [];
 
     processMap.resources.forEach(resource => {
-      const processOrder = parseFloat(resource.processOrder);
-      const phaseNum = Math.floor(processOrder);
+      const phaseNum = getPhaseNumber(resource);
+      if (phaseNum === null) return;
 
       if (!phaseMap.has(phaseNum)) {
         phaseMap.set(phaseNum, []);
@@ -115,7 +194,6 @@ const FlowBrain = () => {
 
       const enrichedResource = {
         ...resource,
-        processOrder: processOrder,
         phaseNum: phaseNum,
         type: resourceType,
         layer: layer
@@ -125,107 +203,20 @@ const FlowBrain = () => {
       allResources.push(enrichedResource);
     });
 
-    // Define phases with brain-lobe positions (coverage, grade, status calculated dynamically)
-    const phases = [
-      {
-        id: 0,
-        name: "Entry &\nValidation",
-        description: "Entry point for all content generation requests",
-        executionMode: "always-active",
-        color: "#FFB347",
-        fillPath: `M 63,220.5 C 70,224 77.6,220.5 87,220.5 C 87,220.5 94,192.5 107,175.5 C 112.7,168.1 123.5,163.1 116.5,157.5 C 109.5,151.9 107,125.5 107,125.5 L 113,82.5 C 113,82.5 113,60 107,47.5 C 101,35 94,35.5 94,35.5 C 94,35.5 78.8,41.7 70,47.5 C 61,53.5 49,65.5 49,65.5 C 49,65.5 34.5,71.5 30,82.5 C 25.5,93.5 15,107.5 15,107.5 C 15,107.5 4.2,134.9 7,152.5 C 9.3,166.5 12.3,175.2 22,185.5 C 24.9,188.5 30,192.5 30,192.5 C 30,192.5 42.2,199.6 49,205.5 C 55.1,210.8 56,217 63,220.5 Z`,
-        labelPos: { x: -60, y: 130 },
-        anchorPos: { x: 15, y: 135 },
-        textAnchor: "end",
-        position: { x: 150, y: 300 },
-        size: { width: 200, height: 200 },
-        resources: (phaseMap.get(0) || [])
-      },
-      {
-        id: 1,
-        name: "Keyword\nClustering",
-        description: "AI-powered keyword expansion and clustering",
-        executionMode: "sequential",
-        color: "#7FFBA9",
-        fillPath: `M 374,66 C 374,66 369.1,64.5 366,63.5 M 366,63.5 C 363.2,66.8 361.7,68.8 359.5,72.5 C 354.9,80.3 355,85.9 352,94.5 V 109.5 C 352,109.5 352,124.4 352,134 C 352,144.7 353.7,150.9 352,161.5 C 351.1,167.3 350.1,170.4 348.5,176 C 347.1,181.1 344.5,189 344.5,189 C 344.5,189 348,197 348.5,202.5 C 349.5,212.4 337,218.5 342,227 C 344.6,231.3 352,235 352,235 C 352,235 359.7,242.7 366,244.5 C 371.3,246 374.6,244.5 380,244.5 C 384.1,244.5 386.5,245.2 390.5,244.5 C 398.4,243.2 402,239.6 408.5,235 C 413.6,231.4 416.8,229.5 420.5,224.5 C 425.3,218 426.5,213 427.5,205 C 428.2,200.2 428.1,197.3 427.5,192.5 C 426.9,187.5 425.2,185 424.5,180 C 423.7,173.8 424.5,170.2 424.5,164 C 424.5,160.7 424.5,155.5 424.5,155.5 L 412.5,134 L 395,99.5 L 376,67.5 C 376,67.5 370,65.1 366,63.5 Z`,
-        labelPos: { x: 460, y: 150 },
-        anchorPos: { x: 428, y: 155 },
-        textAnchor: "start",
-        position: { x: 380, y: 220 },
-        size: { width: 220, height: 200 },
-        resources: (phaseMap.get(1) || [])
-      },
-      {
-        id: 2,
-        name: "Article Type\nAssignment",
-        description: "Intelligent article type detection",
-        executionMode: "sequential",
-        color: "#40EDC3",
-        fillPath: `M 131.5,21 C 121.3,24.4 105.5,30.5 105.5,30.5 H 102.5 C 102.5,30.5 108.9,47.8 112.5,59 C 114.8,66 117,69.7 118,77 C 120,90.9 112.5,112.5 112.5,112.5 V 139 C 112.5,139 114,153.1 123.5,155.5 C 132.7,157.8 135.5,153 144.5,148.5 C 152.3,144.6 166,137.4 174.5,135.5 C 184.4,133.3 189,142.8 196,135.5 C 199.5,131.8 195.6,132.6 196,127.5 C 196.8,119.5 189.4,116.4 188,108.5 C 186.4,98.8 191,83.5 191,83.5 L 203,59 C 203,59 220.9,44 223,30.5 C 223.8,25.7 223,18 223,18 L 235,5 H 223 L 191,8.5 C 191,8.5 183.1,12.7 177.5,14 C 168.6,16.2 163.1,12.6 154,14 C 144.9,15.4 140.2,18.1 131.5,21 Z`,
-        labelPos: { x: 165, y: -70 },
-        anchorPos: { x: 165, y: 20 },
-        textAnchor: "middle",
-        position: { x: 630, y: 280 },
-        size: { width: 200, height: 180 },
-        resources: (phaseMap.get(2) || [])
-      },
-      {
-        id: 3,
-        name: "AI Content\nGeneration",
-        description: "Unified AI content generation engine",
-        executionMode: "sequential",
-        color: "#7FFBA9",
-        fillPath: `M 298,18.5 C 278.1,11.3 245,6.5 245,6.5 H 242.5 C 242.5,242.5 233.1,10.3 230,15.5 C 227.3,20.1 227.5,29 227.5,29 L 223,42 L 210,57 C 210,57 202.1,69.8 198,78.5 C 195.2,84.6 191.5,94.5 191.5,94.5 L 194,109.5 L 200.5,117.5 C 200.5,120.7 198.5,130.4 200.5,140 C 202.5,149.6 198,146.5 198,151 L 204.5,155.5 C 204.5,155.5 206.4,154.6 213.5,155.5 C 222.4,156.6 236.6,158.7 245,161.5 C 254,164.5 258.6,167.5 267.5,170.5 C 279.2,174.5 298,178.5 298,178.5 C 298,178.5 301.5,186.6 309.5,188 C 317.3,189.4 326.6,182.5 334.5,182.5 C 339,182.5 341.8,179.8 344.5,175.5 C 353.9,160.8 348.5,131 348.5,131 L 350.5,80.5 C 350.5,80.5 366.5,58 362.5,55 C 358.5,52 336,36.5 336,36.5 C 336,36.5 313.5,24.1 298,18.5 Z`,
-        labelPos: { x: 275, y: -25 },
-        anchorPos: { x: 275, y: 15 },
-        textAnchor: "middle",
-        position: { x: 130, y: 530 },
-        size: { width: 220, height: 140 },
-        resources: (phaseMap.get(3) || [])
-      },
-      {
-        id: 4,
-        name: "Article\nEnhancement",
-        description: "Post-processing workflow",
-        executionMode: "sequential",
-        color: "#EF4444",
-        fillPath: `M 230.5,248 C 230.5,248 191.6,252.2 190.5,265.5 C 189.6,276.7 200.4,276.8 208,285 C 214.9,292.4 225.5,304 225.5,304 L 243,316.5 L 261.5,329.5 C 261.5,329.5 266.9,337 271.5,340.5 C 276.4,344.2 285.5,347.5 285.5,347.5 L 297.5,362 C 297.5,362 309.1,376.4 314,371 C 315.9,369 316.5,364.5 316.5,364.5 L 307.5,347.5 C 307.5,347.5 289.5,319 304,316.5 L 333.5,306.5 C 333.5,306.5 352.1,300.9 360.5,292.5 C 367.2,285.9 373,272 373,272 C 373,272 375.7,258.4 370.5,253 C 367.5,249.8 364.4,250.1 360.5,248 C 352.7,243.7 350.4,236.5 341.5,235.5 C 335.6,234.8 326.5,238.5 326.5,238.5 C 326.5,238.5 304.1,245 289.5,248 C 277.5,250.4 270.8,252.3 258.5,253 C 243.5,253.9 230.5,248 230.5,248 Z`,
-        labelPos: { x: 400, y: 300 },
-        anchorPos: { x: 375, y: 295 },
-        textAnchor: "start",
-        position: { x: 580, y: 510 },
-        size: { width: 180, height: 120 },
-        resources: (phaseMap.get(4) || [])
-      },
-      {
-        id: 5,
-        name: "WordPress\nDeployment",
-        description: "Automated content deployment",
-        executionMode: "sequential",
-        color: "#F59E0B",
-        fillPath: `M 337.5,213.5 C 337.5,213.5 349,208 342,192.5 C 336.6,180.6 320.5,196.4 308,192.5 C 296.4,188.9 293.9,177.9 282,175.5 C 275.9,174.3 272.2,176.5 266,175.5 C 258.2,174.2 254.5,170.9 247,168 C 240.4,165.4 237,162.8 230,161.5 C 222.7,160.1 218.3,163.2 211,161.5 C 204.1,159.9 198.3,159.6 194.5,153.5 C 192.4,150.1 200,147 192,143.5 C 184,140 161,143.5 161,143.5 C 154.7,146.1 146.5,153.5 146.5,153.5 L 133,161.5 L 121,168 L 108,181 L 96,198.5 C 96,198.5 87.8,212.5 89,222 C 90.2,231.2 95.1,235.4 101,242.5 C 110.8,254.3 133,265 133,265 C 133,265 146,272.2 155,272 C 163.5,271.8 175.5,265 175.5,265 L 198,253.5 C 198,253.5 211,247.2 220,245.5 C 230.4,243.5 247,245.5 247,245.5 C 247,245.5 256.7,247.9 263,248 C 273.4,248.2 289,242.5 289,242.5 L 318,234.5 L 337.5,231 V 213.5 Z`,
-        labelPos: { x: -60, y: 235 },
-        anchorPos: { x: 88, y: 222 },
-        textAnchor: "end",
-        position: { x: 370, y: 650 },
-        size: { width: 120, height: 90 },
-        resources: (phaseMap.get(5) || [])
-      }
-    ];
+    // Phases come from the process map; brain-lobe geometry is assigned in order
+    const phases = getPhaseDefinitions(processMap).map((definition, index) => ({
+      ...definition,
+      name: definition.shortName,
+      ...(BRAIN_LOBES[index] || getExtraLobe(index - BRAIN_LOBES.length)),
+      resources: (phaseMap.get(definition.id) || []).sort(byProcessOrder)
+    }));
 
-    const connections = [
-      { from: 0, to: 1, label: "Validated Request", type: "always-seq" },
-      { from: 1, to: 2, label: "Approved Cluster", type: "seq" },
-      { from: 2, to: 3, label: "Job Created", type: "seq" },
-      { from: 3, to: 4, label: "Raw Article", type: "seq" },
-      { from: 4, to: 5, label: "Enhanced Article", type: "seq" },
-      { from: 5, to: 0, label: "Completion Status", type: "feedback", dashed: true }
-    ];
+    const connections = getPhaseConnections(processMap, phases);
 
     return {
       version: processData.version,
       phases: phases,
-      allResources: allResources.sort((a, b) => a.processOrder - b.processOrder),
+      allResources: allResources.sort(byProcessOrder),
       connections: connections,
       totalResources: Object.keys(architectureData.services || {}).length
     };
@@ -388,21 +379,11 @@ const FlowBrain = () => {
       const resourceNodesGroup = svg.select('#resource-nodes');
       resourceNodesGroup.selectAll('*').remove();
 
-      // Define center positions for each phase region (from original HTML)
-      const regionCenters = [
-        { x: 63, y: 140, radiusX: 35, radiusY: 50 },    // Phase 0: Frontal Lobe
-        { x: 385, y: 165, radiusX: 28, radiusY: 50 },   // Phase 1: Parietal Lobe
-        { x: 165, y: 80, radiusX: 25, radiusY: 30 },    // Phase 2: Occipital Lobe
-        { x: 265, y: 105, radiusX: 40, radiusY: 45 },   // Phase 3: Temporal Lobe
-        { x: 285, y: 295, radiusX: 40, radiusY: 45 },   // Phase 4: Cerebellum
-        { x: 210, y: 210, radiusX: 50, radiusY: 40 }    // Phase 5: Brain Stem
-      ];
 
       data.phases.forEach(phase => {
         if (!phase.resources || phase.resources.length === 0) return;
 
-        const center = regionCenters[phase.id];
-        if (!center) return;
+        const center = phase.center;
 
         const lobeCenterX = center.x;
         const lobeCenterY = center.y;
@@ -411,8 +392,9 @@ const FlowBrain = () => {
 
         // Filter resources based on gap/fix state
         const visibleResources = currentBrainState === 'gap'
-          ? phase.resources.filter(r => !isNewResource(r.processOrder))
+          ? phase.resources.filter(r => !baseline.isPlanned(r))
           : phase.resources;
+        const isCriticalPhase = getStatusFromGrade(getGradeFromCoverage(calculateCoverage(phase, 'gap'))) === 'CRITICAL';
 
         visibleResources.forEach((resource, idx) => {
           // Use golden angle spiral for natural distribution
@@ -426,7 +408,7 @@ const FlowBrain = () => {
           let resourceColor;
           if (currentBrainState === 'gap') {
             // Gap mode: Show existing resources
-            if (phase.id === 4 || phase.id === 5) {
+            if (isCriticalPhase) {
               resourceColor = '#FFB347'; // Orange/yellow for critical phases
             } else {
               resourceColor = '#60D9F5'; // Cyan for existing resources
@@ -539,6 +521,19 @@ const FlowBrain = () => {
     }
   };
 
+  // Load a baseline process.json for gap analysis
+  const handleBaselineFile = async (event) => {
+    const file = event.target.files[0];
+    event.target.value = '';
+    if (!file) return;
+
+    const result = await loadGapBaseline(file);
+    if (!result.success) {
+      const issue = result.validation?.files[0]?.errors[0];
+      alert(`Error loading baseline: ${issue ? `${issue.path} ${issue.message}` : result.error}`);
+    }
+  };
+
   // Zoom functions
   const zoomIn = () => {
     const newZoom = Math.min(zoomLevel + 0.25, 2.5);
@@ -581,23 +576,18 @@ const FlowBrain = () => {
 
   // Get CloudFormation template for resource
   const getCloudFormationTemplate = (resourceId) => {
-    if (!cloudformationData || !cloudformationData.Resources) {
-      return null;
-    }
-    // CloudFormation resource keys don't have dashes, but our resource IDs do
-    // Convert "SCAI-Prod-Core-ExecutionRole" to "SCAIProdCoreExecutionRole"
-    const cfResourceKey = resourceId.replace(/-/g, '');
-    return cloudformationData.Resources[cfResourceKey];
+    const match = reconciliation.matches.get(resourceId);
+    return match && (resolvedTemplate?.Resources[match.logicalId] || match.resource);
   };
 
   // Initialize visualization when data is loaded
   useEffect(() => {
-    if (isDataLoaded && architectureData && processData) {
-      const data = transformDataToNeuralFlow(architectureData, processData);
+    if (isDataLoaded && architectureData && processData && activeProcessMap) {
+      const data = transformDataToNeuralFlow(architectureData, processData, activeProcessMap);
       visualizationDataRef.current = data;
       renderBrainStructure(data);
     }
-  }, [isDataLoaded, architectureData, processData, currentBrainState, handlePhaseClick, handleResourceClick, showTooltip, hideTooltip]);
+  }, [isDataLoaded, architectureData, processData, activeProcessMap, baseline, currentBrainState, handlePhaseClick, handleResourceClick, showTooltip, hideTooltip]);
 
   // Setup zoom and pan behavior
   useEffect(() => {
@@ -694,6 +684,16 @@ const FlowBrain = () => {
                   <span className="toggle-percentage">{overallCoverage}%</span>
                 </div>
               </div>
+              <div className="baseline-control" title="Resources in the baseline exist today; the rest of the process map is planned">
+                <span className="baseline-label">
+                  Baseline: <strong>{baseline.label}</strong>
+                </span>
+                <button className="baseline-btn" onClick={() => baselineInputRef.current?.click()}>Load</button>
+                {baseline.source === BASELINE_SOURCE.DATASET && (
+                  <button className="baseline-btn" onClick={clearGapBaseline}>Clear</button>
+                )}
+                <input ref={baselineInputRef} type="file" accept=".json" hidden onChange={handleBaselineFile} />
+              </div>
             </div>
 
             {/* Resource Legend */}
@@ -845,6 +845,12 @@ const FlowBrain = () => {
                       <div className="metric-label">Phase Number</div>
                     </div>
                   </div>
+                  <div className="details-section">
+                    <h3>Baseline Status</h3>
+                    <span className={`detail-badge ${baseline.isPlanned(selectedResource) ? 'planned' : 'existing'}`}>
+                      {baseline.isPlanned(selectedResource) ? 'Planned' : 'Existing'}
+                    </span>
+                  </div>
                   <div className="details-section">
                     <h3>Parent Phase</h3>
                     <p>{selectedPhase ? selectedPhase.name.replace('\n', ' ') : 'N/A'}</p>
@@ -0,0 +1,166 @@
+import { useEffect, useMemo, useState } from 'react';
+import { useNavigate } from 'react-router-dom';
+import { useData } from '../contexts/DataContext';
+import { buildDiffArchitecture, diffArchitectures } from '../utils/architectureDiff';
+import { deleteSnapshot, getSnapshot, listSnapshots } from '../utils/snapshotHistory';
+import ArchitectureDiffReport from '../components/ArchitectureDiffReport';
+import './Reports.css';
+
+const History = () => {
+  const { isDataLoaded, historyRevision, showDiagramDiff } = useData();
+  const navigate = useNavigate();
+  const [snapshots, setSnapshots] = useState([]);
+  const [fromId, setFromId] = useState('');
+  const [toId, setToId] = useState('');
+  const [pair, setPair] = useState(null);
+  const [error, setError] = useState(null);
+  const [listRevision, setListRevision] = useState(0);
+
+  // Reload the list whenever a dataset is loaded or a snapshot is deleted
+  useEffect(() => {
+    listSnapshots()
+      .then(list => {
+        setSnapshots(list);
+        setError(null);
+      })
+      .catch(err => setError(err.message));
+  }, [historyRevision, listRevision]);
+
+  // Compare the two most recent versions until the user picks others
+  const selectedFrom = snapshots.some(snapshot => snapshot.id === fromId) ? fromId : snapshots[1]?.id || '';
+  const selectedTo = snapshots.some(snapshot => snapshot.id === toId) ? toId : snapshots[0]?.id || '';
+
+  useEffect(() => {
+    if (!selectedFrom || !selectedTo) return;
+    let cancelled = false;
+    Promise.all([getSnapshot(selectedFrom), getSnapshot(selectedTo)])
+      .then(([before, after]) => {
+        if (!cancelled) setPair({ before, after });
+      })
+      .catch(err => setError(err.message));
+    return () => {
+      cancelled = true;
+    };
+  }, [selectedFrom, selectedTo]);
+
+  const diff = useMemo(
+    () => (pair?.before && pair?.after ? diffArchitectures(pair.before.architectureData, pair.after.architectureData) : null),
+    [pair]
+  );
+
+  const handleDelete = async (id) => {
+    if (!window.confirm(`Delete snapshot ${id} from the history?`)) return;
+    await deleteSnapshot(id);
+    setListRevision(revision => revision + 1);
+  };
+
+  const handleShowInDiagram = () => {
+    showDiagramDiff({
+      fromId: pair.before.id,
+      toId: pair.after.id,
+      statusById: diff.statusById,
+      architectureData: buildDiffArchitecture(pair.before.architectureData, pair.after.architectureData)
+    });
+    navigate('/diagram');
+  };
+
+  if (!isDataLoaded) {
+    return (
+      <div className="page-container">
+        <div className="welcome-message">
+          <h2>Welcome to Version History</h2>
+          <p>Please import the architecture files to start recording versions of the architecture.</p>
+          <div className="import-hint">
+            Click the "Import Files" button in the header to get started.
+          </div>
+        </div>
+      </div>
+    );
+  }
+
+  const renderSnapshotOptions = () => snapshots.map(snapshot => (
+    <option key={snapshot.id} value={snapshot.id}>{snapshot.id}</option>
+  ));
+
+  return (
+    <div className="page-container report-page">
+      <div className="report-header">
+        <h2 className="report-title">Version History</h2>
+        <p className="report-subtitle">
+          Every loaded dataset is kept in this browser, one snapshot per architecture version and last-updated date.
+          Pick two snapshots to see which services, connections and metadata changed between them.
+        </p>
+      </div>
+
+      {error && <div className="report-empty report-error">Snapshot history is unavailable: {error}</div>}
+
+      <section className="report-section">
+        <h3 className="report-section-title">
+          Snapshots <span className="report-count">{snapshots.length}</span>
+        </h3>
+        {snapshots.length > 0 ? (
+          <table className="report-table">
+            <thead>
+              <tr>
+                <th>Version</th>
+                <th>Last Updated</th>
+                <th>Services</th>
+                <th>Source</th>
+                <th>Saved</th>
+                <th></th>
+              </tr>
+            </thead>
+            <tbody>
+              {snapshots.map(snapshot => (
+                <tr key={snapshot.id}>
+                  <td><code>{snapshot.version || '—'}</code></td>
+                  <td>{snapshot.lastUpdated || '—'}</td>
+                  <td>{snapshot.serviceCount}</td>
+                  <td>{snapshot.source || '—'}</td>
+                  <td>{new Date(snapshot.savedAt).toLocaleString()}</td>
+                  <td>
+                    <button className="report-link report-link-button" onClick={() => handleDelete(snapshot.id)}>
+                      Delete
+                    </button>
+                  </td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        ) : (
+          <div className="report-empty">No snapshots recorded yet</div>
+        )}
+      </section>
+
+      {snapshots.length < 2 ? (
+        <div className="report-empty">
+          Load another version of architecture.json (with a different version or last-updated date) to compare it.
+        </div>
+      ) : (
+        <>
+          <div className="report-toolbar">
+            <label className="report-checkbox">
+              From
+              <select className="report-search report-select" value={selectedFrom} onChange={(e) => setFromId(e.target.value)}>
+                {renderSnapshotOptions()}
+              </select>
+            </label>
+            <label className="report-checkbox">
+              To
+              <select className="report-search report-select" value={selectedTo} onChange={(e) => setToId(e.target.value)}>
+                {renderSnapshotOptions()}
+              </select>
+            </label>
+            <button className="report-action" onClick={handleShowInDiagram} disabled={!diff}>
+              Show Diff in Diagram
+            </button>
+          </div>
+
+          {diff && <ArchitectureDiffReport diff={diff} />}
+        </>
+      )}
+    </div>
+  );
+};
+
+export default History;
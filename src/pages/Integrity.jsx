@@ -0,0 +1,221 @@
+import { useMemo, useState } from 'react';
+import { useData } from '../contexts/DataContext';
+import { checkIntegrity, REFERENCE_STATUS } from '../utils/integrityCheck';
+import './Reports.css';
+
+const STATUS_LABELS = {
+  [REFERENCE_STATUS.RESOLVED]: 'Resolved',
+  [REFERENCE_STATUS.PLACEHOLDER]: 'Placeholder',
+  [REFERENCE_STATUS.EXTERNAL]: 'External Entity',
+  [REFERENCE_STATUS.DANGLING]: 'Dangling'
+};
+
+const Integrity = () => {
+  const { isDataLoaded, architectureData, processData, architectureMerge } = useData();
+  const [statusFilter, setStatusFilter] = useState(REFERENCE_STATUS.DANGLING);
+  const [searchQuery, setSearchQuery] = useState('');
+
+  const integrity = useMemo(
+    () => (isDataLoaded ? checkIntegrity(architectureData, processData) : null),
+    [isDataLoaded, architectureData, processData]
+  );
+
+  if (!isDataLoaded) {
+    return (
+      <div className="page-container">
+        <div className="welcome-message">
+          <h2>Welcome to Integrity Report</h2>
+          <p>Please import the architecture files to check cross-service connection references.</p>
+          <div className="import-hint">
+            Click the "Import Files" button in the header to get started.
+          </div>
+        </div>
+      </div>
+    );
+  }
+
+  const { references, asymmetric, summary } = integrity;
+  const query = searchQuery.toLowerCase();
+  const matchesSearch = (...values) => !query || values.some(value => value?.toLowerCase().includes(query));
+
+  const visibleReferences = references
+    .filter(ref => statusFilter === 'all' || ref.status === statusFilter)
+    .filter(ref => matchesSearch(ref.serviceId, ref.ref, ref.label));
+
+  const visibleAsymmetric = asymmetric.filter(pair => matchesSearch(pair.from, pair.to, pair.label));
+
+  const mergeConflicts = (architectureMerge?.conflicts || []).filter(conflict => matchesSearch(conflict.id, conflict.field));
+  const formatValue = (value) => (typeof value === 'string' ? value : JSON.stringify(value));
+
+  return (
+    <div className="page-container report-page">
+      <div className="report-header">
+        <h2 className="report-title">Connection Integrity</h2>
+        <p className="report-subtitle">
+          Every inbound and outbound reference in architecture.json, classified against the known services
+          and the external entities declared in process.json.
+        </p>
+      </div>
+
+      <div className="report-summary">
+        <button
+          className={`report-card ${statusFilter === 'all' ? 'active' : ''}`}
+          onClick={() => setStatusFilter('all')}
+        >
+          <span className="report-card-value">{summary.total}</span>
+          <span className="report-card-label">All References</span>
+        </button>
+        {Object.values(REFERENCE_STATUS).map(status => (
+          <button
+            key={status}
+            className={`report-card status-${status} ${statusFilter === status ? 'active' : ''}`}
+            onClick={() => setStatusFilter(status)}
+          >
+            <span className="report-card-value">{summary[status]}</span>
+            <span className="report-card-label">{STATUS_LABELS[status]}</span>
+          </button>
+        ))}
+        <div className="report-card status-asymmetric">
+          <span className="report-card-value">{summary.asymmetric}</span>
+          <span className="report-card-label">Asymmetric Pairs</span>
+        </div>
+      </div>
+
+      <div className="report-toolbar">
+        <input
+          type="text"
+          className="report-search"
+          placeholder="Filter by service or reference..."
+          value={searchQuery}
+          onChange={(e) => setSearchQuery(e.target.value)}
+        />
+      </div>
+
+      <div className="report-body">
+        <section className="report-section">
+          <h3 className="report-section-title">
+            References <span className="report-count">{visibleReferences.length}</span>
+          </h3>
+          {visibleReferences.length > 0 ? (
+            <table className="report-table">
+              <thead>
+                <tr>
+                  <th>Service</th>
+                  <th>Direction</th>
+                  <th>Reference</th>
+                  <th>Label</th>
+                  <th>Status</th>
+                </tr>
+              </thead>
+              <tbody>
+                {visibleReferences.map((ref, idx) => (
+                  <tr key={`${ref.serviceId}-${ref.direction}-${ref.ref}-${idx}`}>
+                    <td><code>{ref.serviceId}</code></td>
+                    <td>{ref.direction === 'outbound' ? '→ outbound' : '← inbound'}</td>
+                    <td><code>{ref.ref}</code></td>
+                    <td>{ref.label}</td>
+                    <td><span className={`status-pill status-${ref.status}`}>{STATUS_LABELS[ref.status]}</span></td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          ) : (
+            <div className="report-empty">No references match the current filter</div>
+          )}
+        </section>
+
+        <section className="report-section">
+          <h3 className="report-section-title">
+            Asymmetric Pairs <span className="report-count">{visibleAsymmetric.length}</span>
+          </h3>
+          {visibleAsymmetric.length > 0 ? (
+            <table className="report-table">
+              <thead>
+                <tr>
+                  <th>From</th>
+                  <th>To</th>
+                  <th>Label</th>
+                  <th>Problem</th>
+                </tr>
+              </thead>
+              <tbody>
+                {visibleAsymmetric.map((pair, idx) => (
+                  <tr key={`${pair.from}-${pair.to}-${pair.missing}-${idx}`}>
+                    <td><code>{pair.from}</code></td>
+                    <td><code>{pair.to}</code></td>
+                    <td>{pair.label}</td>
+                    <td>
+                      {pair.missing === 'inbound'
+                        ? `${pair.to} has no matching inbound entry`
+                        : `${pair.from} has no matching outbound entry`}
+                    </td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          ) : (
+            <div className="report-empty">All connection pairs are symmetric</div>
+          )}
+        </section>
+
+        <section className="report-section">
+          <h3 className="report-section-title">
+            Architecture Merge Conflicts <span className="report-count">{mergeConflicts.length}</span>
+          </h3>
+          {architectureMerge?.generated && (
+            <div className="report-empty">Every service was generated from the CloudFormation template</div>
+          )}
+          {architectureMerge?.derived && (
+            <div className="report-empty">No architecture.json was supplied: every service is derived from process.json</div>
+          )}
+          {!architectureMerge?.derived && !architectureMerge?.generated && (
+            <>
+              {architectureMerge?.architectureOnly.length > 0 && (
+                <p className="report-note">
+                  Only in architecture.json: <code>{architectureMerge.architectureOnly.join(', ')}</code>
+                </p>
+              )}
+              {architectureMerge?.processOnly.length > 0 && (
+                <p className="report-note">
+                  Only in process.json: <code>{architectureMerge.processOnly.join(', ')}</code>
+                </p>
+              )}
+              {mergeConflicts.length > 0 ? (
+                <table className="report-table">
+                  <thead>
+                    <tr>
+                      <th>Service</th>
+                      <th>Field</th>
+                      <th>architecture.json</th>
+                      <th>process.json</th>
+                      <th>Used</th>
+                    </tr>
+                  </thead>
+                  <tbody>
+                    {mergeConflicts.map(conflict => (
+                      <tr key={`${conflict.id}-${conflict.field}`}>
+                        <td><code>{conflict.id}</code></td>
+                        <td><code>{conflict.field}</code></td>
+                        <td className={conflict.winner === 'architecture' ? '' : 'diff-before'}>
+                          {formatValue(conflict.architectureValue)}
+                        </td>
+                        <td className={conflict.winner === 'process' ? '' : 'diff-before'}>
+                          {formatValue(conflict.processValue)}
+                        </td>
+                        <td>{conflict.winner === 'process' ? 'process.json' : 'architecture.json'}</td>
+                      </tr>
+                    ))}
+                  </tbody>
+                </table>
+              ) : (
+                <div className="report-empty">architecture.json and process.json agree on every shared field</div>
+              )}
+            </>
+          )}
+        </section>
+      </div>
+    </div>
+  );
+};
+
+export default Integrity;
@@ -0,0 +1,125 @@
+// Build the architecture model from process.json, merging architecture.json over it when both are supplied
+
+import { DATA_SCHEMAS } from './dataSchemas';
+
+// Which file wins for each service field when both define it. Identity fields follow
+// architecture.json (the deployed view); descriptive fields follow process.json, which
+// is maintained with the process. Metadata is merged key by key under the same rule.
+export const FIELD_PRECEDENCE = {
+  name: 'architecture',
+  type: 'architecture',
+  layer: 'architecture',
+  category: 'architecture',
+  metadata: 'process',
+  connections: 'process',
+  requirements: 'process'
+};
+
+// Process-only bookkeeping that does not belong in the architecture model
+const PROCESS_ONLY_FIELDS = ['processOrder', 'status', 'masterCount', 'systems'];
+
+const isSame = (a, b) => JSON.stringify(a) === JSON.stringify(b);
+
+// Process resources of every process map, keyed by ID; the first map listing a resource defines it
+const collectProcessResources = (processData) => {
+  const resources = new Map();
+  (processData?.processMaps || []).forEach(map => {
+    (map.resources || []).forEach(resource => {
+      if (!resources.has(resource.id)) resources.set(resource.id, resource);
+    });
+  });
+  return resources;
+};
+
+const toService = (resource) => Object.fromEntries(
+  Object.entries(resource).filter(([field]) => !PROCESS_ONLY_FIELDS.includes(field))
+);
+
+// Merge one field of a service present in both files, recording where they disagree
+const mergeField = (id, field, archValue, procValue, conflicts, winner = FIELD_PRECEDENCE[field] || 'architecture') => {
+  if (archValue === undefined) return procValue;
+  if (procValue === undefined) return archValue;
+
+  if (!isSame(archValue, procValue)) {
+    conflicts.push({ id, field, winner, architectureValue: archValue, processValue: procValue });
+  }
+  return winner === 'process' ? procValue : archValue;
+};
+
+const mergeService = (archService, resource, conflicts) => {
+  const service = toService(resource);
+  const fields = [...new Set([...Object.keys(archService), ...Object.keys(service)])];
+
+  return Object.fromEntries(fields.map(field => {
+    if (field === 'id') return [field, archService.id ?? service.id];
+    if (field === 'metadata' && archService.metadata && service.metadata) {
+      const keys = [...new Set([...Object.keys(archService.metadata), ...Object.keys(service.metadata)])];
+      return [field, Object.fromEntries(keys.map(key => [
+        key,
+        mergeField(
+          service.id,
+          `metadata.${key}`,
+          archService.metadata[key],
+          service.metadata[key],
+          conflicts,
+          FIELD_PRECEDENCE.metadata
+        )
+      ]))];
+    }
+    return [field, mergeField(service.id, field, archService[field], service[field], conflicts)];
+  }));
+};
+
+// Layer definitions by ID; architecture.json names and colours win, process.json fills the gaps
+const mergeLayers = (archLayers = [], procLayers = []) => {
+  const layers = new Map(procLayers.map(layer => [layer.id, { ...layer }]));
+  archLayers.forEach(layer => layers.set(layer.id, { ...layers.get(layer.id), ...layer }));
+  return [...layers.values()].sort((a, b) => a.id - b.id);
+};
+
+/**
+ * Build the architecture model for a dataset. Without architecture.json every
+ * process resource becomes a service; with it, services are merged field by
+ * field following FIELD_PRECEDENCE and every disagreement is reported.
+ * @param {Object} processData - Parsed process.json
+ * @param {Object|null} [architectureData] - Parsed architecture.json, when supplied
+ * @returns {{
+ *   architectureData: Object,
+ *   derived: boolean,
+ *   conflicts: Array<{id: string, field: string, winner: string, architectureValue: *, processValue: *}>,
+ *   architectureOnly: Array<string>,
+ *   processOnly: Array<string>
+ * }}
+ */
+export function deriveArchitecture(processData, architectureData = null) {
+  const resources = collectProcessResources(processData);
+  const archServices = architectureData?.services || {};
+  const conflicts = [];
+  const services = {};
+
+  resources.forEach((resource, id) => {
+    services[id] = archServices[id] ? mergeService(archServices[id], resource, conflicts) : toService(resource);
+  });
+  // Services documented only in architecture.json are kept as they are
+  Object.entries(archServices).forEach(([id, service]) => {
+    if (!services[id]) services[id] = service;
+  });
+
+  const metadata = architectureData?.metadata || {
+    version: DATA_SCHEMAS.architecture.latest,
+    lastUpdated: processData?.metadata?.lastValidated || processData?.metadata?.importedAt || ''
+  };
+
+  return {
+    architectureData: {
+      ...architectureData,
+      services,
+      layers: mergeLayers(architectureData?.layers, processData?.layers),
+      metadata: { ...metadata, totalResources: Object.keys(services).length }
+    },
+    derived: !architectureData,
+    conflicts,
+    architectureOnly: processData ? Object.keys(archServices).filter(id => !resources.has(id)) : [],
+    processOnly: architectureData ? [...resources.keys()].filter(id => !archServices[id]) : []
+  };
+}
@@ -0,0 +1,160 @@
+// Differences between two versions of architecture.json and process.json
+
+// Change status of a service between two versions
+export const DIFF_STATUS = {
+  ADDED: 'added',
+  REMOVED: 'removed',
+  MODIFIED: 'modified'
+};
+
+const isPlainObject = (value) => value !== null && typeof value === 'object' && !Array.isArray(value);
+
+const isSame = (a, b) => JSON.stringify(a) === JSON.stringify(b);
+
+// Key used to pair up array items: connection target, then id, then the item itself
+const itemKey = (item) => {
+  if (isPlainObject(item)) return item.target ?? item.id ?? JSON.stringify(item);
+  return JSON.stringify(item);
+};
+
+/**
+ * Compute field-level changes between two values. Objects are compared key by key;
+ * arrays are compared item by item, pairing items by connection target or id.
+ * @param {*} before - Old value
+ * @param {*} after - New value
+ * @param {string} [path] - Path of the values (e.g., 'metadata.purpose')
+ * @returns {Array<{path: string, kind: string, before: *, after: *}>} kind is added, removed or changed
+ */
+export function diffValues(before, after, path = '') {
+  if (isSame(before, after)) return [];
+
+  if (before === undefined) return [{ path, kind: DIFF_STATUS.ADDED, before, after }];
+  if (after === undefined) return [{ path, kind: DIFF_STATUS.REMOVED, before, after }];
+
+  if (isPlainObject(before) && isPlainObject(after)) {
+    const keys = [...new Set([...Object.keys(before), ...Object.keys(after)])];
+    return keys.flatMap(key => diffValues(before[key], after[key], path ? `${path}.${key}` : key));
+  }
+
+  if (Array.isArray(before) && Array.isArray(after)) {
+    const oldItems = new Map(before.map(item => [itemKey(item), item]));
+    const newItems = new Map(after.map(item => [itemKey(item), item]));
+    const keys = [...new Set([...oldItems.keys(), ...newItems.keys()])];
+    return keys.flatMap(key => {
+      const label = isPlainObject(oldItems.get(key) ?? newItems.get(key)) ? key : '';
+      return diffValues(oldItems.get(key), newItems.get(key), `${path}[${label}]`);
+    });
+  }
+
+  return [{ path, kind: 'changed', before, after }];
+}
+
+// Outbound connections of a service set, keyed by "from -> to"
+const collectConnections = (services) => {
+  const connections = new Map();
+  Object.entries(services || {}).forEach(([id, service]) => {
+    (service.connections?.outbound || []).forEach(connection => {
+      const to = connection.target || connection;
+      connections.set(`${id} -> ${to}`, { from: id, to, label: connection.label || '' });
+    });
+  });
+  return connections;
+};
+
+/**
+ * Compare two versions of architecture.json
+ * @param {Object} before - Old architecture.json
+ * @param {Object} after - New architecture.json
+ * @returns {{
+ *   services: {added: Array<Object>, removed: Array<Object>, modified: Array<{id: string, name: string, changes: Array<Object>}>},
+ *   connections: {added: Array<Object>, removed: Array<Object>, relabelled: Array<Object>},
+ *   metadata: Array<Object>,
+ *   statusById: Map<string, string>
+ * }}
+ */
+export function diffArchitectures(before, after) {
+  const oldServices = before?.services || {};
+  const newServices = after?.services || {};
+  const statusById = new Map();
+
+  const added = Object.keys(newServices).filter(id => !oldServices[id])
+    .map(id => ({ id, name: newServices[id].name, type: newServices[id].type, layer: newServices[id].layer }));
+  const removed = Object.keys(oldServices).filter(id => !newServices[id])
+    .map(id => ({ id, name: oldServices[id].name, type: oldServices[id].type, layer: oldServices[id].layer }));
+  const modified = Object.keys(newServices)
+    .filter(id => oldServices[id])
+    .map(id => ({ id, name: newServices[id].name, changes: diffValues(oldServices[id], newServices[id]) }))
+    .filter(service => service.changes.length > 0);
+
+  added.forEach(service => statusById.set(service.id, DIFF_STATUS.ADDED));
+  removed.forEach(service => statusById.set(service.id, DIFF_STATUS.REMOVED));
+  modified.forEach(service => statusById.set(service.id, DIFF_STATUS.MODIFIED));
+
+  const oldConnections = collectConnections(oldServices);
+  const newConnections = collectConnections(newServices);
+  const connections = {
+    added: [...newConnections].filter(([key]) => !oldConnections.has(key)).map(([, connection]) => connection),
+    removed: [...oldConnections].filter(([key]) => !newConnections.has(key)).map(([, connection]) => connection),
+    relabelled: [...newConnections]
+      .filter(([key, connection]) => oldConnections.has(key) && oldConnections.get(key).label !== connection.label)
+      .map(([key, connection]) => ({ ...connection, previousLabel: oldConnections.get(key).label }))
+  };
+
+  return {
+    services: { added, removed, modified },
+    connections,
+    metadata: diffValues(before?.metadata, after?.metadata, 'metadata'),
+    statusById
+  };
+}
+
+// Process resources of every process map, keyed by ID
+const collectProcessResources = (processData) => new Map(
+  (processData?.processMaps || []).flatMap(map => (map.resources || []).map(resource => [resource.id, resource]))
+);
+
+/**
+ * Compare the process resources of two versions of process.json
+ * @param {Object} before - Old process.json
+ * @param {Object} after - New process.json
+ * @returns {{added: Array<Object>, removed: Array<Object>, modified: Array<{id: string, name: string, changes: Array<Object>}>}}
+ */
+export function diffProcessResources(before, after) {
+  const oldResources = collectProcessResources(before);
+  const newResources = collectProcessResources(after);
+  const summarize = (resource) => ({
+    id: resource.id,
+    name: resource.name,
+    type: resource.type,
+    layer: resource.layer,
+    processOrder: resource.processOrder
+  });
+
+  return {
+    added: [...newResources.values()].filter(resource => !oldResources.has(resource.id)).map(summarize),
+    removed: [...oldResources.values()].filter(resource => !newResources.has(resource.id)).map(summarize),
+    modified: [...newResources.values()]
+      .filter(resource => oldResources.has(resource.id))
+      .map(resource => ({
+        id: resource.id,
+        name: resource.name,
+        changes: diffValues(oldResources.get(resource.id), resource)
+      }))
+      .filter(resource => resource.changes.length > 0)
+  };
+}
+
+/**
+ * Build the architecture the Diagram renders for a diff: the new version plus the
+ * services that were removed from it, so they can be shown ghosted
+ * @param {Object} before - Old architecture.json
+ * @param {Object} after - New architecture.json
+ * @returns {Object} architecture.json-shaped object
+ */
+export function buildDiffArchitecture(before, after) {
+  const services = { ...(after?.services || {}) };
+  Object.entries(before?.services || {}).forEach(([id, service]) => {
+    if (!services[id]) services[id] = service;
+  });
+  return { ...after, services };
+}
@@ -0,0 +1,60 @@
+// Promise wrapper around the app's IndexedDB database
+
+const DB_NAME = 'scai-architecture';
+const DB_VERSION = 2;
+
+// Object stores and their key paths
+export const STORES = {
+  SNAPSHOTS: 'snapshots',
+  DATASETS: 'datasets'
+};
+
+// Stores missing from an older database version are created on upgrade
+const STORE_KEYS = {
+  [STORES.SNAPSHOTS]: 'id',
+  [STORES.DATASETS]: 'id'
+};
+
+const openDatabase = () => new Promise((resolve, reject) => {
+  if (typeof indexedDB === 'undefined') {
+    reject(new Error('IndexedDB is not available in this browser'));
+    return;
+  }
+
+  const request = indexedDB.open(DB_NAME, DB_VERSION);
+  request.onupgradeneeded = () => {
+    const db = request.result;
+    Object.entries(STORE_KEYS).forEach(([store, keyPath]) => {
+      if (!db.objectStoreNames.contains(store)) db.createObjectStore(store, { keyPath });
+    });
+  };
+  request.onsuccess = () => resolve(request.result);
+  request.onerror = () => reject(request.error);
+});
+
+/**
+ * Run one request against an object store and wait for its transaction to finish
+ * @param {string} store - One of STORES
+ * @param {string} mode - 'readonly' or 'readwrite'
+ * @param {function(IDBObjectStore): IDBRequest} operation - Issues the request
+ * @returns {Promise<*>} Result of the request
+ */
+export async function runStoreRequest(store, mode, operation) {
+  const db = await openDatabase();
+  return new Promise((resolve, reject) => {
+    const transaction = db.transaction(store, mode);
+    const request = operation(transaction.objectStore(store));
+    transaction.oncomplete = () => {
+      db.close();
+      resolve(request.result);
+    };
+    transaction.onerror = () => {
+      db.close();
+      reject(transaction.error);
+    };
+    transaction.onabort = () => {
+      db.close();
+      reject(transaction.error);
+    };
+  });
+}
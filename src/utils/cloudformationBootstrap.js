@@ -0,0 +1,223 @@
+// Architecture model generated from a CloudFormation template, for teams without architecture or process files
+
+import { DATA_SCHEMAS } from './dataSchemas';
+import { getDefaultParameterValues, resolveTemplate } from './cloudformationResolver';
+import { getPhysicalName, getResourceTag, SERVICE_TYPE_TO_CFN } from './cloudformationMatcher';
+
+// CloudFormation resource type -> architecture service type
+const CFN_TO_SERVICE_TYPE = Object.fromEntries(
+  Object.entries(SERVICE_TYPE_TO_CFN).flatMap(([type, cfnTypes]) => cfnTypes.map(cfnType => [cfnType, type]))
+);
+
+// Category and layer for resources without Category/Layer tags, following the bundled architecture
+const TYPE_DEFAULTS = {
+  lambda: { category: 'compute', layer: 1 },
+  stepfunctions: { category: 'compute', layer: 1 },
+  apigateway: { category: 'api', layer: 1 },
+  sns: { category: 'messaging', layer: 3 },
+  sqs: { category: 'messaging', layer: 3 },
+  iam: { category: 'security', layer: 5 },
+  secretsmanager: { category: 'security', layer: 5 },
+  dynamodb: { category: 'database', layer: 6 },
+  s3: { category: 'storage', layer: 6 },
+  cloudwatchloggroup: { category: 'monitoring', layer: 7 },
+  cloudwatchalarm: { category: 'monitoring', layer: 7 }
+};
+
+// ARN service names that differ from the CloudFormation service namespace
+const ARN_SERVICE_ALIASES = {
+  states: 'stepfunctions',
+  'execute-api': 'apigateway'
+};
+
+const isPlainObject = (value) => value !== null && typeof value === 'object' && !Array.isArray(value);
+
+// 'AWS::DynamoDB::Table' -> 'dynamodb'
+const getCfnService = (cfnType) => (cfnType.split('::')[1] || '').toLowerCase();
+
+/**
+ * Map a CloudFormation resource type to an architecture service type. Types
+ * without a known mapping use their service namespace ('AWS::Events::Rule' -> 'events').
+ * @param {string} cfnType - Resource type (e.g., 'AWS::Lambda::Function')
+ * @returns {string} Service type
+ */
+export function getServiceType(cfnType) {
+  return CFN_TO_SERVICE_TYPE[cfnType] || getCfnService(cfnType) || 'unknown';
+}
+
+// 'AWS::DynamoDB::Table' -> 'DynamoDB Table'
+const describeType = (cfnType) => cfnType.split('::').slice(1).join(' ');
+
+// Turn an ARN pattern segment into a regular expression; * and ? are wildcards, ${...} matches anything
+const segmentPattern = (segment) => new RegExp(`^${segment
+  .split(/(\$\{[^}]*\}|\*|\?)/)
+  .map(part => {
+    if (part === '*' || part.startsWith('${')) return '.*';
+    if (part === '?') return '.';
+    return part.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+  })
+  .join('')}$`);
+
+// Every run of consecutive segments of an ARN resource part: 'table/Name/index/*' yields
+// 'table', 'table/Name', 'Name', 'Name/index', ... so the name can sit anywhere in it
+const getResourceNameCandidates = (resourcePart) => {
+  const tokens = resourcePart.split(/([/:])/);
+  const candidates = [];
+  for (let start = 0; start < tokens.length; start += 2) {
+    for (let end = start; end < tokens.length; end += 2) {
+      candidates.push(tokens.slice(start, end + 1).join(''));
+    }
+  }
+  return candidates.filter(candidate => candidate && candidate !== '*');
+};
+
+// Whether a policy ARN grants access to a resource: same service, and part of the ARN matching its physical name
+const arnMatchesResource = (arn, resource) => {
+  const parts = arn.split(':');
+  if (parts[0] !== 'arn' || parts.length < 6) return false;
+  if ((ARN_SERVICE_ALIASES[parts[2]] || parts[2]) !== getCfnService(resource.Type)) return false;
+
+  const name = getPhysicalName(resource);
+  if (!name) return false;
+  // Secret ARNs end in a random six-character suffix
+  const names = resource.Type === 'AWS::SecretsManager::Secret' ? [name, `${name}-AbCdEf`] : [name];
+  return getResourceNameCandidates(parts.slice(5).join(':'))
+    .some(candidate => names.some(value => segmentPattern(candidate).test(value)));
+};
+
+// Ref, Fn::GetAtt and ${Resource} in Fn::Sub pointing at other resources of the template
+const collectIntrinsicReferences = (value, logicalIds, found) => {
+  if (Array.isArray(value)) {
+    value.forEach(item => collectIntrinsicReferences(item, logicalIds, found));
+    return;
+  }
+  if (!isPlainObject(value)) return;
+
+  if (typeof value.Ref === 'string' && logicalIds.has(value.Ref)) {
+    found.push({ logicalId: value.Ref, label: 'Ref' });
+    return;
+  }
+  if (value['Fn::GetAtt']) {
+    const [logicalId, attribute] = Array.isArray(value['Fn::GetAtt'])
+      ? value['Fn::GetAtt']
+      : String(value['Fn::GetAtt']).split('.');
+    if (logicalIds.has(logicalId)) found.push({ logicalId, label: `GetAtt ${attribute}` });
+    return;
+  }
+  if (value['Fn::Sub']) {
+    const [text, variables] = Array.isArray(value['Fn::Sub']) ? value['Fn::Sub'] : [value['Fn::Sub'], {}];
+    if (typeof text === 'string') {
+      [...text.matchAll(/\$\{([^}!.]+)(?:\.[^}]+)?\}/g)]
+        .filter(([, logicalId]) => logicalIds.has(logicalId))
+        .forEach(([, logicalId]) => found.push({ logicalId, label: 'Sub' }));
+    }
+    collectIntrinsicReferences(variables, logicalIds, found);
+    return;
+  }
+  Object.values(value).forEach(child => collectIntrinsicReferences(child, logicalIds, found));
+};
+
+// Policy documents of an IAM resource
+const getPolicyDocuments = (resource) => {
+  const properties = resource.Properties || {};
+  if (resource.Type === 'AWS::IAM::Role' || resource.Type === 'AWS::IAM::User' || resource.Type === 'AWS::IAM::Group') {
+    return (properties.Policies || []).map(policy => policy?.PolicyDocument).filter(Boolean);
+  }
+  return properties.PolicyDocument ? [properties.PolicyDocument] : [];
+};
+
+// Resources granted by Allow statements whose Resource ARNs name them
+const collectPolicyReferences = (resource, resources, found) => {
+  getPolicyDocuments(resource).forEach(document => {
+    [].concat(document.Statement || [])
+      .filter(statement => statement?.Effect === 'Allow')
+      .forEach(statement => {
+        const arns = [].concat(statement.Resource || [])
+          .map(arn => (isPlainObject(arn) && arn['Fn::Sub'] ? [].concat(arn['Fn::Sub'])[0] : arn))
+          .filter(arn => typeof arn === 'string');
+        Object.entries(resources).forEach(([logicalId, target]) => {
+          if (arns.some(arn => arnMatchesResource(arn, target))) {
+            found.push({ logicalId, label: statement.Sid || 'IAM access' });
+          }
+        });
+      });
+  });
+};
+
+/**
+ * Generate architecture.json from a CloudFormation template. Each resource
+ * becomes a service named by its physical name (or logical ID); type comes from
+ * the resource type, layer and category from the Layer/Category tags, the
+ * description from the Description property, and connections from Ref,
+ * Fn::GetAtt, Fn::Sub, DependsOn and IAM policy Resource ARNs.
+ * @param {Object} template - Parsed CloudFormation template
+ * @returns {Object} architecture.json-shaped object
+ */
+export function generateArchitecture(template) {
+  // Parameters at their defaults, so names and tags built with Fn::Sub/Ref read as they deploy
+  const resources = resolveTemplate(template, getDefaultParameterValues(template))?.Resources || {};
+  const logicalIds = new Set(Object.keys(resources));
+
+  const serviceIds = new Map(Object.entries(resources).map(([logicalId, resource]) => {
+    const physicalName = getPhysicalName(resource);
+    const usable = typeof physicalName === 'string' && !/[{}]/.test(physicalName);
+    return [logicalId, usable ? physicalName : logicalId];
+  }));
+
+  const services = {};
+  Object.entries(resources).forEach(([logicalId, resource]) => {
+    const id = serviceIds.get(logicalId);
+    const type = getServiceType(resource.Type);
+    const defaults = TYPE_DEFAULTS[type] || { category: 'other', layer: 1 };
+    const layerTag = parseInt(getResourceTag(resource, 'Layer'), 10);
+    const categoryTag = getResourceTag(resource, 'Category');
+    const description = resource.Properties?.Description;
+
+    const references = [];
+    collectIntrinsicReferences(resource.Properties, logicalIds, references);
+    [].concat(resource.DependsOn || [])
+      .filter(dependency => logicalIds.has(dependency))
+      .forEach(dependency => references.push({ logicalId: dependency, label: 'DependsOn' }));
+    collectPolicyReferences(resource, resources, references);
+
+    // One connection per target; the first reference found labels it
+    const outbound = [];
+    references.forEach(reference => {
+      const target = serviceIds.get(reference.logicalId);
+      if (target !== id && !outbound.some(connection => connection.target === target)) {
+        outbound.push({ target, label: reference.label });
+      }
+    });
+
+    services[id] = {
+      id,
+      name: logicalId,
+      type,
+      layer: Number.isInteger(layerTag) && layerTag >= 1 ? layerTag : defaults.layer,
+      category: typeof categoryTag === 'string' ? categoryTag.toLowerCase() : defaults.category,
+      metadata: {
+        type: describeType(resource.Type),
+        description: typeof description === 'string' ? description : ''
+      },
+      connections: { inbound: [], outbound },
+      requirements: []
+    };
+  });
+
+  // Mirror every outbound connection on its target
+  Object.values(services).forEach(service => {
+    service.connections.outbound.forEach(connection => {
+      services[connection.target].connections.inbound.push({ source: service.id, label: connection.label });
+    });
+  });
+
+  return {
+    services,
+    metadata: {
+      version: DATA_SCHEMAS.architecture.latest,
+      totalResources: Object.keys(services).length,
+      lastUpdated: new Date().toISOString().slice(0, 10),
+      generatedFrom: 'CloudFormation'
+    }
+  };
+}
@@ -0,0 +1,177 @@
+// Reconciliation between architecture services and CloudFormation resources
+
+// Properties that carry the physical (deployed) name of a resource
+export const PHYSICAL_NAME_PROPERTIES = [
+  'TableName',
+  'RoleName',
+  'BucketName',
+  'Name',
+  'FunctionName',
+  'TopicName',
+  'QueueName',
+  'StateMachineName',
+  'LogGroupName',
+  'AlarmName'
+];
+
+// Architecture service type -> compatible CloudFormation resource types
+export const SERVICE_TYPE_TO_CFN = {
+  lambda: ['AWS::Lambda::Function', 'AWS::Serverless::Function'],
+  dynamodb: ['AWS::DynamoDB::Table', 'AWS::DynamoDB::GlobalTable'],
+  s3: ['AWS::S3::Bucket'],
+  iam: ['AWS::IAM::Role', 'AWS::IAM::Policy', 'AWS::IAM::ManagedPolicy'],
+  secretsmanager: ['AWS::SecretsManager::Secret'],
+  apigateway: ['AWS::ApiGateway::RestApi', 'AWS::ApiGatewayV2::Api', 'AWS::Serverless::Api'],
+  stepfunctions: ['AWS::StepFunctions::StateMachine', 'AWS::Serverless::StateMachine'],
+  sns: ['AWS::SNS::Topic'],
+  sqs: ['AWS::SQS::Queue'],
+  cloudwatchloggroup: ['AWS::Logs::LogGroup'],
+  cloudwatchalarm: ['AWS::CloudWatch::Alarm']
+};
+
+/**
+ * Normalise a name for comparison: drop {Placeholder} tokens and
+ * non-alphanumeric characters, then lowercase
+ * @param {string} name - Service ID, logical ID or physical name
+ * @returns {string} Normalised key
+ */
+export function normalizeName(name) {
+  if (typeof name !== 'string') return '';
+  return name
+    .replace(/\$?\{[^}]*\}/g, '')
+    .replace(/[^A-Za-z0-9]/g, '')
+    .toLowerCase();
+}
+
+/**
+ * Read the physical name of a CloudFormation resource, if it declares one.
+ * Plain strings and Fn::Sub template strings are supported.
+ * @param {Object} resource - CloudFormation resource definition
+ * @returns {string|null} Physical name
+ */
+export function getPhysicalName(resource) {
+  const properties = resource?.Properties || {};
+  for (const key of PHYSICAL_NAME_PROPERTIES) {
+    const value = properties[key];
+    if (typeof value === 'string') return value;
+    if (value && typeof value['Fn::Sub'] === 'string') return value['Fn::Sub'];
+    if (value && Array.isArray(value['Fn::Sub'])) return value['Fn::Sub'][0];
+  }
+  return null;
+}
+
+/**
+ * Read a tag value from a CloudFormation resource
+ * @param {Object} resource - CloudFormation resource definition
+ * @param {string} key - Tag key (e.g., 'Layer')
+ * @returns {*} Tag value, or undefined if absent
+ */
+export function getResourceTag(resource, key) {
+  const tags = resource?.Properties?.Tags;
+  if (Array.isArray(tags)) {
+    return tags.find(tag => tag.Key === key)?.Value;
+  }
+  if (tags && typeof tags === 'object') {
+    return tags[key];
+  }
+  return undefined;
+}
+
+const isTypeCompatible = (service, resource) => {
+  const compatible = SERVICE_TYPE_TO_CFN[service.type?.toLowerCase()];
+  return !compatible || compatible.includes(resource.Type);
+};
+
+// Compare the Layer/Category tags with the service; null means the tag is absent
+const compareTags = (service, resource) => {
+  const layerTag = getResourceTag(resource, 'Layer');
+  const categoryTag = getResourceTag(resource, 'Category');
+  return {
+    layer: typeof layerTag === 'string' || typeof layerTag === 'number'
+      ? String(layerTag) === String(service.layer)
+      : null,
+    category: typeof categoryTag === 'string'
+      ? categoryTag.toLowerCase() === String(service.category || '').toLowerCase()
+      : null
+  };
+};
+
+const tagScore = (tags) => (tags.layer ? 1 : 0) + (tags.category ? 1 : 0);
+
+/**
+ * Match architecture services to CloudFormation resources.
+ *
+ * Candidates are found by exact logical ID, then by normalised logical ID
+ * or physical name (TableName, RoleName, BucketName, Name, ...). When several
+ * resources qualify, the one whose Layer/Category tags agree with the service wins.
+ *
+ * @param {Object} architectureData - Parsed architecture.json
+ * @param {Object} cloudformationData - Parsed CloudFormation template
+ * @param {Object} [processData] - Parsed process.json; resources absent from the architecture are matched too
+ * @returns {{
+ *   matches: Map<string, {logicalId: string, resource: Object, matchedBy: string, tags: Object}>,
+ *   byLogicalId: Map<string, string>,
+ *   unmatchedInTemplate: string[],
+ *   unmatchedInArchitecture: string[]
+ * }}
+ */
+export function reconcileResources(architectureData, cloudformationData, processData = null) {
+  const resources = cloudformationData?.Resources || {};
+  const services = new Map();
+
+  Object.entries(architectureData?.services || {}).forEach(([id, service]) => {
+    services.set(id, { ...service, id });
+  });
+  (processData?.processMaps || []).forEach(processMap => {
+    (processMap.resources || []).forEach(resource => {
+      if (!services.has(resource.id)) services.set(resource.id, resource);
+    });
+  });
+
+  // Index resources by normalised logical ID and physical name
+  const index = new Map();
+  const addToIndex = (key, logicalId, matchedBy) => {
+    if (!key) return;
+    if (!index.has(key)) index.set(key, []);
+    index.get(key).push({ logicalId, matchedBy });
+  };
+  Object.entries(resources).forEach(([logicalId, resource]) => {
+    addToIndex(normalizeName(logicalId), logicalId, 'logicalId');
+    addToIndex(normalizeName(getPhysicalName(resource)), logicalId, 'physicalName');
+  });
+
+  const matches = new Map();
+  const byLogicalId = new Map();
+
+  services.forEach((service, serviceId) => {
+    let candidates;
+    if (resources[serviceId]) {
+      candidates = [{ logicalId: serviceId, matchedBy: 'logicalId' }];
+    } else {
+      candidates = (index.get(normalizeName(serviceId)) || [])
+        .filter(candidate => isTypeCompatible(service, resources[candidate.logicalId]));
+    }
+
+    const best = candidates
+      .filter(candidate => !byLogicalId.has(candidate.logicalId))
+      .map(candidate => ({
+        ...candidate,
+        resource: resources[candidate.logicalId],
+        tags: compareTags(service, resources[candidate.logicalId])
+      }))
+      .sort((a, b) => tagScore(b.tags) - tagScore(a.tags) ||
+        (a.matchedBy === 'physicalName' ? -1 : 0) - (b.matchedBy === 'physicalName' ? -1 : 0))[0];
+
+    if (best) {
+      matches.set(serviceId, best);
+      byLogicalId.set(best.logicalId, serviceId);
+    }
+  });
+
+  return {
+    matches,
+    byLogicalId,
+    unmatchedInTemplate: Object.keys(resources).filter(logicalId => !byLogicalId.has(logicalId)),
+    unmatchedInArchitecture: [...services.keys()].filter(serviceId => !matches.has(serviceId))
+  };
+}
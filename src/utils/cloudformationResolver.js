@@ -0,0 +1,234 @@
+// Evaluation of CloudFormation intrinsic functions against a chosen parameter set.
+//
+// Resolution is partial: anything that cannot be evaluated without a deployed
+// stack (resource Refs, Fn::GetAtt, Fn::ImportValue, unset parameters) is kept
+// as an intrinsic, with its arguments resolved as far as possible.
+
+// Values used for pseudo parameters when none is supplied
+export const PSEUDO_PARAMETER_DEFAULTS = {
+  'AWS::Region': 'us-east-1',
+  'AWS::Partition': 'aws',
+  'AWS::URLSuffix': 'amazonaws.com',
+  'AWS::StackName': 'SCAI'
+};
+
+// Marker for Ref AWS::NoValue; the enclosing property or list item is dropped
+const NO_VALUE = Symbol('AWS::NoValue');
+
+const isIntrinsic = (value) => value !== null && typeof value === 'object' && !Array.isArray(value) &&
+  Object.keys(value).length === 1 && /^(Ref|Condition|Fn::.+)$/.test(Object.keys(value)[0]);
+
+const isResolved = (value) => {
+  if (isIntrinsic(value)) return false;
+  if (Array.isArray(value)) return value.every(isResolved);
+  if (value && typeof value === 'object') return Object.values(value).every(isResolved);
+  return true;
+};
+
+const isScalar = (value) => typeof value === 'string' || typeof value === 'number' || typeof value === 'boolean';
+
+/**
+ * Get the starting parameter values for a template: declared defaults, or
+ * an empty string for parameters without one
+ * @param {Object} template - Parsed CloudFormation template
+ * @returns {Object<string, string>} Parameter name -> value
+ */
+export function getDefaultParameterValues(template) {
+  const values = {};
+  Object.entries(template?.Parameters || {}).forEach(([name, parameter]) => {
+    values[name] = parameter?.Default !== undefined ? String(parameter.Default) : '';
+  });
+  return values;
+}
+
+/**
+ * Build the lookup context used by resolveValue()
+ * @param {Object} template - Parsed CloudFormation template
+ * @param {Object<string, string>} parameterValues - Chosen parameter values; empty strings count as unset
+ * @returns {{ parameters: Object, mappings: Object, conditions: Object<string, boolean|undefined> }}
+ */
+export function createResolutionContext(template, parameterValues = {}) {
+  const parameters = { ...PSEUDO_PARAMETER_DEFAULTS };
+  Object.keys(template?.Parameters || {}).forEach(name => {
+    const value = parameterValues[name];
+    if (value !== undefined && value !== '') parameters[name] = value;
+  });
+  if (parameters.AccountId && !parameters['AWS::AccountId']) {
+    parameters['AWS::AccountId'] = parameters.AccountId;
+  }
+
+  const context = { parameters, mappings: template?.Mappings || {}, conditions: {} };
+
+  // Conditions may reference each other; evaluate lazily and guard against cycles
+  const definitions = template?.Conditions || {};
+  const evaluating = new Set();
+  const evaluateCondition = (name) => {
+    if (name in context.conditions) return context.conditions[name];
+    if (!(name in definitions) || evaluating.has(name)) return undefined;
+    evaluating.add(name);
+    const result = evaluateBoolean(definitions[name], context, evaluateCondition);
+    evaluating.delete(name);
+    context.conditions[name] = result;
+    return result;
+  };
+  context.evaluateCondition = evaluateCondition;
+  Object.keys(definitions).forEach(evaluateCondition);
+
+  return context;
+}
+
+// Three-valued evaluation of a condition expression: true, false or undefined (unknown)
+const evaluateBoolean = (expression, context, evaluateCondition) => {
+  if (typeof expression === 'boolean') return expression;
+  if (expression === 'true' || expression === 'false') return expression === 'true';
+  if (!isIntrinsic(expression)) return undefined;
+
+  const [fn, args] = Object.entries(expression)[0];
+  const evaluate = (item) => evaluateBoolean(item, context, evaluateCondition);
+
+  switch (fn) {
+    case 'Condition':
+      return evaluateCondition(args);
+    case 'Fn::Equals': {
+      if (!Array.isArray(args) || args.length !== 2) return undefined;
+      const [left, right] = args.map(arg => resolveValue(arg, context));
+      if (!isResolved(left) || !isResolved(right)) return undefined;
+      return JSON.stringify(left) === JSON.stringify(right) || String(left) === String(right);
+    }
+    case 'Fn::Not': {
+      const value = evaluate(Array.isArray(args) ? args[0] : args);
+      return value === undefined ? undefined : !value;
+    }
+    case 'Fn::And': {
+      const values = (args || []).map(evaluate);
+      if (values.includes(false)) return false;
+      return values.includes(undefined) ? undefined : true;
+    }
+    case 'Fn::Or': {
+      const values = (args || []).map(evaluate);
+      if (values.includes(true)) return true;
+      return values.includes(undefined) ? undefined : false;
+    }
+    default:
+      return undefined;
+  }
+};
+
+// Substitute ${Name} variables in an Fn::Sub string; unknown names are left in place
+const substitute = (text, variables) => text.replace(/\$\{([^}!]+)\}/g, (match, name) => {
+  const value = variables[name.trim()];
+  return isScalar(value) ? String(value) : match;
+});
+
+const resolveIntrinsic = (fn, args, context) => {
+  const keep = (resolvedArgs) => ({ [fn]: resolvedArgs });
+
+  switch (fn) {
+    case 'Ref': {
+      if (args === 'AWS::NoValue') return NO_VALUE;
+      return args in context.parameters ? context.parameters[args] : keep(args);
+    }
+    case 'Fn::Sub': {
+      const [text, extra] = Array.isArray(args) ? args : [args, {}];
+      const variables = { ...context.parameters };
+      Object.entries(extra || {}).forEach(([name, value]) => {
+        variables[name] = resolveValue(value, context);
+      });
+      if (typeof text !== 'string') return keep(args);
+      const result = substitute(text, variables);
+      if (!/\$\{[^}!]+\}/.test(result)) return result.replace(/\$\{!/g, '${');
+      return keep(Array.isArray(args) ? [result, extra] : result);
+    }
+    case 'Fn::Join': {
+      const [delimiter, list] = Array.isArray(args) ? args : [];
+      const items = resolveValue(list, context);
+      if (typeof delimiter === 'string' && Array.isArray(items) && items.every(isScalar)) {
+        return items.join(delimiter);
+      }
+      return keep([delimiter, items]);
+    }
+    case 'Fn::Select': {
+      const [index, list] = Array.isArray(args) ? resolveValue(args, context) : [];
+      const position = Number(index);
+      if (Array.isArray(list) && Number.isInteger(position) && position >= 0 && position < list.length) {
+        return list[position];
+      }
+      return keep([index, list]);
+    }
+    case 'Fn::Split': {
+      const [delimiter, source] = Array.isArray(args) ? args : [];
+      const text = resolveValue(source, context);
+      if (typeof delimiter === 'string' && typeof text === 'string') return text.split(delimiter);
+      return keep([delimiter, text]);
+    }
+    case 'Fn::If': {
+      const [conditionName, whenTrue, whenFalse] = Array.isArray(args) ? args : [];
+      const condition = context.evaluateCondition(conditionName);
+      if (condition === true) return resolveValue(whenTrue, context);
+      if (condition === false) return resolveValue(whenFalse, context);
+      return keep([conditionName, resolveValue(whenTrue, context), resolveValue(whenFalse, context)]);
+    }
+    case 'Fn::FindInMap': {
+      const [mapName, topKey, secondKey] = Array.isArray(args) ? resolveValue(args, context) : [];
+      const value = context.mappings[mapName]?.[topKey]?.[secondKey];
+      return value !== undefined ? value : keep([mapName, topKey, secondKey]);
+    }
+    default:
+      return keep(resolveValue(args, context));
+  }
+};
+
+/**
+ * Resolve intrinsic functions in a template value
+ * @param {any} value - Template value (property, tag value, ...)
+ * @param {Object} context - Result of createResolutionContext()
+ * @returns {any} Value with every resolvable intrinsic replaced by its result
+ */
+export function resolveValue(value, context) {
+  if (Array.isArray(value)) {
+    return value.map(item => resolveValue(item, context)).filter(item => item !== NO_VALUE);
+  }
+  if (isIntrinsic(value)) {
+    const [fn, args] = Object.entries(value)[0];
+    return resolveIntrinsic(fn, args, context);
+  }
+  if (value && typeof value === 'object') {
+    const result = {};
+    Object.entries(value).forEach(([key, child]) => {
+      const resolved = resolveValue(child, context);
+      if (resolved !== NO_VALUE) result[key] = resolved;
+    });
+    return result;
+  }
+  if (typeof value === 'string') {
+    // Plain-string {Parameter} placeholders, as used for bucket names in this template
+    return value.replace(/(^|[^$])\{([A-Za-z]\w*)\}/g, (match, prefix, name) => (
+      name in context.parameters ? `${prefix}${context.parameters[name]}` : match
+    ));
+  }
+  return value;
+}
+
+/**
+ * Resolve every resource in a template against a parameter set
+ * @param {Object} template - Parsed CloudFormation template
+ * @param {Object<string, string>} parameterValues - Chosen parameter values
+ * @returns {{ Resources: Object, conditions: Object<string, boolean|undefined>, unsetParameters: string[] }|null}
+ */
+export function resolveTemplate(template, parameterValues) {
+  if (!template) return null;
+
+  const context = createResolutionContext(template, parameterValues);
+  const resources = {};
+  Object.entries(template.Resources || {}).forEach(([logicalId, resource]) => {
+    // Resources whose Condition is known to be false are not created
+    if (resource.Condition && context.evaluateCondition(resource.Condition) === false) return;
+    resources[logicalId] = { ...resource, Properties: resolveValue(resource.Properties || {}, context) };
+  });
+
+  return {
+    Resources: resources,
+    conditions: context.conditions,
+    unsetParameters: Object.keys(template.Parameters || {}).filter(name => !(name in context.parameters))
+  };
+}
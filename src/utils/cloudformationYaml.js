@@ -0,0 +1,127 @@
+// YAML ingestion for CloudFormation templates.
+//
+// Short-form intrinsic tags (!Ref, !Sub, !GetAtt, !If, ...) are normalised to
+// their long-form JSON equivalents ({ "Ref": ... }, { "Fn::Sub": ... }), so a
+// YAML template yields the same structure as the equivalent JSON template.
+
+import { isAlias, isMap, isScalar, isSeq, LineCounter, parseDocument } from 'yaml';
+import { appendIndex, appendKey } from './jsonLocations';
+
+// Short-form tag -> long-form key
+export const INTRINSIC_TAGS = {
+  '!Ref': 'Ref',
+  '!Condition': 'Condition',
+  '!Base64': 'Fn::Base64',
+  '!Cidr': 'Fn::Cidr',
+  '!FindInMap': 'Fn::FindInMap',
+  '!GetAtt': 'Fn::GetAtt',
+  '!GetAZs': 'Fn::GetAZs',
+  '!ImportValue': 'Fn::ImportValue',
+  '!Join': 'Fn::Join',
+  '!Select': 'Fn::Select',
+  '!Split': 'Fn::Split',
+  '!Sub': 'Fn::Sub',
+  '!Transform': 'Fn::Transform',
+  '!And': 'Fn::And',
+  '!Equals': 'Fn::Equals',
+  '!If': 'Fn::If',
+  '!Not': 'Fn::Not',
+  '!Or': 'Fn::Or'
+};
+
+/**
+ * Error thrown when the text is not valid YAML
+ */
+export class YamlSyntaxError extends SyntaxError {
+  constructor(message, line, column) {
+    super(`${message} (line ${line}, column ${column})`);
+    this.name = 'YamlSyntaxError';
+    this.reason = message;
+    this.line = line;
+    this.column = column;
+  }
+}
+
+/**
+ * Check whether a file should be parsed as YAML, by extension or content
+ * @param {string} text - Raw file contents
+ * @param {string} [fileName] - Source file name
+ * @returns {boolean} True for YAML input
+ */
+export function isYamlSource(text, fileName = '') {
+  if (/\.ya?ml$/i.test(fileName)) return true;
+  if (/\.json$/i.test(fileName)) return false;
+  return !/^\s*[{[]/.test(text);
+}
+
+// Wrap a value in its long-form intrinsic function
+const applyIntrinsic = (tag, value) => {
+  const key = INTRINSIC_TAGS[tag];
+  if (tag === '!GetAtt' && typeof value === 'string') {
+    const dot = value.indexOf('.');
+    return { [key]: dot === -1 ? [value] : [value.slice(0, dot), value.slice(dot + 1)] };
+  }
+  return { [key]: value };
+};
+
+/**
+ * Parse a YAML document and record the line/column where each value starts
+ * @param {string} text - Raw YAML text
+ * @returns {{ value: any, locations: Map<string, {line: number, column: number}> }}
+ * @throws {YamlSyntaxError} When the text is not valid YAML or uses an unknown tag
+ */
+export function parseYamlWithLocations(text) {
+  const lineCounter = new LineCounter();
+  const doc = parseDocument(text, { lineCounter, prettyErrors: false });
+  const locations = new Map();
+
+  if (doc.errors.length > 0) {
+    const [error] = doc.errors;
+    const position = lineCounter.linePos(error.pos[0]);
+    throw new YamlSyntaxError(error.message.split('\n')[0], position.line, position.col);
+  }
+
+  const convert = (node, path) => {
+    if (node === null || node === undefined) return null;
+    if (node.range) {
+      const { line, col } = lineCounter.linePos(node.range[0]);
+      locations.set(path, { line, column: col });
+    }
+
+    if (isAlias(node)) return convert(node.resolve(doc), path);
+
+    let value;
+    if (isMap(node)) {
+      value = {};
+      node.items.forEach(pair => {
+        const key = String(isScalar(pair.key) ? pair.key.value : pair.key);
+        value[key] = convert(pair.value, appendKey(path, key));
+      });
+    } else if (isSeq(node)) {
+      value = node.items.map((item, index) => convert(item, appendIndex(path, index)));
+    } else {
+      value = node.value;
+    }
+
+    if (node.tag && node.tag.startsWith('!') && !node.tag.startsWith('!!')) {
+      if (!INTRINSIC_TAGS[node.tag]) {
+        const { line, col } = lineCounter.linePos(node.range[0]);
+        throw new YamlSyntaxError(`Unknown tag ${node.tag}`, line, col);
+      }
+      return applyIntrinsic(node.tag, value);
+    }
+
+    return value;
+  };
+
+  return { value: convert(doc.contents, '$'), locations };
+}
+
+/**
+ * Parse a CloudFormation YAML template into its long-form JSON structure
+ * @param {string} text - Raw YAML text
+ * @returns {Object} Template with intrinsic functions in long form
+ */
+export function parseCloudFormationYaml(text) {
+  return parseYamlWithLocations(text).value;
+}
@@ -0,0 +1,330 @@
+// Versioned schemas for the three importable data formats.
+//
+// Schemas use a small JSON-Schema-like vocabulary understood by
+// schemaValidation.js: type, required, properties, additionalProperties,
+// items, minItems, minProperties, minLength, minimum, enum, const, pattern,
+// severity ('error' | 'warning') and check (custom rule returning a message).
+
+import { compareProcessOrder } from './processOrder';
+
+const nonEmptyString = { type: 'string', minLength: 1 };
+
+const connectionList = (endpointKey) => ({
+  type: 'array',
+  items: {
+    type: 'object',
+    required: [endpointKey],
+    properties: {
+      [endpointKey]: nonEmptyString,
+      label: { type: 'string' }
+    }
+  }
+});
+
+const connectionsSchema = {
+  type: 'object',
+  properties: {
+    inbound: connectionList('source'),
+    outbound: connectionList('target')
+  }
+};
+
+const phaseSchema = {
+  type: 'object',
+  required: ['id', 'name'],
+  properties: {
+    id: { type: 'integer', minimum: 0 },
+    name: nonEmptyString,
+    shortName: nonEmptyString,
+    description: { type: 'string' },
+    executionMode: { enum: ['always-active', 'sequential', 'parallel', 'configuration'] },
+    color: { type: 'string', pattern: '^#[0-9A-Fa-f]{6}$' },
+    isBranching: { type: 'boolean' },
+    subPhases: {
+      type: 'array',
+      items: {
+        type: 'object',
+        required: ['name', 'services'],
+        properties: {
+          name: nonEmptyString,
+          services: { type: 'array', items: nonEmptyString },
+          branchesTo: { type: 'array', items: nonEmptyString },
+          branchPosition: { enum: ['top', 'bottom'] }
+        }
+      }
+    }
+  }
+};
+
+// Phases, sub-phases and entry points must point at things the process map declares
+const checkProcessMapReferences = (processMap) => {
+  const resourceIds = new Set((processMap.resources || []).map(resource => resource?.id));
+  const phaseIds = new Set((processMap.phases || []).map(phase => phase?.id));
+  const problems = [];
+
+  (processMap.phases || []).forEach(phase => {
+    (phase?.subPhases || []).forEach(subPhase => {
+      (subPhase?.services || []).filter(id => !resourceIds.has(id))
+        .forEach(id => problems.push(`sub-phase "${subPhase.name}" lists unknown resource "${id}"`));
+    });
+  });
+  (processMap.entryPoints || []).forEach(entry => {
+    if (entry?.targetResource && !resourceIds.has(entry.targetResource)) {
+      problems.push(`entry point "${entry.name}" targets unknown resource "${entry.targetResource}"`);
+    }
+  });
+  const ordered = (processMap.resources || []).filter(resource => typeof resource?.processOrder === 'string')
+    .sort((a, b) => compareProcessOrder(a.processOrder, b.processOrder));
+  ordered.slice(1).forEach((resource, i) => {
+    if (compareProcessOrder(resource.processOrder, ordered[i].processOrder) === 0) {
+      problems.push(`"${ordered[i].id}" (${ordered[i].processOrder}) and "${resource.id}" (${resource.processOrder}) share a step`);
+    }
+  });
+  if (phaseIds.size > 0) {
+    (processMap.phaseConnections || []).forEach(connection => {
+      [connection?.from, connection?.to].filter(id => !phaseIds.has(id))
+        .forEach(id => problems.push(`phase connection references undeclared phase ${id}`));
+    });
+  }
+
+  return problems.length > 0 ? { severity: 'warning', message: problems.join('; ') } : null;
+};
+
+const metadataSchema = {
+  type: 'object',
+  properties: {
+    purpose: { type: 'string' },
+    description: { type: 'string' },
+    capabilities: { type: 'array', items: { type: 'string' } },
+    integrations: { type: 'array' }
+  }
+};
+
+const serviceFields = {
+  id: nonEmptyString,
+  name: nonEmptyString,
+  type: nonEmptyString,
+  layer: { type: 'integer', minimum: 1 },
+  category: { type: 'string' },
+  metadata: metadataSchema,
+  connections: connectionsSchema,
+  requirements: { type: 'array', items: { type: 'string' } }
+};
+
+const architectureV2 = {
+  type: 'object',
+  required: ['services'],
+  properties: {
+    services: {
+      type: 'object',
+      minProperties: 1,
+      additionalProperties: {
+        type: 'object',
+        required: ['id', 'name', 'type', 'layer', 'connections'],
+        properties: serviceFields,
+        check: (service, key) => (service.id !== undefined && service.id !== key
+          ? { severity: 'warning', message: `Service key "${key}" does not match its id "${service.id}"` }
+          : null)
+      }
+    },
+    layers: {
+      type: 'array',
+      items: {
+        type: 'object',
+        required: ['id', 'name'],
+        properties: {
+          id: { type: 'integer', minimum: 1 },
+          name: nonEmptyString,
+          color: { type: 'string', pattern: '^#[0-9a-fA-F]{3,8}$', severity: 'warning' },
+          description: { type: 'string' }
+        }
+      }
+    },
+    metadata: {
+      type: 'object',
+      properties: {
+        version: { type: 'string' },
+        totalResources: { type: 'integer', minimum: 0 },
+        lastUpdated: { type: 'string' }
+      }
+    }
+  }
+};
+
+const processV2 = {
+  type: 'object',
+  required: ['version', 'metadata', 'processMaps'],
+  check: (process) => {
+    const declared = process.metadata?.totalProcessMaps;
+    const actual = Array.isArray(process.processMaps) ? process.processMaps.length : 0;
+    return Number.isInteger(declared) && declared !== actual
+      ? { severity: 'warning', message: `metadata.totalProcessMaps is ${declared} but ${actual} process map${actual !== 1 ? 's are' : ' is'} declared` }
+      : null;
+  },
+  properties: {
+    version: { const: '2.0.0' },
+    metadata: {
+      type: 'object',
+      required: ['schemaType'],
+      properties: {
+        schemaType: { const: 'ProcessOriented' },
+        totalProcessMaps: { type: 'integer', minimum: 0 },
+        totalResources: { type: 'integer', minimum: 0 }
+      }
+    },
+    namingConvention: {
+      type: 'object',
+      properties: {
+        pattern: { type: 'string' },
+        environment: { type: 'array', items: nonEmptyString },
+        layers: { type: 'array', items: nonEmptyString }
+      }
+    },
+    layers: {
+      type: 'array',
+      items: {
+        type: 'object',
+        required: ['id', 'name'],
+        properties: {
+          id: { type: 'integer', minimum: 1 },
+          name: nonEmptyString
+        }
+      }
+    },
+    processMaps: {
+      type: 'array',
+      minItems: 1,
+      // Process maps are selected by id, so ids must be unique
+      check: (processMaps) => {
+        const ids = processMaps.map(processMap => processMap?.id);
+        const duplicate = ids.find((id, index) => id !== undefined && ids.indexOf(id) !== index);
+        return duplicate !== undefined ? { message: `Duplicate process map id "${duplicate}"` } : null;
+      },
+      items: {
+        type: 'object',
+        required: ['id', 'name', 'resources'],
+        check: checkProcessMapReferences,
+        properties: {
+          id: nonEmptyString,
+          name: nonEmptyString,
+          description: { type: 'string' },
+          externalEntities: { type: 'array', items: nonEmptyString },
+          phases: { type: 'array', items: phaseSchema },
+          phaseConnections: {
+            type: 'array',
+            items: {
+              type: 'object',
+              required: ['from', 'to'],
+              properties: {
+                from: { type: 'integer', minimum: 0 },
+                to: { type: 'integer', minimum: 0 },
+                label: { type: 'string' },
+                type: { type: 'string' },
+                dashed: { type: 'boolean' }
+              }
+            }
+          },
+          entryPoints: {
+            type: 'array',
+            items: {
+              type: 'object',
+              required: ['name', 'targetResource'],
+              properties: {
+                name: nonEmptyString,
+                symbol: { type: 'string' },
+                description: { type: 'string' },
+                targetPhase: { type: 'integer', minimum: 0 },
+                targetResource: nonEmptyString
+              }
+            }
+          },
+          resources: {
+            type: 'array',
+            minItems: 1,
+            items: {
+              type: 'object',
+              required: ['id', 'name', 'type', 'layer', 'processOrder'],
+              properties: {
+                ...serviceFields,
+                processOrder: { type: 'string', pattern: '^\\d+(\\.\\d+)*$' },
+                status: { type: 'string', enum: ['existing', 'planned'] },
+                systems: { type: 'array', items: nonEmptyString }
+              }
+            }
+          }
+        }
+      }
+    }
+  }
+};
+
+const cloudformation20100909 = {
+  type: 'object',
+  required: ['Resources'],
+  properties: {
+    AWSTemplateFormatVersion: { enum: ['2010-09-09'] },
+    Description: { type: 'string' },
+    Metadata: { type: 'object' },
+    Parameters: {
+      type: 'object',
+      additionalProperties: {
+        type: 'object',
+        required: ['Type'],
+        properties: {
+          Type: nonEmptyString,
+          AllowedValues: { type: 'array' },
+          Description: { type: 'string' }
+        }
+      }
+    },
+    Conditions: { type: 'object' },
+    Resources: {
+      type: 'object',
+      minProperties: 1,
+      additionalProperties: {
+        type: 'object',
+        required: ['Type'],
+        properties: {
+          Type: { type: 'string', pattern: '^(AWS|Custom|Alexa)::' },
+          Properties: { type: 'object' },
+          DependsOn: { type: ['string', 'array'] }
+        }
+      }
+    },
+    Outputs: { type: 'object' }
+  }
+};
+
+/**
+ * Registry of supported schema versions per data format.
+ * `detectVersion` reads the version marker from a parsed document.
+ */
+export const DATA_SCHEMAS = {
+  architecture: {
+    label: 'Architecture Template',
+    versionPath: '$.metadata.version',
+    detectVersion: (data) => data?.metadata?.version,
+    latest: '2.0.0',
+    versions: {
+      '2.0.0': architectureV2
+    }
+  },
+  process: {
+    label: 'Process-Oriented',
+    versionPath: '$.version',
+    detectVersion: (data) => data?.version,
+    latest: '2.0.0',
+    versions: {
+      '2.0.0': processV2
+    }
+  },
+  cloudformation: {
+    label: 'CloudFormation Template',
+    versionPath: '$.AWSTemplateFormatVersion',
+    detectVersion: (data) => data?.AWSTemplateFormatVersion,
+    latest: '2010-09-09',
+    versions: {
+      '2010-09-09': cloudformation20100909
+    }
+  }
+};
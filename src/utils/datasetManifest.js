@@ -0,0 +1,89 @@
+// Datasets linked by URL: a ?manifest= file, or the file URLs given directly as query parameters
+
+export const DATA_FILE_KINDS = ['architecture', 'process', 'cloudformation'];
+
+// Files a dataset cannot be loaded without; the architecture model can be derived from process.json
+const REQUIRED_KINDS = ['process'];
+
+// Last path segment of a URL, used as the file name in reports
+const getFileName = (url) => new URL(url).pathname.split('/').filter(Boolean).pop() || url;
+
+/**
+ * Read the dataset link from the page's query string. Either
+ * ?manifest=/datasets/qa-app/manifest.json, or
+ * ?process=...[&architecture=...][&cloudformation=...][&name=...]
+ * @param {string} search - location.search
+ * @returns {{manifestUrl: string}|{name: string|null, files: Object<string, string>}|null}
+ */
+export function getDatasetLink(search) {
+  const params = new URLSearchParams(search);
+  if (params.get('manifest')) return { manifestUrl: params.get('manifest') };
+
+  if (REQUIRED_KINDS.every(kind => params.get(kind))) {
+    return {
+      name: params.get('name'),
+      files: Object.fromEntries(DATA_FILE_KINDS.map(kind => [kind, params.get(kind)]))
+    };
+  }
+  return null;
+}
+
+/**
+ * Fetch and check a dataset manifest:
+ * { "name": "QA App", "architecture": "architecture.json", "process": "process.json", "cloudformation": "cloudformation.yaml" }
+ * Only process is required.
+ * File URLs are resolved against the manifest's own URL.
+ * @param {string} manifestUrl - Absolute or page-relative URL of the manifest
+ * @returns {Promise<{name: string|null, files: Object<string, string>}>}
+ */
+export async function loadManifest(manifestUrl) {
+  const url = new URL(manifestUrl, window.location.href).href;
+  const response = await fetch(url);
+  if (!response.ok) {
+    throw new Error(`Could not load manifest ${manifestUrl} (HTTP ${response.status})`);
+  }
+
+  let manifest;
+  try {
+    manifest = JSON.parse(await response.text());
+  } catch (error) {
+    throw new Error(`Manifest ${manifestUrl} is not valid JSON: ${error.message}`);
+  }
+
+  const missing = REQUIRED_KINDS.filter(kind => typeof manifest?.[kind] !== 'string');
+  if (missing.length > 0) {
+    throw new Error(`Manifest ${manifestUrl} does not list a URL for: ${missing.join(', ')}`);
+  }
+
+  return {
+    name: typeof manifest.name === 'string' ? manifest.name : null,
+    files: Object.fromEntries(DATA_FILE_KINDS.map(kind => [
+      kind,
+      typeof manifest[kind] === 'string' ? new URL(manifest[kind], url).href : null
+    ]))
+  };
+}
+
+/**
+ * Fetch the files of a dataset as text, ready for validateDataset. Optional
+ * files that cannot be fetched are skipped.
+ * @param {Object<string, string|null>} urls - File URL by kind
+ * @returns {Promise<Object<string, {text: string, fileName: string}|null>>}
+ */
+export async function fetchDataFiles(urls) {
+  const entries = await Promise.all(DATA_FILE_KINDS.map(async kind => {
+    if (!urls[kind]) return [kind, null];
+
+    const url = new URL(urls[kind], window.location.href).href;
+    const response = await fetch(url);
+    if (!response.ok) {
+      if (!REQUIRED_KINDS.includes(kind)) {
+        console.warn(`⚠️ Could not load ${urls[kind]} (HTTP ${response.status})`);
+        return [kind, null];
+      }
+      throw new Error(`Failed to load ${urls[kind]} (HTTP ${response.status})`);
+    }
+    return [kind, { text: await response.text(), fileName: getFileName(url) }];
+  }));
+  return Object.fromEntries(entries);
+}
@@ -0,0 +1,101 @@
+// Hand-arranged Interactive Diagram layouts: saved with the workspace, exported and imported as JSON
+
+export const DIAGRAM_LAYOUT_FORMAT = 'scai-diagram-layout';
+const DIAGRAM_LAYOUT_VERSION = 1;
+
+const isPosition = (value) => value !== null && typeof value === 'object'
+  && Number.isFinite(value.x) && Number.isFinite(value.y);
+
+/**
+ * Create a named layout from node positions
+ * @param {string} name - Display name, unique within a workspace
+ * @param {Object<string, {x: number, y: number}>} positions - Top-left corner of each service node, by service ID
+ * @returns {{name: string, positions: Object<string, {x: number, y: number}>, savedAt: string}}
+ */
+export function buildDiagramLayout(name, positions) {
+  return {
+    name,
+    positions: Object.fromEntries(Object.entries(positions).map(([id, { x, y }]) => [
+      id,
+      { x: Math.round(x), y: Math.round(y) }
+    ])),
+    savedAt: new Date().toISOString()
+  };
+}
+
+/**
+ * File contents for exporting a layout next to architecture.json
+ * @param {Object} layout - Layout from buildDiagramLayout
+ * @returns {Object} JSON-ready layout file
+ */
+export function toLayoutFile(layout) {
+  return {
+    format: DIAGRAM_LAYOUT_FORMAT,
+    version: DIAGRAM_LAYOUT_VERSION,
+    name: layout.name,
+    savedAt: layout.savedAt,
+    positions: layout.positions
+  };
+}
+
+/**
+ * File name for an exported layout ('Review 2024' -> 'review-2024.layout.json')
+ * @param {string} name - Layout name
+ * @returns {string}
+ */
+export function getLayoutFileName(name) {
+  const slug = name.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '');
+  return `${slug || 'diagram'}.layout.json`;
+}
+
+/**
+ * Read an exported layout file
+ * @param {string} text - File contents
+ * @param {string} fallbackName - Name to use when the file does not carry one
+ * @returns {Object} Layout, as from buildDiagramLayout
+ * @throws {Error} When the file is not a diagram layout
+ */
+export function parseLayoutFile(text, fallbackName) {
+  let file;
+  try {
+    file = JSON.parse(text);
+  } catch (error) {
+    throw new Error(`Not valid JSON: ${error.message}`);
+  }
+
+  if (file?.format !== DIAGRAM_LAYOUT_FORMAT || file.positions === null || typeof file.positions !== 'object') {
+    throw new Error('Not a diagram layout file (expected "format": "scai-diagram-layout" and a positions map)');
+  }
+  if (file.version > DIAGRAM_LAYOUT_VERSION) {
+    throw new Error(`Layout file version ${file.version} is newer than this app supports (${DIAGRAM_LAYOUT_VERSION})`);
+  }
+
+  const invalid = Object.keys(file.positions).filter(id => !isPosition(file.positions[id]));
+  if (invalid.length > 0) {
+    throw new Error(`Invalid positions for: ${invalid.join(', ')}`);
+  }
+
+  return {
+    name: typeof file.name === 'string' && file.name.trim() ? file.name.trim() : fallbackName,
+    positions: file.positions,
+    savedAt: typeof file.savedAt === 'string' ? file.savedAt : new Date().toISOString()
+  };
+}
+
+/**
+ * Match a saved layout against the services of the current dataset. Only
+ * positions of services that still exist are applied.
+ * @param {Object} layout - Saved layout
+ * @param {Array<string>} serviceIds - Services in the diagram
+ * @returns {{positions: Object<string, {x: number, y: number}>, matched: number, missing: Array<string>}}
+ *   Positions to apply, how many services they cover, and layout IDs no longer in the dataset
+ */
+export function matchDiagramLayout(layout, serviceIds) {
+  const ids = new Set(serviceIds);
+  const positions = Object.fromEntries(Object.entries(layout.positions).filter(([id]) => ids.has(id)));
+  return {
+    positions,
+    matched: Object.keys(positions).length,
+    missing: Object.keys(layout.positions).filter(id => !ids.has(id))
+  };
+}
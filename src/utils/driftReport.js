@@ -0,0 +1,124 @@
+// Drift between the architecture model and the CloudFormation template
+
+import { getPhysicalName, getResourceTag, SERVICE_TYPE_TO_CFN } from './cloudformationMatcher';
+
+/**
+ * Get the AWS service segment of a CloudFormation type
+ * @param {string} type - CloudFormation type (e.g., 'AWS::DynamoDB::Table')
+ * @returns {string} Service segment (e.g., 'DynamoDB')
+ */
+export function getCfnServiceName(type) {
+  return typeof type === 'string' ? type.split('::')[1] || type : 'Unknown';
+}
+
+const architectureServiceName = (service) => {
+  const cfnTypes = SERVICE_TYPE_TO_CFN[service.type?.toLowerCase()];
+  return cfnTypes ? getCfnServiceName(cfnTypes[0]) : (service.type || 'Unknown');
+};
+
+const tagAsString = (value) => (typeof value === 'string' || typeof value === 'number' ? String(value) : null);
+
+/**
+ * Compute the drift report between architecture.json and a CloudFormation template
+ * @param {Object} architectureData - Parsed architecture.json
+ * @param {Object} cloudformationData - Parsed CloudFormation template
+ * @param {Object} reconciliation - Result of reconcileResources()
+ * @param {Object} [resolvedTemplate] - Result of resolveTemplate(); physical names are reported resolved
+ * @returns {{
+ *   breakdown: Array<{service: string, claimed: number|null, declared: number, modelled: number, matched: number}>,
+ *   templateOnly: Array<Object>,
+ *   architectureOnly: Array<Object>,
+ *   contradictions: Array<Object>
+ * }}
+ */
+export function computeDrift(architectureData, cloudformationData, reconciliation, resolvedTemplate = null) {
+  const services = architectureData?.services || {};
+  const resources = cloudformationData?.Resources || {};
+  const displayName = (logicalId) => getPhysicalName(resolvedTemplate?.Resources?.[logicalId] || resources[logicalId]);
+  const claimedBreakdown = cloudformationData?.Metadata?.ResourceBreakdown || {};
+
+  // Per-AWS-service counts: claimed in template metadata, declared in Resources, modelled in architecture
+  const rows = new Map();
+  const rowFor = (name) => {
+    if (!rows.has(name)) {
+      rows.set(name, { service: name, claimed: claimedBreakdown[name] ?? null, declared: 0, modelled: 0, matched: 0 });
+    }
+    return rows.get(name);
+  };
+  Object.keys(claimedBreakdown).forEach(rowFor);
+  Object.values(resources).forEach(resource => {
+    rowFor(getCfnServiceName(resource.Type)).declared++;
+  });
+  Object.entries(services).forEach(([serviceId, service]) => {
+    const row = rowFor(architectureServiceName(service));
+    row.modelled++;
+    if (reconciliation.matches.has(serviceId)) row.matched++;
+  });
+
+  const templateOnly = reconciliation.unmatchedInTemplate.map(logicalId => {
+    const resource = resources[logicalId];
+    return {
+      logicalId,
+      type: resource.Type,
+      physicalName: displayName(logicalId),
+      layer: tagAsString(getResourceTag(resource, 'Layer')),
+      category: tagAsString(getResourceTag(resource, 'Category'))
+    };
+  });
+
+  const architectureOnly = reconciliation.unmatchedInArchitecture
+    .filter(serviceId => services[serviceId])
+    .map(serviceId => ({
+      serviceId,
+      name: services[serviceId].name,
+      type: services[serviceId].type,
+      layer: services[serviceId].layer,
+      deployable: Boolean(SERVICE_TYPE_TO_CFN[services[serviceId].type?.toLowerCase()])
+    }));
+
+  const contradictions = [];
+  reconciliation.matches.forEach((match, serviceId) => {
+    const service = services[serviceId];
+    if (!service) return;
+
+    const layerTag = tagAsString(getResourceTag(match.resource, 'Layer'));
+    if (layerTag !== null && service.layer !== undefined && layerTag !== String(service.layer)) {
+      contradictions.push({
+        serviceId,
+        logicalId: match.logicalId,
+        field: 'layer',
+        architectureValue: String(service.layer),
+        templateValue: layerTag
+      });
+    }
+
+    const categoryTag = tagAsString(getResourceTag(match.resource, 'Category'));
+    if (categoryTag !== null && service.category && categoryTag.toLowerCase() !== service.category.toLowerCase()) {
+      contradictions.push({
+        serviceId,
+        logicalId: match.logicalId,
+        field: 'category',
+        architectureValue: service.category,
+        templateValue: categoryTag
+      });
+    }
+
+    const physicalName = getPhysicalName(match.resource);
+    if (physicalName && match.matchedBy === 'logicalId' && physicalName !== serviceId) {
+      contradictions.push({
+        serviceId,
+        logicalId: match.logicalId,
+        field: 'name',
+        architectureValue: serviceId,
+        templateValue: displayName(match.logicalId)
+      });
+    }
+  });
+
+  return {
+    breakdown: [...rows.values()].sort((a, b) => a.service.localeCompare(b.service)),
+    templateOnly,
+    architectureOnly,
+    contradictions
+  };
+}
@@ -0,0 +1,284 @@
+// Orthogonal connection routing for the Interactive Diagram: edges go around node boxes, and edges into the same node merge
+
+// Clearance kept around every node box
+const DEFAULT_MARGIN = 20;
+// Edges into the same side of a node are bundled from this many on
+const DEFAULT_BUNDLE_THRESHOLD = 3;
+// Cost of a turn, in px of straight line, so routes prefer few bends
+const BEND_COST = 40;
+// Cost factor for running through a node box; only taken when there is no way around
+const BLOCKED_FACTOR = 50;
+// Cost factor for running along a segment another edge of the same bundle already uses
+const SHARED_FACTOR = 0.2;
+
+// Sorted distinct values, with the index of each
+const toAxis = (values) => {
+  const sorted = [...new Set(values)].sort((a, b) => a - b);
+  return { values: sorted, index: new Map(sorted.map((value, i) => [value, i])) };
+};
+
+// Where an edge leaves its source and enters its target: beside each other when the boxes
+// overlap horizontally, otherwise on the facing sides
+const getPorts = (source, target, margin) => {
+  const sourceY = source.y + source.height / 2;
+  const targetY = target.y + target.height / 2;
+  const sourceRight = source.x + source.width;
+  const targetRight = target.x + target.width;
+
+  if (target.x >= sourceRight) {
+    return {
+      start: [sourceRight, sourceY], startStub: [sourceRight + margin, sourceY],
+      end: [target.x, targetY], endStub: [target.x - margin, targetY], side: 'left'
+    };
+  }
+  if (targetRight <= source.x) {
+    return {
+      start: [source.x, sourceY], startStub: [source.x - margin, sourceY],
+      end: [targetRight, targetY], endStub: [targetRight + margin, targetY], side: 'right'
+    };
+  }
+  return {
+    start: [sourceRight, sourceY], startStub: [sourceRight + margin, sourceY],
+    end: [targetRight, targetY], endStub: [targetRight + margin, targetY], side: 'right'
+  };
+};
+
+// Grid of candidate bend points along the box boundaries and port rows, with the segments
+// that run through a box marked as blocked
+const buildGrid = (boxes, ports, margin) => {
+  const inflated = boxes.map(box => ({
+    left: box.x - margin,
+    right: box.x + box.width + margin,
+    top: box.y - margin,
+    bottom: box.y + box.height + margin
+  }));
+  const stubs = ports.flatMap(port => [port.startStub, port.endStub]);
+  const xs = toAxis([...inflated.flatMap(box => [box.left, box.right]), ...stubs.map(([x]) => x)]);
+  const ys = toAxis([...inflated.flatMap(box => [box.top, box.bottom]), ...stubs.map(([, y]) => y)]);
+  const width = xs.values.length;
+  const height = ys.values.length;
+
+  // Segment from (i, j) to (i + 1, j), and from (i, j) to (i, j + 1)
+  const blockedRight = new Uint8Array(width * height);
+  const blockedDown = new Uint8Array(width * height);
+  inflated.forEach(box => {
+    const left = xs.index.get(box.left);
+    const right = xs.index.get(box.right);
+    const top = ys.index.get(box.top);
+    const bottom = ys.index.get(box.bottom);
+    for (let j = top; j <= bottom; j++) {
+      for (let i = left; i <= right; i++) {
+        if (j > top && j < bottom && i < right) blockedRight[j * width + i] = 1;
+        if (i > left && i < right && j < bottom) blockedDown[j * width + i] = 1;
+      }
+    }
+  });
+
+  return { xs, ys, width, height, blockedRight, blockedDown };
+};
+
+// Key of the grid segment between two neighbouring cells
+const segmentKey = (a, b) => (b - a === 1 || a - b === 1 ? Math.min(a, b) * 2 : Math.min(a, b) * 2 + 1);
+
+// Binary min-heap of [priority, state]
+const createHeap = () => {
+  const items = [];
+  return {
+    get size() {
+      return items.length;
+    },
+    push(priority, state) {
+      items.push([priority, state]);
+      let i = items.length - 1;
+      while (i > 0) {
+        const parent = (i - 1) >> 1;
+        if (items[parent][0] <= items[i][0]) break;
+        [items[parent], items[i]] = [items[i], items[parent]];
+        i = parent;
+      }
+    },
+    pop() {
+      const top = items[0];
+      const last = items.pop();
+      if (items.length > 0) {
+        items[0] = last;
+        let i = 0;
+        for (;;) {
+          const left = i * 2 + 1;
+          const right = left + 1;
+          let smallest = i;
+          if (left < items.length && items[left][0] < items[smallest][0]) smallest = left;
+          if (right < items.length && items[right][0] < items[smallest][0]) smallest = right;
+          if (smallest === i) break;
+          [items[smallest], items[i]] = [items[i], items[smallest]];
+          i = smallest;
+        }
+      }
+      return top[1];
+    }
+  };
+};
+
+// Cheapest grid path between two stubs. States are a grid point and whether it was reached
+// horizontally (0) or vertically (1); both stubs are entered horizontally, from their ports.
+const findPath = (grid, from, to, shared) => {
+  const { xs, ys, width, height, blockedRight, blockedDown } = grid;
+  const startCell = ys.index.get(from[1]) * width + xs.index.get(from[0]);
+  const goalCell = ys.index.get(to[1]) * width + xs.index.get(to[0]);
+  const goalI = goalCell % width;
+  const goalJ = Math.floor(goalCell / width);
+
+  const cost = new Float64Array(width * height * 2).fill(Infinity);
+  const previous = new Int32Array(width * height * 2).fill(-1);
+  const heuristic = (cell) => Math.abs(xs.values[cell % width] - xs.values[goalI])
+    + Math.abs(ys.values[Math.floor(cell / width)] - ys.values[goalJ]);
+
+  const heap = createHeap();
+  cost[startCell * 2] = 0;
+  heap.push(heuristic(startCell), startCell * 2);
+
+  const visit = (state, cell, direction, length, blocked) => {
+    const factor = blocked ? BLOCKED_FACTOR : shared.has(segmentKey(state >> 1, cell)) ? SHARED_FACTOR : 1;
+    const next = cell * 2 + direction;
+    const nextCost = cost[state] + length * factor + ((state & 1) !== direction ? BEND_COST : 0);
+    if (nextCost < cost[next]) {
+      cost[next] = nextCost;
+      previous[next] = state;
+      heap.push(nextCost + heuristic(cell), next);
+    }
+  };
+
+  let goalState = -1;
+  while (heap.size > 0) {
+    const state = heap.pop();
+    const cell = state >> 1;
+    if (cell === goalCell && (state & 1) === 0) {
+      goalState = state;
+      break;
+    }
+    const i = cell % width;
+    const j = Math.floor(cell / width);
+    const x = xs.values[i];
+    const y = ys.values[j];
+    if (i + 1 < width) visit(state, cell + 1, 0, xs.values[i + 1] - x, blockedRight[cell]);
+    if (i > 0) visit(state, cell - 1, 0, x - xs.values[i - 1], blockedRight[cell - 1]);
+    if (j + 1 < height) visit(state, cell + width, 1, ys.values[j + 1] - y, blockedDown[cell]);
+    if (j > 0) visit(state, cell - width, 1, y - ys.values[j - 1], blockedDown[cell - width]);
+  }
+
+  const cells = [];
+  for (let state = goalState; state !== -1; state = previous[state]) {
+    cells.unshift(state >> 1);
+  }
+  return cells;
+};
+
+// Drop points that lie on a straight line between their neighbours
+const simplify = (points) => points.filter((point, i) => {
+  if (i === 0 || i === points.length - 1) return true;
+  const [before, after] = [points[i - 1], points[i + 1]];
+  return !((before[0] === point[0] && point[0] === after[0]) || (before[1] === point[1] && point[1] === after[1]));
+});
+
+/**
+ * Route connections orthogonally around node boxes. Edges into the same side of a
+ * node are drawn towards each other, and from bundleThreshold edges on they merge
+ * into one trunk that runs into the node.
+ * @param {Object<string, {x: number, y: number, width: number, height: number}>} boxes - Node boxes by ID
+ * @param {Array<{from: string, to: string}>} edges - Connections; self-loops and unknown nodes are skipped
+ * @param {{margin?: number, bundleThreshold?: number}} [options]
+ * @returns {{
+ *   routes: Array<{edge: Object, points: Array<Array<number>>, bundle: string|null}>,
+ *   bundles: Array<{id: string, target: string, points: Array<Array<number>>, count: number}>
+ * }} Route of every drawable edge (ending at its bundle junction when bundled) and the trunk of every bundle
+ */
+export function routeEdges(boxes, edges, { margin = DEFAULT_MARGIN, bundleThreshold = DEFAULT_BUNDLE_THRESHOLD } = {}) {
+  const routable = edges
+    .filter(edge => edge.from !== edge.to && boxes[edge.from] && boxes[edge.to])
+    .map(edge => ({ edge, ports: getPorts(boxes[edge.from], boxes[edge.to], margin) }));
+  if (routable.length === 0) return { routes: [], bundles: [] };
+
+  const grid = buildGrid(Object.values(boxes), routable.map(({ ports }) => ports), margin);
+
+  // Edges sharing a target port, routed together so later ones can follow earlier ones
+  const groups = new Map();
+  routable.forEach(item => {
+    const key = `${item.edge.to}:${item.ports.side}`;
+    if (!groups.has(key)) groups.set(key, []);
+    groups.get(key).push(item);
+  });
+
+  const routes = [];
+  const bundles = [];
+  groups.forEach((items, key) => {
+    const bundled = items.length >= bundleThreshold;
+    const shared = new Set();
+    items.forEach(({ edge, ports }) => {
+      const cells = findPath(grid, ports.startStub, ports.endStub, shared);
+      cells.slice(1).forEach((cell, i) => shared.add(segmentKey(cells[i], cell)));
+
+      const path = cells.map(cell => [grid.xs.values[cell % grid.width], grid.ys.values[Math.floor(cell / grid.width)]]);
+      const points = simplify([ports.start, ...path, ...(bundled ? [] : [ports.end])]);
+      routes.push({ edge, points, bundle: bundled ? key : null });
+    });
+
+    if (bundled) {
+      const { ports } = items[0];
+      bundles.push({ id: key, target: items[0].edge.to, points: [ports.endStub, ports.end], count: items.length });
+    }
+  });
+
+  return { routes, bundles };
+}
+
+/**
+ * SVG path data for a route, with rounded corners
+ * @param {Array<Array<number>>} points - Route points
+ * @param {number} [radius=10] - Corner radius, reduced on short segments
+ * @returns {string}
+ */
+export function toRoutePath(points, radius = 10) {
+  if (points.length < 2) return '';
+
+  const commands = [`M ${points[0][0]} ${points[0][1]}`];
+  for (let i = 1; i < points.length - 1; i++) {
+    const [before, point, after] = [points[i - 1], points[i], points[i + 1]];
+    const r = Math.min(
+      radius,
+      (Math.abs(point[0] - before[0]) + Math.abs(point[1] - before[1])) / 2,
+      (Math.abs(after[0] - point[0]) + Math.abs(after[1] - point[1])) / 2
+    );
+    const towards = (target) => [
+      point[0] + Math.sign(target[0] - point[0]) * r,
+      point[1] + Math.sign(target[1] - point[1]) * r
+    ];
+    const [enterX, enterY] = towards(before);
+    const [leaveX, leaveY] = towards(after);
+    commands.push(`L ${enterX} ${enterY}`, `Q ${point[0]} ${point[1]} ${leaveX} ${leaveY}`);
+  }
+  const last = points[points.length - 1];
+  commands.push(`L ${last[0]} ${last[1]}`);
+  return commands.join(' ');
+}
+
+/**
+ * Point halfway along a route, where its label goes
+ * @param {Array<Array<number>>} points - Route points
+ * @returns {{x: number, y: number}}
+ */
+export function getRouteMidpoint(points) {
+  const lengths = points.slice(1).map((point, i) => Math.abs(point[0] - points[i][0]) + Math.abs(point[1] - points[i][1]));
+  let remaining = lengths.reduce((sum, length) => sum + length, 0) / 2;
+
+  for (let i = 0; i < lengths.length; i++) {
+    if (remaining <= lengths[i] && lengths[i] > 0) {
+      const t = remaining / lengths[i];
+      return {
+        x: points[i][0] + (points[i + 1][0] - points[i][0]) * t,
+        y: points[i][1] + (points[i + 1][1] - points[i][1]) * t
+      };
+    }
+    remaining -= lengths[i];
+  }
+  return { x: points[0][0], y: points[0][1] };
+}
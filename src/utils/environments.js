@@ -0,0 +1,175 @@
+// Deployment environments declared by namingConvention.environment in process.json
+
+import { getPhysicalName, normalizeName } from './cloudformationMatcher';
+import { resolveTemplate } from './cloudformationResolver';
+
+export const DEFAULT_ENVIRONMENTS = ['Prod'];
+
+// Presence of a service in an environment
+export const ENVIRONMENT_STATUS = {
+  PRESENT: 'present',
+  MISSING: 'missing',
+  UNKNOWN: 'unknown'
+};
+
+/**
+ * Get the environments declared in process.json
+ * @param {Object} processData - Parsed process.json
+ * @returns {string[]} Environment names (e.g., ['Prod', 'Dev', 'Test'])
+ */
+export function getEnvironments(processData) {
+  const declared = processData?.namingConvention?.environment;
+  return Array.isArray(declared) && declared.length > 0 ? declared : DEFAULT_ENVIRONMENTS;
+}
+
+// Matches the {Environment} segment of SCAI-{Environment}-... and scai-{env}-... IDs
+const environmentSegment = (environments) => new RegExp(
+  `^(scai-)(${environments.map(env => env.replace(/[^\w]/g, '')).join('|')})(-)`,
+  'i'
+);
+
+/**
+ * Read the environment segment of a resource ID
+ * @param {string} id - Resource ID (e.g., 'SCAI-Prod-Data-ApiKeysTable')
+ * @param {string[]} environments - Declared environments
+ * @returns {string|null} Environment name as declared, or null if the ID has none
+ */
+export function getIdEnvironment(id, environments) {
+  const match = typeof id === 'string' ? id.match(environmentSegment(environments)) : null;
+  if (!match) return null;
+  return environments.find(env => env.toLowerCase() === match[2].toLowerCase()) || null;
+}
+
+/**
+ * Rewrite the environment segment of a resource ID, keeping its letter case
+ * @param {string} id - Resource ID
+ * @param {string} environment - Target environment
+ * @param {string[]} environments - Declared environments
+ * @returns {string} ID in the target environment (unchanged if it has no environment segment)
+ */
+export function toEnvironmentId(id, environment, environments) {
+  if (typeof id !== 'string') return id;
+  return id.replace(environmentSegment(environments), (match, prefix, segment, suffix) => {
+    let replacement = environment;
+    if (segment === segment.toLowerCase()) replacement = environment.toLowerCase();
+    else if (segment === segment.toUpperCase()) replacement = environment.toUpperCase();
+    return `${prefix}${replacement}${suffix}`;
+  });
+}
+
+/**
+ * Detect which environment a dataset describes from its service IDs
+ * @param {Object} architectureData - Parsed architecture.json
+ * @param {string[]} environments - Declared environments
+ * @returns {string} Most common environment segment, or the first declared environment
+ */
+export function detectEnvironment(architectureData, environments) {
+  const counts = new Map();
+  Object.keys(architectureData?.services || {}).forEach(id => {
+    const environment = getIdEnvironment(id, environments);
+    if (environment) counts.set(environment, (counts.get(environment) || 0) + 1);
+  });
+  const [best] = [...counts.entries()].sort((a, b) => b[1] - a[1]);
+  return best ? best[0] : environments[0];
+}
+
+// Template resolved for one environment
+const resolveFor = (template, environment, parameterValues) => (
+  resolveTemplate(template, { ...parameterValues, Environment: environment })
+);
+
+// Normalised logical IDs and physical names a resolved template declares
+const templateNamesOf = (resolved) => {
+  const names = new Set();
+  Object.entries(resolved?.Resources || {}).forEach(([logicalId, resource]) => {
+    names.add(normalizeName(logicalId));
+    names.add(normalizeName(getPhysicalName(resource)));
+  });
+  return names;
+};
+
+/**
+ * Compare the services of one environment against every other declared environment.
+ *
+ * An environment with its own dataset is checked against that dataset's services.
+ * Otherwise, if the template takes an Environment parameter, it is resolved for that
+ * environment. A matched resource the template does not create there is missing. Its
+ * name is only compared when it changes with the Environment parameter; a hard-coded
+ * name cannot tell environments apart, so the service counts as present. Services the
+ * template does not declare at all stay unknown.
+ *
+ * @param {Object} options
+ * @param {string} options.baseEnvironment - Environment of the services being compared
+ * @param {string[]} options.environments - Declared environments
+ * @param {Object} options.services - Services of the base environment, keyed by ID
+ * @param {Object<string, Object>} options.datasets - Environment -> { architectureData, processData }
+ * @param {Object} [options.cloudformationData] - Template used for environments without a dataset
+ * @param {Object} [options.templateParameters] - Parameter values used to resolve the template
+ * @param {Object} [options.reconciliation] - Result of reconcileResources() for the base environment
+ * @returns {{
+ *   environments: Array<{name: string, source: string|null, present: number, missing: number, unknown: number}>,
+ *   byService: Map<string, Object<string, string>>
+ * }}
+ */
+export function compareEnvironments({
+  baseEnvironment,
+  environments,
+  services,
+  datasets,
+  cloudformationData = null,
+  templateParameters = {},
+  reconciliation = null
+}) {
+  const byService = new Map(Object.keys(services || {}).map(id => [id, {}]));
+  const templateEnvironments = cloudformationData?.Parameters?.Environment?.AllowedValues;
+  const baseTemplate = cloudformationData?.Parameters?.Environment
+    ? resolveFor(cloudformationData, baseEnvironment, templateParameters)
+    : null;
+
+  const summaries = environments
+    .filter(environment => environment !== baseEnvironment)
+    .map(environment => {
+      const summary = { name: environment, source: null, present: 0, missing: 0, unknown: 0 };
+      let statusOf = () => ENVIRONMENT_STATUS.UNKNOWN;
+
+      const dataset = datasets[environment];
+      if (dataset?.architectureData) {
+        const ids = new Set([
+          ...Object.keys(dataset.architectureData.services || {}),
+          ...(dataset.processData?.processMaps || []).flatMap(map => (map.resources || []).map(r => r.id))
+        ]);
+        summary.source = 'dataset';
+        statusOf = (id) => (ids.has(toEnvironmentId(id, environment, environments)) || ids.has(id)
+          ? ENVIRONMENT_STATUS.PRESENT
+          : ENVIRONMENT_STATUS.MISSING);
+      } else if (cloudformationData?.Parameters?.Environment &&
+        (!templateEnvironments || templateEnvironments.includes(environment))) {
+        const resolved = resolveFor(cloudformationData, environment, templateParameters);
+        const names = templateNamesOf(resolved);
+        summary.source = 'template';
+        statusOf = (id) => {
+          const match = reconciliation?.matches.get(id);
+          if (!match) return ENVIRONMENT_STATUS.UNKNOWN;
+
+          const resource = resolved?.Resources[match.logicalId];
+          if (!resource) return ENVIRONMENT_STATUS.MISSING;
+          const name = getPhysicalName(resource);
+          if (!name || name === getPhysicalName(baseTemplate?.Resources[match.logicalId])) {
+            return ENVIRONMENT_STATUS.PRESENT;
+          }
+          return names.has(normalizeName(toEnvironmentId(id, environment, environments)))
+            ? ENVIRONMENT_STATUS.PRESENT
+            : ENVIRONMENT_STATUS.MISSING;
+        };
+      }
+
+      byService.forEach((statuses, id) => {
+        const status = statusOf(id);
+        statuses[environment] = status;
+        summary[status]++;
+      });
+      return summary;
+    });
+
+  return { environments: summaries, byService };
+}
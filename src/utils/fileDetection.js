@@ -0,0 +1,55 @@
+// Recognise dropped data files by their contents, so they can be imported in any order
+
+import { isYamlSource, parseCloudFormationYaml } from './cloudformationYaml';
+import { extractZip, isZipFile } from './zipArchive';
+
+// Extensions worth looking at inside an archive
+const DATA_FILE_PATTERN = /\.(json|ya?ml|template)$/i;
+
+const isPlainObject = (value) => value !== null && typeof value === 'object' && !Array.isArray(value);
+
+/**
+ * Work out which data file a text holds from its top-level keys:
+ * a `services` map is architecture.json, `processMaps` is process.json and
+ * `AWSTemplateFormatVersion` or `Resources` is a CloudFormation template
+ * @param {string} text - Raw file contents
+ * @param {string} [fileName] - Source file name, for YAML detection
+ * @returns {string|null} 'architecture' | 'process' | 'cloudformation', or null when unrecognised
+ */
+export function detectDataFileKind(text, fileName = '') {
+  let value;
+  try {
+    value = isYamlSource(text, fileName) ? parseCloudFormationYaml(text) : JSON.parse(text);
+  } catch {
+    return null;
+  }
+  if (!isPlainObject(value)) return null;
+
+  if (isPlainObject(value.services)) return 'architecture';
+  if (Array.isArray(value.processMaps)) return 'process';
+  if ('AWSTemplateFormatVersion' in value || isPlainObject(value.Resources)) return 'cloudformation';
+  return null;
+}
+
+/**
+ * Expand zip archives among the selected files and detect the kind of every file
+ * @param {Array<File>} files - Selected or dropped files
+ * @returns {Promise<Array<{file: File, detectedKind: string|null}>>}
+ * @throws {Error} When an archive cannot be read
+ */
+export async function detectDroppedFiles(files) {
+  const expanded = [];
+  for (const file of files) {
+    if (isZipFile(file)) {
+      const entries = await extractZip(file);
+      expanded.push(...entries.filter(entry => DATA_FILE_PATTERN.test(entry.name)));
+    } else {
+      expanded.push(file);
+    }
+  }
+
+  return Promise.all(expanded.map(async file => ({
+    file,
+    detectedKind: detectDataFileKind(await file.text(), file.name)
+  })));
+}
@@ -0,0 +1,16 @@
+// Save generated data as a file from the browser
+
+/**
+ * Download a value as a pretty-printed JSON file
+ * @param {*} data - Value to serialise
+ * @param {string} fileName - Suggested file name (e.g., 'architecture.json')
+ */
+export function downloadJson(data, fileName) {
+  const blob = new Blob([`${JSON.stringify(data, null, 2)}\n`], { type: 'application/json' });
+  const url = URL.createObjectURL(blob);
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = fileName;
+  link.click();
+  URL.revokeObjectURL(url);
+}
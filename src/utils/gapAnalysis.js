@@ -0,0 +1,95 @@
+// Gap analysis: which resources of a process map exist today and which are still planned
+
+// Lifecycle of a process resource (resources[].status in process.json)
+export const RESOURCE_STATUS = {
+  EXISTING: 'existing',
+  PLANNED: 'planned'
+};
+
+// Where the existing/planned split comes from
+export const BASELINE_SOURCE = {
+  DATASET: 'dataset',
+  STATUS: 'status',
+  NONE: 'none'
+};
+
+/**
+ * Create the baseline a process map is measured against. A baseline dataset (e.g. the
+ * process.json of what is deployed today) wins: resources it lists exist, the rest are
+ * planned. Otherwise the map's own status tags are used. Without either, every resource
+ * counts as existing.
+ * @param {Object} processMap - Process map being analysed
+ * @param {Object} [baseline] - { name, processData } of a baseline dataset
+ * @returns {{source: string, label: string, isPlanned: function(Object): boolean}}
+ */
+export function createGapBaseline(processMap, baseline = null) {
+  if (baseline?.processData) {
+    const existingIds = new Set(
+      (baseline.processData.processMaps || []).flatMap(map => (map.resources || []).map(resource => resource.id))
+    );
+    return {
+      source: BASELINE_SOURCE.DATASET,
+      label: baseline.name || 'Baseline dataset',
+      isPlanned: (resource) => !existingIds.has(resource.id)
+    };
+  }
+
+  if ((processMap?.resources || []).some(resource => resource.status)) {
+    return {
+      source: BASELINE_SOURCE.STATUS,
+      label: 'Resource status',
+      isPlanned: (resource) => resource.status === RESOURCE_STATUS.PLANNED
+    };
+  }
+
+  return {
+    source: BASELINE_SOURCE.NONE,
+    label: 'No baseline',
+    isPlanned: () => false
+  };
+}
+
+/**
+ * Measure how much of a resource list already exists
+ * @param {Array<Object>} resources - Process resources
+ * @param {Object} baseline - Result of createGapBaseline()
+ * @returns {{total: number, existing: number, planned: number, coverage: number}} Coverage in percent
+ */
+export function measureCoverage(resources, baseline) {
+  const total = resources.length;
+  const planned = resources.filter(resource => baseline.isPlanned(resource)).length;
+  const existing = total - planned;
+  return {
+    total,
+    existing,
+    planned,
+    coverage: total === 0 ? 0 : Math.round((existing / total) * 100)
+  };
+}
+
+/**
+ * Grade a coverage percentage
+ * @param {number} coverage - Coverage in percent
+ * @returns {string} Grade from 'A+' to 'F'
+ */
+export function getGradeFromCoverage(coverage) {
+  if (coverage >= 98) return 'A+';
+  if (coverage >= 90) return 'A';
+  if (coverage >= 80) return 'B+';
+  if (coverage >= 70) return 'B';
+  if (coverage >= 60) return 'C';
+  if (coverage >= 50) return 'D';
+  return 'F';
+}
+
+/**
+ * Get the status of a grade
+ * @param {string} grade - Result of getGradeFromCoverage()
+ * @returns {string} 'COMPLETE', 'PARTIAL' or 'CRITICAL'
+ */
+export function getStatusFromGrade(grade) {
+  if (grade === 'A+' || grade === 'A') return 'COMPLETE';
+  if (grade === 'B+' || grade === 'B' || grade === 'C') return 'PARTIAL';
+  if (grade === 'D') return 'PARTIAL';
+  return 'CRITICAL';
+}
@@ -0,0 +1,508 @@
+// Node placement for the Interactive Diagram. Pure functions, so they can run in the layout worker
+
+import { forceCollide, forceLink, forceManyBody, forceSimulation, forceX, forceY } from 'd3';
+
+export const LAYOUT_ALGORITHMS = {
+  layered: {
+    label: 'Layered',
+    description: 'Ranks services left to right along their connections, ordered to minimise crossings'
+  },
+  force: {
+    label: 'Force-directed',
+    description: 'Pulls connected services together while keeping each in its architecture layer band'
+  },
+  radial: {
+    label: 'Radial',
+    description: 'Rings of services around the selected one, by number of hops'
+  },
+  columns: {
+    label: 'Layer columns',
+    description: 'One column per architecture layer'
+  }
+};
+
+export const DEFAULT_LAYOUT_ALGORITHM = 'layered';
+
+// Height reserved above bands for their titles
+const BAND_TITLE_SPACE = 30;
+
+// Edges between known nodes, without self-loops or duplicates
+const getEdges = (nodes, edges) => {
+  const ids = new Set(nodes.map(node => node.id));
+  const seen = new Set();
+  return edges.filter(edge => {
+    const key = `${edge.from}\u0000${edge.to}`;
+    if (edge.from === edge.to || !ids.has(edge.from) || !ids.has(edge.to) || seen.has(key)) return false;
+    seen.add(key);
+    return true;
+  });
+};
+
+/**
+ * Bounding box of the nodes and background guides, for fitting the diagram to the view
+ * @param {Object<string, {x: number, y: number}>} positions - Top-left corner of every node
+ * @param {Array<Object>} bands - Layer bands
+ * @param {Array<Object>} rings - Radial rings
+ * @param {{nodeWidth: number, nodeHeight: number}} size - Node size
+ * @returns {{x: number, y: number, width: number, height: number}}
+ */
+export function getLayoutBounds(positions, bands, rings, { nodeWidth, nodeHeight }) {
+  const boxes = [
+    ...Object.values(positions).map(({ x, y }) => [x, y, x + nodeWidth, y + nodeHeight]),
+    ...bands.map(band => [band.x, band.y - BAND_TITLE_SPACE, band.x + band.width, band.y + band.height]),
+    ...rings.map(ring => [ring.cx - ring.r, ring.cy - ring.r, ring.cx + ring.r, ring.cy + ring.r])
+  ];
+  if (boxes.length === 0) return { x: 0, y: 0, width: 0, height: 0 };
+
+  const x = Math.min(...boxes.map(box => box[0]));
+  const y = Math.min(...boxes.map(box => box[1]));
+  return {
+    x,
+    y,
+    width: Math.max(...boxes.map(box => box[2])) - x,
+    height: Math.max(...boxes.map(box => box[3])) - y
+  };
+}
+
+// Nodes grouped by architecture layer, in layer order, keeping the given node order within a layer
+const groupByLayer = (nodes) => {
+  const layers = new Map();
+  nodes.forEach(node => {
+    if (!layers.has(node.layer)) layers.set(node.layer, []);
+    layers.get(node.layer).push(node);
+  });
+  return [...layers.entries()].sort((a, b) => a[0] - b[0]);
+};
+
+/**
+ * Positions along a line, in the given order and at least `gaps[i]` after the
+ * previous one, as close as possible (least squares) to the desired positions.
+ * Pool-adjacent-violators on positions offset by the cumulative gaps.
+ * @param {Array<number>} desired - Desired position of each item
+ * @param {Array<number>} gaps - Minimum distance from the previous item (gaps[0] is ignored)
+ * @returns {Array<number>}
+ */
+const placeInOrder = (desired, gaps) => {
+  const offsets = [];
+  desired.forEach((_, i) => offsets.push(i === 0 ? 0 : offsets[i - 1] + gaps[i]));
+
+  const blocks = [];
+  desired.forEach((value, i) => {
+    blocks.push({ sum: value - offsets[i], count: 1 });
+    while (blocks.length > 1) {
+      const last = blocks[blocks.length - 1];
+      const previous = blocks[blocks.length - 2];
+      if (previous.sum / previous.count <= last.sum / last.count) break;
+      blocks.pop();
+      previous.sum += last.sum;
+      previous.count += last.count;
+    }
+  });
+
+  const placed = [];
+  blocks.forEach(block => {
+    for (let i = 0; i < block.count; i++) placed.push(block.sum / block.count);
+  });
+  return placed.map((value, i) => value + offsets[i]);
+};
+
+// Crossings between the edges of two adjacent ranks
+const countCrossings = (edges, upperIndex, lowerIndex) => {
+  let crossings = 0;
+  for (let i = 0; i < edges.length; i++) {
+    for (let j = i + 1; j < edges.length; j++) {
+      const upper = upperIndex.get(edges[i][0]) - upperIndex.get(edges[j][0]);
+      const lower = lowerIndex.get(edges[i][1]) - lowerIndex.get(edges[j][1]);
+      if (upper * lower < 0) crossings++;
+    }
+  }
+  return crossings;
+};
+
+const layoutColumns = (nodes) => {
+  const layerSpacing = 700; // Horizontal spacing between layer columns
+  const layerWidth = 500;   // Width of each layer column
+  const nodeSpacing = 120;  // Vertical spacing between nodes
+  const layerPadding = 50;
+
+  const positions = {};
+  const bands = groupByLayer(nodes).map(([layer, layerNodes], index) => {
+    layerNodes.forEach((node, nodeIndex) => {
+      positions[node.id] = { x: index * layerSpacing + 100 + layerPadding, y: 150 + nodeIndex * nodeSpacing };
+    });
+    return {
+      layer,
+      x: index * layerSpacing + 100,
+      y: 50,
+      width: layerWidth,
+      height: Math.max(400, layerNodes.length * nodeSpacing + 200),
+      columns: [index * layerSpacing + 100 + layerPadding]
+    };
+  });
+  return { positions, bands, rings: [] };
+};
+
+// Sugiyama: break cycles, rank by longest path, add dummy nodes on long edges,
+// order ranks by barycentre sweeps, then place each rank near its neighbours
+const layoutLayered = (nodes, edges, { nodeWidth, nodeHeight }) => {
+  const rankGap = 160;
+  const nodeGap = 40;
+  const dummyHeight = 16;
+
+  const order = new Map(nodes.map((node, index) => [node.id, index]));
+  const outgoing = new Map(nodes.map(node => [node.id, []]));
+  edges.forEach(edge => outgoing.get(edge.from).push(edge.to));
+
+  // Reverse edges that close a cycle (back edges of a depth-first search)
+  const state = new Map();
+  const reversed = [];
+  const visit = (id) => {
+    state.set(id, 'active');
+    outgoing.get(id).forEach(target => {
+      if (state.get(target) === 'active') {
+        reversed.push([target, id]);
+      } else {
+        reversed.push([id, target]);
+        if (!state.has(target)) visit(target);
+      }
+    });
+    state.set(id, 'done');
+  };
+  nodes.forEach(node => { if (!state.has(node.id)) visit(node.id); });
+  // A two-way connection would otherwise appear twice
+  const acyclicKeys = new Set();
+  const acyclic = reversed.filter(([from, to]) => {
+    const key = `${from}\u0000${to}`;
+    if (acyclicKeys.has(key)) return false;
+    acyclicKeys.add(key);
+    return true;
+  });
+
+  // Services without connections are laid out in a block of their own below the graph
+  const connected = new Set(acyclic.flat());
+  const graphNodes = nodes.filter(node => connected.has(node.id));
+  const isolated = nodes.filter(node => !connected.has(node.id));
+
+  // Longest-path ranking in topological order
+  const rank = new Map(graphNodes.map(node => [node.id, 0]));
+  const indegree = new Map(graphNodes.map(node => [node.id, 0]));
+  acyclic.forEach(([, to]) => indegree.set(to, indegree.get(to) + 1));
+  const queue = graphNodes.filter(node => indegree.get(node.id) === 0).map(node => node.id);
+  while (queue.length > 0) {
+    const id = queue.shift();
+    acyclic.filter(([from]) => from === id).forEach(([, to]) => {
+      rank.set(to, Math.max(rank.get(to), rank.get(id) + 1));
+      indegree.set(to, indegree.get(to) - 1);
+      if (indegree.get(to) === 0) queue.push(to);
+    });
+  }
+
+  // Split edges spanning several ranks into unit edges through dummy nodes
+  const heights = new Map(graphNodes.map(node => [node.id, nodeHeight]));
+  const unitEdges = [];
+  acyclic.forEach(([from, to], edgeIndex) => {
+    let previous = from;
+    for (let r = rank.get(from) + 1; r < rank.get(to); r++) {
+      const dummy = `\u0000dummy-${edgeIndex}-${r}`;
+      rank.set(dummy, r);
+      heights.set(dummy, dummyHeight);
+      unitEdges.push([previous, dummy]);
+      previous = dummy;
+    }
+    unitEdges.push([previous, to]);
+  });
+
+  const rankCount = graphNodes.length > 0 ? Math.max(...rank.values()) + 1 : 0;
+  let ranks = Array.from({ length: rankCount }, () => []);
+  [...rank.keys()]
+    .sort((a, b) => (order.get(a) ?? order.size) - (order.get(b) ?? order.size))
+    .forEach(id => ranks[rank.get(id)].push(id));
+
+  const up = new Map([...rank.keys()].map(id => [id, []]));
+  const down = new Map([...rank.keys()].map(id => [id, []]));
+  unitEdges.forEach(([from, to]) => {
+    down.get(from).push(to);
+    up.get(to).push(from);
+  });
+  const edgesBelow = ranks.map((_, r) => unitEdges.filter(([from]) => rank.get(from) === r));
+  const indexOf = (rankIds) => new Map(rankIds.map((id, index) => [id, index]));
+  const totalCrossings = (candidate) => edgesBelow.slice(0, -1)
+    .reduce((sum, rankEdges, r) => sum + countCrossings(rankEdges, indexOf(candidate[r]), indexOf(candidate[r + 1])), 0);
+
+  // Barycentre sweeps, alternately downwards and upwards, keeping the best ordering
+  let best = ranks.map(rankIds => [...rankIds]);
+  let bestCrossings = totalCrossings(best);
+  for (let sweep = 0; sweep < 24 && bestCrossings > 0; sweep++) {
+    const downwards = sweep % 2 === 0;
+    const sequence = downwards ? ranks.keys() : [...ranks.keys()].reverse();
+    for (const r of sequence) {
+      const fixed = ranks[downwards ? r - 1 : r + 1];
+      if (!fixed) continue;
+      const fixedIndex = indexOf(fixed);
+      const barycentres = new Map(ranks[r].map((id, index) => {
+        const neighbours = (downwards ? up : down).get(id);
+        return [id, neighbours.length > 0
+          ? neighbours.reduce((sum, neighbour) => sum + fixedIndex.get(neighbour), 0) / neighbours.length
+          : index];
+      }));
+      ranks[r] = [...ranks[r]].sort((a, b) => barycentres.get(a) - barycentres.get(b));
+    }
+    const crossings = totalCrossings(ranks);
+    if (crossings < bestCrossings) {
+      best = ranks.map(rankIds => [...rankIds]);
+      bestCrossings = crossings;
+    }
+  }
+  ranks = best;
+
+  // Vertical placement: stack each rank, then pull nodes towards their neighbours' centres
+  const centre = new Map();
+  const gapsOf = (rankIds) => rankIds.map((id, index) => (index === 0
+    ? 0
+    : (heights.get(rankIds[index - 1]) + heights.get(id)) / 2 + nodeGap));
+  ranks.forEach(rankIds => {
+    const gaps = gapsOf(rankIds);
+    let y = 0;
+    rankIds.forEach((id, index) => {
+      y += gaps[index];
+      centre.set(id, y);
+    });
+  });
+  for (let pass = 0; pass < 8; pass++) {
+    const downwards = pass % 2 === 0;
+    const sequence = downwards ? [...ranks.keys()] : [...ranks.keys()].reverse();
+    sequence.forEach(r => {
+      const desired = ranks[r].map(id => {
+        const neighbours = [...(downwards ? up : down).get(id), ...(pass >= 6 ? (downwards ? down : up).get(id) : [])];
+        return neighbours.length > 0
+          ? neighbours.reduce((sum, neighbour) => sum + centre.get(neighbour), 0) / neighbours.length
+          : centre.get(id);
+      });
+      placeInOrder(desired, gapsOf(ranks[r])).forEach((y, index) => centre.set(ranks[r][index], y));
+    });
+  }
+
+  const positions = {};
+  const top = graphNodes.length > 0 ? Math.min(...graphNodes.map(node => centre.get(node.id))) : 0;
+  graphNodes.forEach(node => {
+    positions[node.id] = {
+      x: 100 + rank.get(node.id) * (nodeWidth + rankGap),
+      y: 100 + centre.get(node.id) - top - nodeHeight / 2
+    };
+  });
+
+  // Unconnected services in a grid underneath, in layer order
+  const bottom = Object.values(positions).reduce((max, position) => Math.max(max, position.y + nodeHeight), 0);
+  const columns = Math.max(rankCount, Math.ceil(Math.sqrt(isolated.length)));
+  isolated.forEach((node, index) => {
+    positions[node.id] = {
+      x: 100 + (index % columns) * (nodeWidth + rankGap),
+      y: (bottom > 0 ? bottom + 2 * nodeGap : 100) + Math.floor(index / columns) * (nodeHeight + nodeGap)
+    };
+  });
+
+  // Rank columns, which the unconnected grid lines up with too
+  const rankColumns = Array.from({ length: Math.max(rankCount, columns) }, (_, r) => 100 + r * (nodeWidth + rankGap));
+  return { positions, bands: [], rings: [], columns: rankColumns };
+};
+
+// Force simulation with every node held inside the band of its architecture layer
+const layoutForce = (nodes, edges, { nodeWidth, nodeHeight }) => {
+  const bandGap = 200;
+  const bandPadding = 50;
+  const nodeGap = 30;
+
+  // Wider bands for crowded layers, so they do not turn into one tall column
+  let nextX = 100;
+  const bands = groupByLayer(nodes).map(([layer, layerNodes]) => {
+    const columns = Math.max(1, Math.round(Math.sqrt(layerNodes.length / 4)));
+    const band = {
+      layer,
+      x: nextX,
+      y: 50,
+      width: columns * nodeWidth + (columns - 1) * nodeGap + 2 * bandPadding,
+      columns,
+      nodes: layerNodes
+    };
+    nextX += band.width + bandGap;
+    return band;
+  });
+  const bandOf = new Map(bands.flatMap(band => band.nodes.map(node => [node.id, band])));
+
+  // Start from a grid inside each band
+  const simulationNodes = bands.flatMap(band => band.nodes.map((node, index) => ({
+    id: node.id,
+    x: band.x + bandPadding + (index % band.columns) * (nodeWidth + nodeGap) + nodeWidth / 2,
+    y: 150 + Math.floor(index / band.columns) * (nodeHeight + nodeGap) + nodeHeight / 2
+  })));
+  const links = edges.map(edge => ({ source: edge.from, target: edge.to }));
+  const centreY = simulationNodes.reduce((sum, node) => sum + node.y, 0) / Math.max(1, simulationNodes.length);
+
+  const simulation = forceSimulation(simulationNodes)
+    .force('link', forceLink(links).id(node => node.id).distance(nodeWidth * 0.75).strength(0.2))
+    .force('charge', forceManyBody().strength(-400).distanceMax(nodeWidth * 3))
+    .force('collide', forceCollide(nodeHeight))
+    .force('x', forceX(node => bandOf.get(node.id).x + bandOf.get(node.id).width / 2).strength(0.5))
+    .force('y', forceY(centreY).strength(0.05))
+    .stop();
+  for (let tick = 0; tick < 300; tick++) simulation.tick();
+
+  // Clamp into the band, then push overlapping nodes apart vertically
+  const positions = {};
+  bands.forEach(band => {
+    const placed = [];
+    simulationNodes
+      .filter(node => bandOf.get(node.id) === band)
+      .sort((a, b) => a.y - b.y)
+      .forEach(node => {
+        const x = Math.min(Math.max(node.x - nodeWidth / 2, band.x + bandPadding), band.x + band.width - bandPadding - nodeWidth);
+        let y = node.y - nodeHeight / 2;
+        let moved = true;
+        while (moved) {
+          moved = false;
+          placed.forEach(other => {
+            const overlapsX = x < other.x + nodeWidth + nodeGap && other.x < x + nodeWidth + nodeGap;
+            if (overlapsX && y < other.y + nodeHeight + nodeGap && other.y < y + nodeHeight + nodeGap) {
+              y = other.y + nodeHeight + nodeGap;
+              moved = true;
+            }
+          });
+        }
+        placed.push({ x, y });
+        positions[node.id] = { x, y };
+      });
+  });
+
+  // Bands share a top edge and fit their nodes
+  const top = Math.min(...Object.values(positions).map(position => position.y)) - bandPadding - 50;
+  Object.values(positions).forEach(position => { position.y -= top; });
+  return {
+    positions,
+    bands: bands.map(band => {
+      const bottom = Math.max(...band.nodes.map(node => positions[node.id].y + nodeHeight));
+      return {
+        layer: band.layer,
+        x: band.x,
+        y: 50,
+        width: band.width,
+        height: bottom + bandPadding - 50,
+        columns: Array.from({ length: band.columns }, (_, column) => band.x + bandPadding + column * (nodeWidth + nodeGap))
+      };
+    }),
+    rings: []
+  };
+};
+
+// Concentric rings around the focus node by hop count, ignoring direction
+const layoutRadial = (nodes, edges, { nodeWidth, nodeHeight, focusId }) => {
+  const ringGap = nodeWidth + 80;
+  const arcPerNode = nodeWidth * 0.75;
+
+  const neighbours = new Map(nodes.map(node => [node.id, new Set()]));
+  edges.forEach(edge => {
+    neighbours.get(edge.from).add(edge.to);
+    neighbours.get(edge.to).add(edge.from);
+  });
+
+  // Without a selection, centre the best-connected service
+  const focus = neighbours.has(focusId)
+    ? focusId
+    : nodes.reduce((bestId, node) => (
+      neighbours.get(node.id).size > neighbours.get(bestId).size ? node.id : bestId
+    ), nodes[0].id);
+
+  const depth = new Map([[focus, 0]]);
+  const queue = [focus];
+  while (queue.length > 0) {
+    const id = queue.shift();
+    neighbours.get(id).forEach(neighbour => {
+      if (!depth.has(neighbour)) {
+        depth.set(neighbour, depth.get(id) + 1);
+        queue.push(neighbour);
+      }
+    });
+  }
+  // Services not reachable from the focus share the outermost ring
+  const outer = Math.max(...depth.values()) + 1;
+  nodes.forEach(node => { if (!depth.has(node.id)) depth.set(node.id, outer); });
+
+  const rings = [];
+  nodes.forEach(node => {
+    const d = depth.get(node.id);
+    (rings[d] = rings[d] || []).push(node.id);
+  });
+
+  const angle = new Map([[focus, 0]]);
+  const radii = [0];
+  rings.forEach((ringIds, d) => {
+    if (d === 0) return;
+    // Order each ring by the mean angle of the inner neighbours, so spokes do not cross
+    const meanAngle = (id) => {
+      const inner = [...neighbours.get(id)].filter(neighbour => depth.get(neighbour) < d && angle.has(neighbour));
+      if (inner.length === 0) return Infinity;
+      const x = inner.reduce((sum, neighbour) => sum + Math.cos(angle.get(neighbour)), 0);
+      const y = inner.reduce((sum, neighbour) => sum + Math.sin(angle.get(neighbour)), 0);
+      return (Math.atan2(y, x) + 2 * Math.PI) % (2 * Math.PI);
+    };
+    const sorted = [...ringIds].sort((a, b) => meanAngle(a) - meanAngle(b));
+    sorted.forEach((id, index) => angle.set(id, (2 * Math.PI * index) / sorted.length));
+    radii[d] = Math.max(radii[d - 1] + ringGap, (sorted.length * arcPerNode) / (2 * Math.PI));
+  });
+
+  const positions = {};
+  nodes.forEach(node => {
+    const r = radii[depth.get(node.id)];
+    positions[node.id] = {
+      x: r * Math.cos(angle.get(node.id)) - nodeWidth / 2,
+      y: r * Math.sin(angle.get(node.id)) - nodeHeight / 2
+    };
+  });
+
+  return {
+    positions,
+    bands: [],
+    rings: radii.slice(1).map(r => ({ cx: 0, cy: 0, r }))
+  };
+};
+
+const LAYOUTS = {
+  layered: layoutLayered,
+  force: layoutForce,
+  radial: layoutRadial,
+  columns: layoutColumns
+};
+
+/**
+ * Compute node positions for the diagram
+ * @param {string} algorithm - Key of LAYOUT_ALGORITHMS
+ * @param {{nodes: Array<{id: string, layer: number}>, edges: Array<{from: string, to: string}>}} graph -
+ *   Services in display order (by layer, then process step) and their connections
+ * @param {{nodeWidth: number, nodeHeight: number, focusId?: string|null}} options - Node size, and the
+ *   service the radial layout centres on
+ * @returns {{
+ *   positions: Object<string, {x: number, y: number}>,
+ *   bands: Array<{layer: number, x: number, y: number, width: number, height: number, columns: Array<number>}>,
+ *   rings: Array<{cx: number, cy: number, r: number}>,
+ *   columns: Array<number>,
+ *   bounds: {x: number, y: number, width: number, height: number}
+ * }} Top-left corner of every node, layer bands and radial rings to draw behind them, the x of the
+ *   node columns that dragged nodes snap to (per band, or for the whole layout), and the overall extent
+ * @throws {Error} For an unknown algorithm
+ */
+export function computeLayout(algorithm, graph, options) {
+  const layout = LAYOUTS[algorithm];
+  if (!layout) throw new Error(`Unknown layout algorithm: ${algorithm}`);
+
+  const nodes = graph.nodes || [];
+  const result = nodes.length > 0
+    ? layout(nodes, getEdges(nodes, graph.edges || []), options)
+    : { positions: {}, bands: [], rings: [] };
+
+  return {
+    positions: result.positions,
+    bands: result.bands,
+    rings: result.rings,
+    columns: result.columns || [],
+    bounds: getLayoutBounds(result.positions, result.bands, result.rings, options)
+  };
+}
@@ -0,0 +1,116 @@
+// Referential integrity checks for service connections in architecture.json
+
+export const REFERENCE_STATUS = {
+  RESOLVED: 'resolved',
+  PLACEHOLDER: 'placeholder',
+  EXTERNAL: 'external',
+  DANGLING: 'dangling'
+};
+
+const PLACEHOLDER_PATTERN = /\{[A-Za-z]+\}/;
+
+/**
+ * Check whether an ID contains a template placeholder such as {AccountId}
+ * @param {string} id - Service ID or connection endpoint
+ * @returns {boolean} True if the ID is templated
+ */
+export function isPlaceholderId(id) {
+  return typeof id === 'string' && PLACEHOLDER_PATTERN.test(id);
+}
+
+/**
+ * Collect external entity names from every process map
+ * @param {Object} processData - Parsed process.json
+ * @returns {Set<string>} External entity names
+ */
+export function getExternalEntities(processData) {
+  const entities = new Set();
+  (processData?.processMaps || []).forEach(processMap => {
+    (processMap.externalEntities || []).forEach(entity => entities.add(entity));
+  });
+  return entities;
+}
+
+/**
+ * Classify a connection endpoint against the known services and external entities
+ * @param {string} id - Referenced ID
+ * @param {Object} services - architecture.json services map
+ * @param {Set<string>} externalEntities - Known external entity names
+ * @returns {string} One of REFERENCE_STATUS
+ */
+export function classifyReference(id, services, externalEntities) {
+  if (services[id]) {
+    return isPlaceholderId(id) ? REFERENCE_STATUS.PLACEHOLDER : REFERENCE_STATUS.RESOLVED;
+  }
+  if (externalEntities.has(id)) return REFERENCE_STATUS.EXTERNAL;
+  return REFERENCE_STATUS.DANGLING;
+}
+
+/**
+ * Run the integrity pass over all inbound/outbound connections
+ * @param {Object} architectureData - Parsed architecture.json
+ * @param {Object} processData - Parsed process.json (for external entities)
+ * @returns {Object} references, asymmetric pairs, per-service issues and summary counts
+ */
+export function checkIntegrity(architectureData, processData) {
+  const services = architectureData?.services || {};
+  const externalEntities = getExternalEntities(processData);
+  const references = [];
+  const asymmetric = [];
+  const issuesByService = new Map();
+
+  const addIssue = (serviceId, issue) => {
+    if (!issuesByService.has(serviceId)) issuesByService.set(serviceId, []);
+    issuesByService.get(serviceId).push(issue);
+  };
+
+  Object.entries(services).forEach(([serviceId, service]) => {
+    const inbound = service.connections?.inbound || [];
+    const outbound = service.connections?.outbound || [];
+
+    outbound.forEach(conn => {
+      const target = conn.target || conn;
+      const status = classifyReference(target, services, externalEntities);
+      references.push({ serviceId, direction: 'outbound', ref: target, label: conn.label || '', status });
+
+      if (status === REFERENCE_STATUS.DANGLING) {
+        addIssue(serviceId, { kind: 'dangling', message: `Outbound target "${target}" does not exist` });
+      } else if (services[target]) {
+        const reciprocated = (services[target].connections?.inbound || [])
+          .some(back => (back.source || back) === serviceId);
+        if (!reciprocated) {
+          asymmetric.push({ from: serviceId, to: target, missing: 'inbound', label: conn.label || '' });
+          addIssue(serviceId, { kind: 'asymmetric', message: `"${target}" does not list this service as inbound` });
+          addIssue(target, { kind: 'asymmetric', message: `Missing inbound from "${serviceId}"` });
+        }
+      }
+    });
+
+    inbound.forEach(conn => {
+      const source = conn.source || conn;
+      const status = classifyReference(source, services, externalEntities);
+      references.push({ serviceId, direction: 'inbound', ref: source, label: conn.label || '', status });
+
+      if (status === REFERENCE_STATUS.DANGLING) {
+        addIssue(serviceId, { kind: 'dangling', message: `Inbound source "${source}" does not exist` });
+      } else if (services[source]) {
+        const reciprocated = (services[source].connections?.outbound || [])
+          .some(forward => (forward.target || forward) === serviceId);
+        if (!reciprocated) {
+          asymmetric.push({ from: source, to: serviceId, missing: 'outbound', label: conn.label || '' });
+          addIssue(serviceId, { kind: 'asymmetric', message: `"${source}" does not list this service as outbound` });
+          addIssue(source, { kind: 'asymmetric', message: `Missing outbound to "${serviceId}"` });
+        }
+      }
+    });
+  });
+
+  const summary = Object.values(REFERENCE_STATUS).reduce((counts, status) => {
+    counts[status] = references.filter(ref => ref.status === status).length;
+    return counts;
+  }, {});
+  summary.asymmetric = asymmetric.length;
+  summary.total = references.length;
+
+  return { references, asymmetric, issuesByService, summary };
+}
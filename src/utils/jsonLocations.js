@@ -0,0 +1,163 @@
+// JSON parser that records the source line of every value, so validation
+// errors can point at the exact place in the imported file.
+
+/**
+ * Append an object key to a JSON path
+ * @param {string} path - Parent path (e.g., '$.services')
+ * @param {string} key - Property name
+ * @returns {string} Child path
+ */
+export function appendKey(path, key) {
+  return /^[A-Za-z_$][\w$]*$/.test(key)
+    ? `${path}.${key}`
+    : `${path}[${JSON.stringify(key)}]`;
+}
+
+/**
+ * Append an array index to a JSON path
+ * @param {string} path - Parent path
+ * @param {number} index - Array index
+ * @returns {string} Child path
+ */
+export function appendIndex(path, index) {
+  return `${path}[${index}]`;
+}
+
+/**
+ * Error thrown when the text is not valid JSON
+ */
+export class JsonSyntaxError extends SyntaxError {
+  constructor(message, line, column) {
+    super(`${message} (line ${line}, column ${column})`);
+    this.name = 'JsonSyntaxError';
+    this.reason = message;
+    this.line = line;
+    this.column = column;
+  }
+}
+
+/**
+ * Parse JSON text and record the line/column where each value starts
+ * @param {string} text - Raw JSON text
+ * @returns {{ value: any, locations: Map<string, {line: number, column: number}> }}
+ * @throws {JsonSyntaxError} When the text is not valid JSON
+ */
+export function parseJsonWithLocations(text) {
+  const locations = new Map();
+  const lineStarts = [0];
+  for (let i = 0; i < text.length; i++) {
+    if (text[i] === '\n') lineStarts.push(i + 1);
+  }
+
+  let pos = 0;
+
+  const positionOf = (offset) => {
+    let low = 0;
+    let high = lineStarts.length - 1;
+    while (low < high) {
+      const mid = (low + high + 1) >> 1;
+      if (lineStarts[mid] <= offset) low = mid;
+      else high = mid - 1;
+    }
+    return { line: low + 1, column: offset - lineStarts[low] + 1 };
+  };
+
+  const fail = (message, offset = pos) => {
+    const { line, column } = positionOf(offset);
+    throw new JsonSyntaxError(message, line, column);
+  };
+
+  const skipWhitespace = () => {
+    while (pos < text.length && /\s/.test(text[pos])) pos++;
+  };
+
+  const describeToken = () => (pos >= text.length ? 'end of input' : `token '${text[pos]}'`);
+
+  const parseString = () => {
+    const start = pos;
+    pos++; // opening quote
+    while (pos < text.length && text[pos] !== '"') {
+      if (text[pos] === '\\') pos++;
+      if (text[pos] === '\n') fail('Unterminated string', start);
+      pos++;
+    }
+    if (pos >= text.length) fail('Unterminated string', start);
+    pos++; // closing quote
+    try {
+      return JSON.parse(text.slice(start, pos));
+    } catch {
+      return fail('Invalid escape sequence in string', start);
+    }
+  };
+
+  const parseValue = (path) => {
+    skipWhitespace();
+    locations.set(path, positionOf(pos));
+    const char = text[pos];
+
+    if (char === '{') {
+      pos++;
+      const result = {};
+      skipWhitespace();
+      if (text[pos] === '}') {
+        pos++;
+        return result;
+      }
+      for (;;) {
+        skipWhitespace();
+        if (text[pos] !== '"') fail(`Expected property name but found ${describeToken()}`);
+        const key = parseString();
+        skipWhitespace();
+        if (text[pos] !== ':') fail(`Expected ':' after property name but found ${describeToken()}`);
+        pos++;
+        result[key] = parseValue(appendKey(path, key));
+        skipWhitespace();
+        if (text[pos] === ',') {
+          pos++;
+          continue;
+        }
+        if (text[pos] === '}') {
+          pos++;
+          return result;
+        }
+        fail(`Expected ',' or '}' but found ${describeToken()}`);
+      }
+    }
+
+    if (char === '[') {
+      pos++;
+      const result = [];
+      skipWhitespace();
+      if (text[pos] === ']') {
+        pos++;
+        return result;
+      }
+      for (;;) {
+        result.push(parseValue(appendIndex(path, result.length)));
+        skipWhitespace();
+        if (text[pos] === ',') {
+          pos++;
+          continue;
+        }
+        if (text[pos] === ']') {
+          pos++;
+          return result;
+        }
+        fail(`Expected ',' or ']' but found ${describeToken()}`);
+      }
+    }
+
+    if (char === '"') return parseString();
+
+    const literal = /^(?:true|false|null|-?(?:0|[1-9]\d*)(?:\.\d+)?(?:[eE][+-]?\d+)?)/.exec(text.slice(pos, pos + 64));
+    if (!literal) fail(`Unexpected ${describeToken()}`);
+    pos += literal[0].length;
+    return JSON.parse(literal[0]);
+  };
+
+  const value = parseValue('$');
+  skipWhitespace();
+  if (pos < text.length) fail(`Unexpected ${describeToken()} after JSON value`);
+
+  return { value, locations };
+}
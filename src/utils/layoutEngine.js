@@ -0,0 +1,51 @@
+// Runs diagram layouts in a web worker, so large architectures do not block the page
+
+import { computeLayout } from './graphLayout';
+
+let worker = null;
+let nextRequestId = 0;
+const pendingRequests = new Map();
+
+const getWorker = () => {
+  if (worker) return worker;
+
+  worker = new Worker(new URL('./layoutWorker.js', import.meta.url), { type: 'module' });
+  worker.onmessage = ({ data }) => {
+    const request = pendingRequests.get(data.id);
+    if (!request) return;
+    pendingRequests.delete(data.id);
+    if (data.error) {
+      request.reject(new Error(data.error));
+    } else {
+      request.resolve(data.layout);
+    }
+  };
+  // A crashed worker fails everything in flight; the next request starts a new one
+  worker.onerror = (event) => {
+    pendingRequests.forEach(request => request.reject(new Error(event.message || 'Layout worker failed')));
+    pendingRequests.clear();
+    worker.terminate();
+    worker = null;
+  };
+  return worker;
+};
+
+/**
+ * Compute a diagram layout in the layout worker. Falls back to the main thread
+ * where workers are unavailable.
+ * @param {string} algorithm - Key of LAYOUT_ALGORITHMS
+ * @param {Object} graph - Nodes and edges, as for computeLayout
+ * @param {Object} options - Node size and radial focus, as for computeLayout
+ * @returns {Promise<Object>} Layout, as returned by computeLayout
+ */
+export function runLayout(algorithm, graph, options) {
+  if (typeof Worker === 'undefined') {
+    return Promise.resolve().then(() => computeLayout(algorithm, graph, options));
+  }
+
+  return new Promise((resolve, reject) => {
+    const id = ++nextRequestId;
+    pendingRequests.set(id, { resolve, reject });
+    getWorker().postMessage({ id, algorithm, graph, options });
+  });
+}
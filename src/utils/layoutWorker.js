@@ -0,0 +1,12 @@
+// Web worker computing diagram layouts off the main thread; see layoutEngine.js
+
+import { computeLayout } from './graphLayout';
+
+self.onmessage = ({ data }) => {
+  const { id, algorithm, graph, options } = data;
+  try {
+    self.postMessage({ id, layout: computeLayout(algorithm, graph, options) });
+  } catch (error) {
+    self.postMessage({ id, error: error.message });
+  }
+};
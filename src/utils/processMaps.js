@@ -0,0 +1,43 @@
+// Selection of process maps from process.json
+
+/**
+ * Get the process maps declared in process.json
+ * @param {Object} processData - Parsed process.json
+ * @returns {Array<Object>} Process maps
+ */
+export function getProcessMaps(processData) {
+  return Array.isArray(processData?.processMaps) ? processData.processMaps : [];
+}
+
+/**
+ * Find a process map by ID, falling back to the first one
+ * @param {Object} processData - Parsed process.json
+ * @param {string|null} processMapId - Selected process map ID
+ * @returns {Object|null} Selected process map
+ */
+export function getProcessMap(processData, processMapId) {
+  const processMaps = getProcessMaps(processData);
+  return processMaps.find(processMap => processMap.id === processMapId) || processMaps[0] || null;
+}
+
+/**
+ * Limit an architecture to one process map: services that only other maps use are
+ * dropped, while services no map references (architecture.json only) are kept
+ * @param {Object} architectureData - Parsed architecture.json
+ * @param {Object} processData - Parsed process.json
+ * @param {Object|null} processMap - Selected process map
+ * @returns {Object} Architecture data with the services of the selected map
+ */
+export function filterArchitectureByProcessMap(architectureData, processData, processMap) {
+  if (!architectureData?.services || !processMap) return architectureData;
+
+  const selected = new Set((processMap.resources || []).map(resource => resource.id));
+  const otherMaps = new Set(getProcessMaps(processData)
+    .filter(candidate => candidate !== processMap)
+    .flatMap(candidate => (candidate.resources || []).map(resource => resource.id)));
+  const services = Object.fromEntries(Object.entries(architectureData.services)
+    .filter(([id]) => selected.has(id) || !otherMaps.has(id)));
+
+  if (Object.keys(services).length === Object.keys(architectureData.services).length) return architectureData;
+  return { ...architectureData, services };
+}
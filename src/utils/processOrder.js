@@ -0,0 +1,98 @@
+// Step identifiers of process resources (processOrder in process.json).
+//
+// A processOrder is a dotted list of integer segments, compared segment by
+// segment like a version number: "1.2" < "1.9" < "1.10", and "1" is the parent
+// of "1.10". The first segment is the phase. Segments are integers, so "0.01"
+// and "0.1" name the same step; insert a step between two others as a child
+// ("3.9.5") rather than as a longer decimal ("3.95").
+
+const ORDER_PATTERN = /^\d+(\.\d+)*$/;
+
+/**
+ * Parse a processOrder into its segments
+ * @param {string|number} order - Step identifier (e.g., '1.10')
+ * @returns {number[]|null} Segments, or null if the order is malformed
+ */
+export function parseProcessOrder(order) {
+  if (order === null || order === undefined) return null;
+  const text = String(order).trim();
+  if (!ORDER_PATTERN.test(text)) return null;
+  return text.split('.').map(segment => parseInt(segment, 10));
+}
+
+/**
+ * Compare two processOrders for sorting; malformed or missing orders sort last
+ * @param {string} a - Step identifier
+ * @param {string} b - Step identifier
+ * @returns {number} Negative if a comes first, positive if b comes first, 0 if equal
+ */
+export function compareProcessOrder(a, b) {
+  const left = parseProcessOrder(a);
+  const right = parseProcessOrder(b);
+  if (!left || !right) return (left ? 0 : 1) - (right ? 0 : 1);
+
+  for (let i = 0; i < Math.min(left.length, right.length); i++) {
+    if (left[i] !== right[i]) return left[i] - right[i];
+  }
+  // A parent comes before its children
+  return left.length - right.length;
+}
+
+/**
+ * Get the phase of a processOrder (its first segment)
+ * @param {string} order - Step identifier
+ * @returns {number|null} Phase number, or null if the order is malformed
+ */
+export function getOrderPhase(order) {
+  const segments = parseProcessOrder(order);
+  return segments ? segments[0] : null;
+}
+
+/**
+ * Get the parent of a processOrder
+ * @param {string} order - Step identifier (e.g., '4.10.2')
+ * @returns {string|null} Parent identifier (e.g., '4.10'), or null for a top-level order
+ */
+export function getParentOrder(order) {
+  const segments = parseProcessOrder(order);
+  if (!segments || segments.length < 2) return null;
+  return segments.slice(0, -1).join('.');
+}
+
+/**
+ * Check whether one processOrder is a descendant of another
+ * @param {string} order - Candidate descendant (e.g., '4.10.2')
+ * @param {string} ancestor - Candidate ancestor (e.g., '4' or '4.10')
+ * @returns {boolean} True if every segment of the ancestor prefixes the order
+ */
+export function isDescendantOrder(order, ancestor) {
+  const segments = parseProcessOrder(order);
+  const prefix = parseProcessOrder(ancestor);
+  if (!segments || !prefix || segments.length <= prefix.length) return false;
+  return prefix.every((segment, i) => segment === segments[i]);
+}
+
+/**
+ * Check whether two processOrders are siblings (distinct, same parent)
+ * @param {string} a - Step identifier
+ * @param {string} b - Step identifier
+ * @returns {boolean} True for siblings
+ */
+export function areSiblingOrders(a, b) {
+  const left = parseProcessOrder(a);
+  const right = parseProcessOrder(b);
+  if (!left || !right || left.length !== right.length) return false;
+  return left.every((segment, i) => (i === left.length - 1 ? segment !== right[i] : segment === right[i]));
+}
+
+/**
+ * Check whether a processOrder falls in the half-open range [from, to)
+ * @param {string} order - Step identifier
+ * @param {string} from - Inclusive lower bound
+ * @param {string} [to] - Exclusive upper bound; unbounded if omitted
+ * @returns {boolean} True if the order is in range
+ */
+export function isOrderInRange(order, from, to = null) {
+  if (!parseProcessOrder(order)) return false;
+  return compareProcessOrder(order, from) >= 0 && (to === null || compareProcessOrder(order, to) < 0);
+}
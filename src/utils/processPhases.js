@@ -0,0 +1,103 @@
+// Phase definitions of a process map (processMaps[].phases in process.json)
+
+import { compareProcessOrder, getOrderPhase } from './processOrder';
+
+export const DEFAULT_PHASE_COLOR = '#9C9C9C';
+
+/**
+ * Get the phase number of a process resource from its processOrder
+ * @param {Object} resource - Process resource
+ * @returns {number|null} Phase number (e.g., '3.10' -> 3), or null if the order is malformed
+ */
+export function getPhaseNumber(resource) {
+  return getOrderPhase(resource.processOrder);
+}
+
+/**
+ * Group the resources of a process map by phase number, in step order
+ * @param {Object} processMap - Process map from process.json
+ * @returns {Map<number, Array<Object>>} Phase number -> resources
+ */
+export function groupResourcesByPhase(processMap) {
+  const phaseMap = new Map();
+  (processMap?.resources || []).forEach(resource => {
+    const phaseNum = getPhaseNumber(resource);
+    if (phaseNum === null) return;
+    if (!phaseMap.has(phaseNum)) phaseMap.set(phaseNum, []);
+    phaseMap.get(phaseNum).push(resource);
+  });
+  phaseMap.forEach(resources => resources.sort((a, b) => compareProcessOrder(a.processOrder, b.processOrder)));
+  return phaseMap;
+}
+
+/**
+ * Get the phases of a process map. Declared phases come first; any phase number used
+ * by a resource but not declared gets a generic definition, so no resource is dropped.
+ * @param {Object} processMap - Process map from process.json
+ * @returns {Array<{
+ *   id: number, name: string, shortName: string, description: string, executionMode: string,
+ *   color: string, isBranching: boolean, hasSubPhases: boolean, subPhases: Array<Object>
+ * }>} Phases sorted by id
+ */
+export function getPhaseDefinitions(processMap) {
+  const phases = new Map();
+
+  (processMap?.phases || []).forEach(phase => {
+    const subPhases = phase.subPhases || [];
+    phases.set(phase.id, {
+      id: phase.id,
+      name: phase.name,
+      shortName: phase.shortName || phase.name,
+      description: phase.description || '',
+      executionMode: phase.executionMode || 'sequential',
+      color: phase.color || DEFAULT_PHASE_COLOR,
+      isBranching: Boolean(phase.isBranching),
+      hasSubPhases: subPhases.length > 0,
+      subPhases: subPhases.map(subPhase => ({ ...subPhase, services: subPhase.services || [] }))
+    });
+  });
+
+  groupResourcesByPhase(processMap).forEach((resources, phaseNum) => {
+    if (phases.has(phaseNum)) return;
+    phases.set(phaseNum, {
+      id: phaseNum,
+      name: `Phase ${phaseNum}`,
+      shortName: `Phase ${phaseNum}`,
+      description: '',
+      executionMode: 'sequential',
+      color: DEFAULT_PHASE_COLOR,
+      isBranching: false,
+      hasSubPhases: false,
+      subPhases: []
+    });
+  });
+
+  return [...phases.values()].sort((a, b) => a.id - b.id);
+}
+
+/**
+ * Get the labelled connections between phases; phases without declared
+ * connections are chained in order
+ * @param {Object} processMap - Process map from process.json
+ * @param {Array<Object>} phases - Result of getPhaseDefinitions()
+ * @returns {Array<{from: number, to: number, label: string, type: string, dashed: boolean}>}
+ */
+export function getPhaseConnections(processMap, phases) {
+  if (Array.isArray(processMap?.phaseConnections)) {
+    return processMap.phaseConnections.map(connection => ({
+      from: connection.from,
+      to: connection.to,
+      label: connection.label || '',
+      type: connection.type || 'seq',
+      dashed: Boolean(connection.dashed)
+    }));
+  }
+
+  return phases.slice(1).map((phase, index) => ({
+    from: phases[index].id,
+    to: phase.id,
+    label: '',
+    type: 'seq',
+    dashed: false
+  }));
+}
@@ -0,0 +1,202 @@
+// Validation of imported data files against the versioned schemas in dataSchemas.js
+
+import { DATA_SCHEMAS } from './dataSchemas';
+import { appendIndex, appendKey, JsonSyntaxError, parseJsonWithLocations } from './jsonLocations';
+import { isYamlSource, parseYamlWithLocations, YamlSyntaxError } from './cloudformationYaml';
+
+const typeOf = (value) => {
+  if (value === null) return 'null';
+  if (Array.isArray(value)) return 'array';
+  if (typeof value === 'number' && Number.isInteger(value)) return 'integer';
+  return typeof value;
+};
+
+const matchesType = (value, expected) => {
+  const actual = typeOf(value);
+  return actual === expected || (expected === 'number' && actual === 'integer');
+};
+
+/**
+ * Validate a value against a schema node
+ * @param {any} value - Value to validate
+ * @param {Object} schema - Schema node (see dataSchemas.js)
+ * @param {string} path - JSON path of the value
+ * @param {string} [key] - Property name or index of the value in its parent
+ * @returns {Array<{path: string, message: string, severity: string}>} Issues found
+ */
+export function validateAgainstSchema(value, schema, path = '$', key = undefined) {
+  const issues = [];
+  const report = (message, issuePath = path, severity = schema.severity || 'error') => {
+    issues.push({ path: issuePath, message, severity });
+  };
+
+  if (schema.const !== undefined && value !== schema.const) {
+    report(`Expected ${JSON.stringify(schema.const)} but found ${JSON.stringify(value)}`);
+    return issues;
+  }
+
+  if (schema.enum && !schema.enum.includes(value)) {
+    report(`Expected one of ${schema.enum.map(v => JSON.stringify(v)).join(', ')} but found ${JSON.stringify(value)}`);
+    return issues;
+  }
+
+  if (schema.type) {
+    const expected = Array.isArray(schema.type) ? schema.type : [schema.type];
+    if (!expected.some(type => matchesType(value, type))) {
+      report(`Expected ${expected.join(' or ')} but found ${typeOf(value)}`);
+      return issues;
+    }
+  }
+
+  const valueType = typeOf(value);
+
+  if (valueType === 'string') {
+    if (schema.minLength !== undefined && value.length < schema.minLength) {
+      report('Must not be empty');
+    }
+    if (schema.pattern && !new RegExp(schema.pattern).test(value)) {
+      report(`"${value}" does not match pattern ${schema.pattern}`);
+    }
+  }
+
+  if ((valueType === 'integer' || valueType === 'number') && schema.minimum !== undefined && value < schema.minimum) {
+    report(`Must be at least ${schema.minimum} but found ${value}`);
+  }
+
+  if (valueType === 'array') {
+    if (schema.minItems !== undefined && value.length < schema.minItems) {
+      report(`Must contain at least ${schema.minItems} item${schema.minItems !== 1 ? 's' : ''}`);
+    }
+    if (schema.items) {
+      value.forEach((item, index) => {
+        issues.push(...validateAgainstSchema(item, schema.items, appendIndex(path, index), index));
+      });
+    }
+  }
+
+  if (valueType === 'object') {
+    (schema.required || []).forEach(name => {
+      if (value[name] === undefined) {
+        report(`Missing required property "${name}"`, appendKey(path, name));
+      }
+    });
+
+    if (schema.minProperties !== undefined && Object.keys(value).length < schema.minProperties) {
+      report(`Must contain at least ${schema.minProperties} entr${schema.minProperties !== 1 ? 'ies' : 'y'}`);
+    }
+
+    Object.entries(value).forEach(([name, child]) => {
+      const childSchema = schema.properties?.[name] || schema.additionalProperties;
+      if (childSchema) {
+        issues.push(...validateAgainstSchema(child, childSchema, appendKey(path, name), name));
+      }
+    });
+  }
+
+  if (schema.check) {
+    const result = schema.check(value, key);
+    if (result) report(result.message, path, result.severity || 'error');
+  }
+
+  return issues;
+}
+
+// Find the closest recorded location for a path (missing properties point at their parent)
+const locate = (locations, path) => {
+  let current = path;
+  while (current) {
+    if (locations.has(current)) return locations.get(current);
+    const parent = current.replace(/(\.[A-Za-z_$][\w$]*|\[[^\]]*\])$/, '');
+    if (parent === current) break;
+    current = parent;
+  }
+  return null;
+};
+
+/**
+ * Parse and validate a single data file. CloudFormation templates may be
+ * JSON or YAML; YAML short-form intrinsics are normalised to long form.
+ * @param {string} kind - 'architecture' | 'process' | 'cloudformation'
+ * @param {string} text - Raw file contents
+ * @param {string} [fileName] - Source file name, for the report and format detection
+ * @returns {Object} Report with kind, fileName, version, valid, errors, warnings and parsed data
+ */
+export function validateDataFile(kind, text, fileName = '') {
+  const definition = DATA_SCHEMAS[kind];
+  const fileReport = {
+    kind,
+    label: definition.label,
+    fileName,
+    version: null,
+    valid: false,
+    errors: [],
+    warnings: [],
+    data: null
+  };
+
+  const parse = kind === 'cloudformation' && isYamlSource(text, fileName)
+    ? parseYamlWithLocations
+    : parseJsonWithLocations;
+
+  let parsed;
+  try {
+    parsed = parse(text);
+  } catch (error) {
+    if (!(error instanceof JsonSyntaxError) && !(error instanceof YamlSyntaxError)) throw error;
+    fileReport.errors.push({ path: '$', message: error.reason, line: error.line, column: error.column });
+    return fileReport;
+  }
+
+  const { value, locations } = parsed;
+  const declaredVersion = definition.detectVersion(value);
+  let schema = definition.versions[declaredVersion];
+
+  if (declaredVersion === undefined) {
+    schema = definition.versions[definition.latest];
+    fileReport.warnings.push({
+      path: definition.versionPath,
+      message: `No schema version declared; validated against ${definition.latest}`,
+      line: locate(locations, definition.versionPath)?.line ?? null
+    });
+  } else if (!schema) {
+    fileReport.version = String(declaredVersion);
+    fileReport.errors.push({
+      path: definition.versionPath,
+      message: `Unsupported ${definition.label} version "${declaredVersion}" (supported: ${Object.keys(definition.versions).join(', ')})`,
+      line: locate(locations, definition.versionPath)?.line ?? null
+    });
+    return fileReport;
+  }
+
+  fileReport.version = declaredVersion === undefined ? definition.latest : String(declaredVersion);
+
+  validateAgainstSchema(value, schema).forEach(issue => {
+    const entry = {
+      path: issue.path,
+      message: issue.message,
+      line: locate(locations, issue.path)?.line ?? null
+    };
+    if (issue.severity === 'warning') fileReport.warnings.push(entry);
+    else fileReport.errors.push(entry);
+  });
+
+  fileReport.valid = fileReport.errors.length === 0;
+  fileReport.data = value;
+  return fileReport;
+}
+
+/**
+ * Validate a full dataset before it is committed to the data context
+ * @param {Object} files - Map of kind to { text, fileName }; cloudformation is optional
+ * @returns {{ valid: boolean, files: Array<Object> }} Per-file reports
+ */
+export function validateDataset(files) {
+  const reports = Object.entries(files)
+    .filter(([, file]) => file)
+    .map(([kind, file]) => validateDataFile(kind, file.text, file.fileName));
+
+  return {
+    valid: reports.every(fileReport => fileReport.valid),
+    files: reports
+  };
+}
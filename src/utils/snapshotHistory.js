@@ -0,0 +1,73 @@
+// History of loaded datasets, one snapshot per architecture.json version
+
+import { runStoreRequest, STORES } from './browserStore';
+
+/**
+ * Get the snapshot key of a dataset from its architecture metadata
+ * @param {Object} architectureData - Parsed architecture.json
+ * @returns {string} Key (e.g., '2.0.0 @ 2025-10-21')
+ */
+export function getSnapshotId(architectureData) {
+  const { version = 'unversioned', lastUpdated = 'undated' } = architectureData?.metadata || {};
+  return `${version} @ ${lastUpdated}`;
+}
+
+/**
+ * Save a dataset to the history; loading the same version again replaces its snapshot
+ * @param {Object} dataset
+ * @param {Object} dataset.architectureData - Parsed architecture.json
+ * @param {Object} dataset.processData - Parsed process.json
+ * @param {Object} [dataset.cloudformationData] - Parsed CloudFormation template
+ * @param {string} [dataset.source] - Where the dataset was loaded from (e.g., file names)
+ * @returns {Promise<string>} Snapshot key
+ */
+export async function saveSnapshot({ architectureData, processData, cloudformationData = null, source = '' }) {
+  const id = getSnapshotId(architectureData);
+  await runStoreRequest(STORES.SNAPSHOTS, 'readwrite', store => store.put({
+    id,
+    version: architectureData?.metadata?.version || null,
+    lastUpdated: architectureData?.metadata?.lastUpdated || null,
+    savedAt: new Date().toISOString(),
+    source,
+    architectureData,
+    processData,
+    cloudformationData
+  }));
+  return id;
+}
+
+/**
+ * List saved snapshots, most recently updated first
+ * @returns {Promise<Array<{id: string, version: string, lastUpdated: string, savedAt: string, source: string, serviceCount: number}>>}
+ */
+export async function listSnapshots() {
+  const snapshots = await runStoreRequest(STORES.SNAPSHOTS, 'readonly', store => store.getAll());
+  return snapshots
+    .map(({ architectureData, id, version, lastUpdated, savedAt, source }) => ({
+      id,
+      version,
+      lastUpdated,
+      savedAt,
+      source,
+      serviceCount: Object.keys(architectureData?.services || {}).length
+    }))
+    .sort((a, b) => (b.lastUpdated || '').localeCompare(a.lastUpdated || '') || b.savedAt.localeCompare(a.savedAt));
+}
+
+/**
+ * Read a snapshot with its data
+ * @param {string} id - Snapshot key
+ * @returns {Promise<Object|undefined>} Snapshot, or undefined if it does not exist
+ */
+export function getSnapshot(id) {
+  return runStoreRequest(STORES.SNAPSHOTS, 'readonly', store => store.get(id));
+}
+
+/**
+ * Delete a snapshot
+ * @param {string} id - Snapshot key
+ * @returns {Promise<void>}
+ */
+export function deleteSnapshot(id) {
+  return runStoreRequest(STORES.SNAPSHOTS, 'readwrite', store => store.delete(id));
+}
@@ -0,0 +1,102 @@
+// Named workspaces, each holding a dataset and its view settings, kept in IndexedDB
+
+import { runStoreRequest, STORES } from './browserStore';
+
+const ACTIVE_WORKSPACE_KEY = 'scai-active-workspace';
+
+export const DEFAULT_WORKSPACE_NAME = 'Default';
+
+// View settings restored when a workspace is opened
+export const DEFAULT_VIEW_SETTINGS = {
+  processMapId: null,
+  environment: null,
+  templateParameters: null
+};
+
+/**
+ * Create a workspace record. A workspace without files shows the bundled data.
+ * @param {string} name - Display name
+ * @param {Object} [contents]
+ * @param {Object} [contents.files] - Map of kind to { text, fileName }; cloudformation is optional
+ * @param {string} [contents.loadedAt] - ISO timestamp of the import
+ * @param {Object} [contents.settings] - View settings
+ * @param {Array<Object>} [contents.diagramLayouts] - Named Interactive Diagram layouts (see diagramLayouts.js)
+ * @returns {Object} Workspace
+ */
+export function buildWorkspace(name, {
+  files = null,
+  loadedAt = null,
+  settings = DEFAULT_VIEW_SETTINGS,
+  diagramLayouts = []
+} = {}) {
+  return {
+    id: `workspace-${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 8)}`,
+    name,
+    files,
+    loadedAt,
+    settings: { ...DEFAULT_VIEW_SETTINGS, ...settings },
+    diagramLayouts,
+    createdAt: new Date().toISOString()
+  };
+}
+
+/**
+ * List saved workspaces in creation order
+ * @returns {Promise<Array<Object>>} Workspaces, including their files
+ */
+export async function listWorkspaces() {
+  const workspaces = await runStoreRequest(STORES.DATASETS, 'readonly', store => store.getAll());
+  return workspaces
+    // Records saved before workspaces existed hold only the imported files
+    .map(workspace => ({
+      name: 'Imported data',
+      createdAt: workspace.loadedAt || '',
+      diagramLayouts: [],
+      ...workspace,
+      settings: { ...DEFAULT_VIEW_SETTINGS, ...workspace.settings }
+    }))
+    .sort((a, b) => a.createdAt.localeCompare(b.createdAt));
+}
+
+/**
+ * Save a workspace
+ * @param {Object} workspace - Workspace to create or replace
+ * @returns {Promise<Object>} The saved workspace
+ */
+export async function saveWorkspace(workspace) {
+  await runStoreRequest(STORES.DATASETS, 'readwrite', store => store.put(workspace));
+  return workspace;
+}
+
+/**
+ * Delete a workspace
+ * @param {string} id - Workspace ID
+ * @returns {Promise<void>}
+ */
+export function deleteWorkspace(id) {
+  return runStoreRequest(STORES.DATASETS, 'readwrite', store => store.delete(id));
+}
+
+/**
+ * Get the ID of the workspace opened last
+ * @returns {string|null}
+ */
+export function getActiveWorkspaceId() {
+  try {
+    return localStorage.getItem(ACTIVE_WORKSPACE_KEY);
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Remember the workspace to open on the next visit
+ * @param {string} id - Workspace ID
+ */
+export function setActiveWorkspaceId(id) {
+  try {
+    localStorage.setItem(ACTIVE_WORKSPACE_KEY, id);
+  } catch {
+    // Storage may be disabled; the first workspace is opened instead
+  }
+}
@@ -0,0 +1,80 @@
+// Minimal zip reader for imported archives: stored and deflated entries, decompressed in the browser
+
+const END_OF_CENTRAL_DIRECTORY = 0x06054b50;
+const CENTRAL_DIRECTORY_ENTRY = 0x02014b50;
+const LOCAL_FILE_HEADER = 0x04034b50;
+
+const METHOD_STORED = 0;
+const METHOD_DEFLATED = 8;
+
+/**
+ * Check whether a file is a zip archive, by extension or MIME type
+ * @param {File} file - Selected or dropped file
+ * @returns {boolean}
+ */
+export function isZipFile(file) {
+  return /\.zip$/i.test(file.name) || /zip/.test(file.type);
+}
+
+// The end-of-central-directory record sits at the end, followed by a comment of up to 64 KB
+const findEndOfCentralDirectory = (view) => {
+  for (let offset = view.byteLength - 22; offset >= Math.max(0, view.byteLength - 22 - 0xffff); offset--) {
+    if (view.getUint32(offset, true) === END_OF_CENTRAL_DIRECTORY) return offset;
+  }
+  throw new Error('Not a zip archive (end of central directory not found)');
+};
+
+const inflate = (bytes) => new Response(
+  new Blob([bytes]).stream().pipeThrough(new DecompressionStream('deflate-raw'))
+).arrayBuffer();
+
+/**
+ * Extract the files of a zip archive. Directories and macOS resource forks are skipped.
+ * @param {Blob} archive - Zip file
+ * @returns {Promise<Array<File>>} Extracted files, named by their path inside the archive
+ * @throws {Error} For ZIP64, encrypted or unsupported compression methods
+ */
+export async function extractZip(archive) {
+  const buffer = await archive.arrayBuffer();
+  const view = new DataView(buffer);
+  const decoder = new TextDecoder();
+
+  const end = findEndOfCentralDirectory(view);
+  const entryCount = view.getUint16(end + 10, true);
+  let offset = view.getUint32(end + 16, true);
+  if (offset === 0xffffffff) throw new Error('ZIP64 archives are not supported');
+
+  const files = [];
+  for (let i = 0; i < entryCount; i++) {
+    if (view.getUint32(offset, true) !== CENTRAL_DIRECTORY_ENTRY) {
+      throw new Error('Corrupt zip archive (bad central directory entry)');
+    }
+    const flags = view.getUint16(offset + 8, true);
+    const method = view.getUint16(offset + 10, true);
+    const compressedSize = view.getUint32(offset + 20, true);
+    const nameLength = view.getUint16(offset + 28, true);
+    const extraLength = view.getUint16(offset + 30, true);
+    const commentLength = view.getUint16(offset + 32, true);
+    const headerOffset = view.getUint32(offset + 42, true);
+    const name = decoder.decode(new Uint8Array(buffer, offset + 46, nameLength));
+    offset += 46 + nameLength + extraLength + commentLength;
+
+    if (name.endsWith('/') || name.startsWith('__MACOSX/')) continue;
+    if (flags & 0x1) throw new Error(`${name} is encrypted`);
+    if (method !== METHOD_STORED && method !== METHOD_DEFLATED) {
+      throw new Error(`${name} uses an unsupported compression method (${method})`);
+    }
+
+    // Sizes in the local header may be zero when a data descriptor is used, so only its lengths are read
+    const dataStart = headerOffset + 30
+      + view.getUint16(headerOffset + 26, true)
+      + view.getUint16(headerOffset + 28, true);
+    if (view.getUint32(headerOffset, true) !== LOCAL_FILE_HEADER) {
+      throw new Error(`Corrupt zip archive (bad local header for ${name})`);
+    }
+    const bytes = new Uint8Array(buffer, dataStart, compressedSize);
+    const contents = method === METHOD_DEFLATED ? await inflate(bytes) : bytes;
+    files.push(new File([contents], name));
+  }
+  return files;
+}